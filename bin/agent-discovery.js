@@ -1,13 +1,80 @@
 #!/usr/bin/env node
 'use strict';
 
-const { createDirectory } = require('../lib');
+const {
+  createDirectory,
+  loadManifest,
+  BunkerSigner,
+  decodeSecretKey,
+  encryptSecretKey,
+  decryptSecretKey,
+  describeKey
+} = require('../lib');
+const { isEncryptedKey } = require('../lib/keys');
+const { isNaddr } = require('../lib/identifiers');
+const { nip19, generateSecretKey } = require('nostr-tools');
 const fs = require('fs');
 const path = require('path');
 
-const args = process.argv.slice(2);
+// Output mode flags are global and may appear anywhere on the command line
+const OUTPUT_FLAGS = ['--json', '--ndjson'];
+const rawArgs = process.argv.slice(2);
+const output = rawArgs.includes('--ndjson') ? 'ndjson' : rawArgs.includes('--json') ? 'json' : 'text';
+const args = rawArgs.filter(a => !OUTPUT_FLAGS.includes(a));
 const command = args[0];
 
+class CliError extends Error {
+  constructor(message, code = 'ERROR') {
+    super(message);
+    this.code = code;
+  }
+}
+
+function fail(message, code = 'USAGE') {
+  throw new CliError(message, code);
+}
+
+/**
+ * Print machine-readable output. In ndjson mode arrays stream one item per line.
+ */
+function emit(data) {
+  if (output === 'ndjson') {
+    for (const item of Array.isArray(data) ? data : [data]) {
+      console.log(JSON.stringify(item));
+    }
+  } else {
+    console.log(JSON.stringify(data, null, 2));
+  }
+}
+
+function npub(pubkey) {
+  try { return nip19.npubEncode(pubkey); } catch (e) { return null; }
+}
+
+// Service as JSON: full pubkey plus npub, without the raw event
+function serviceJson(svc) {
+  const { raw, ...rest } = svc;
+  return { ...rest, npub: npub(svc.pubkey) };
+}
+
+function publishJson(cmd, result, extra = {}) {
+  const json = {
+    command: cmd,
+    ...extra,
+    eventId: result.eventId,
+    pubkey: result.pubkey,
+    npub: npub(result.pubkey),
+    successes: result.successes,
+    total: result.total,
+    relays: result.relays
+  };
+  if (result.nip89) {
+    const { eventId, successes, total, relays } = result.nip89;
+    json.nip89 = { eventId, successes, total, relays };
+  }
+  return json;
+}
+
 function parseFlags(argv) {
   const flags = {};
   for (let i = 0; i < argv.length; i++) {
@@ -26,10 +93,22 @@ function parseFlags(argv) {
   return flags;
 }
 
-function loadSecretKey() {
-  if (process.env.NOSTR_SECRET_KEY) return process.env.NOSTR_SECRET_KEY;
+// Where `keys generate` / `keys import` save the key
+function keyFilePath(flags) {
+  return flags['key-file'] || process.env.NOSTR_KEYS_FILE || path.join(process.env.HOME || '', '.nostr-keys.json');
+}
 
-  const keyPaths = [
+/**
+ * Find the secret key (hex, nsec or ncryptsec) and where it came from.
+ * Key files hold { ncryptsec, pubkey } as written by `keys generate`,
+ * or a plaintext { secretKeyHex } / { privateKey }.
+ */
+function loadSecretKey(flags = {}) {
+  if (flags['key-file'] === undefined && process.env.NOSTR_SECRET_KEY) {
+    return { key: process.env.NOSTR_SECRET_KEY, source: 'NOSTR_SECRET_KEY' };
+  }
+
+  const keyPaths = flags['key-file'] !== undefined ? [flags['key-file']] : [
     process.env.NOSTR_KEYS_FILE,
     path.join(process.cwd(), 'nostr-keys.json'),
     path.join(process.env.HOME || '', '.nostr-keys.json')
@@ -38,57 +117,364 @@ function loadSecretKey() {
   for (const p of keyPaths) {
     try {
       const data = JSON.parse(fs.readFileSync(p, 'utf8'));
-      if (data.secretKeyHex) return data.secretKeyHex;
-      if (data.privateKey) return data.privateKey;
+      const key = data.ncryptsec || data.secretKeyHex || data.privateKey;
+      if (key) return { key, pubkey: data.pubkey, source: p };
     } catch (e) { /* skip */ }
   }
 
   return null;
 }
 
+/**
+ * Ask for a password on the terminal without echoing it.
+ * NOSTR_KEY_PASSWORD answers without asking (for scripts).
+ */
+async function readPassword(question, { confirm = false } = {}) {
+  if (process.env.NOSTR_KEY_PASSWORD) return process.env.NOSTR_KEY_PASSWORD;
+  if (!process.stdin.isTTY) {
+    fail('The key is password-protected: set NOSTR_KEY_PASSWORD or run in a terminal', 'NO_PASSWORD');
+  }
+  const password = await promptHidden(question);
+  if (!password) fail('Empty password', 'NO_PASSWORD');
+  if (confirm && await promptHidden('Repeat password: ') !== password) {
+    fail('Passwords do not match', 'NO_PASSWORD');
+  }
+  return password;
+}
+
+function promptHidden(question) {
+  const readline = require('readline');
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    // Show the question, not what is typed
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// Secret key bytes, asking for the password if it is an ncryptsec
+async function unlockKey(key) {
+  if (!isEncryptedKey(key)) return decodeSecretKey(key);
+  return decryptSecretKey(key, await readPassword('Key password: '));
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+// Anything on the command line is visible to every user in the process list
+function warnSecretOnArgv(what, instead) {
+  console.warn(`Warning: passing ${what} via CLI exposes your secret in the process list. Consider using ${instead} instead.`);
+}
+
+// Bunker connections opened for this run, closed before exiting
+const openSigners = [];
+
+/**
+ * What publishing commands sign with: a NIP-46 bunker (--bunker or
+ * NOSTR_BUNKER) if given, otherwise the secret key (decrypted if needed).
+ */
+async function signerFromFlags(flags) {
+  const bunker = flags.bunker || process.env.NOSTR_BUNKER;
+  if (bunker) {
+    const signer = new BunkerSigner(bunker, {
+      timeoutMs: flags.timeout ? parseInt(flags.timeout) : undefined,
+      onAuthUrl: (url) => console.warn(`Approve this request in your signer: ${url}`)
+    });
+    openSigners.push(signer);
+    return signer;
+  }
+  if (flags.key) {
+    warnSecretOnArgv('--key', 'NOSTR_SECRET_KEY env var or --key-file');
+  }
+  const found = flags.key ? { key: flags.key } : loadSecretKey(flags);
+  if (!found) {
+    fail('No secret key. Run `agent-discovery keys generate`, set NOSTR_SECRET_KEY, use --key <hex|nsec>, or sign with --bunker <uri>', 'NO_KEY');
+  }
+  return unlockKey(found.key);
+}
+
+// The current identity's pubkey; encrypted key files store it, so no password is needed
+async function currentPubkey(flags) {
+  if (flags.bunker || process.env.NOSTR_BUNKER || flags.key) {
+    const signer = await signerFromFlags(flags);
+    return signer instanceof BunkerSigner ? signer.getPublicKey() : describeKey(signer).pubkey;
+  }
+  const found = loadSecretKey(flags);
+  if (!found) fail('No secret key. Run `agent-discovery keys generate` or set NOSTR_SECRET_KEY', 'NO_KEY');
+  if (found.pubkey && isEncryptedKey(found.key)) return found.pubkey;
+  return describeKey(await unlockKey(found.key)).pubkey;
+}
+
+async function keysCommand(sub, flags) {
+  const file = keyFilePath(flags);
+
+  switch (sub) {
+    case 'generate':
+    case 'import': {
+      if (fs.existsSync(file) && flags.force !== true) {
+        fail(`${file} already exists; pass --force to overwrite it`, 'KEY_EXISTS');
+      }
+      let input = null;
+      if (sub === 'import') {
+        input = args[2] && !args[2].startsWith('--') ? args[2] : null;
+        if (input && !isEncryptedKey(input.trim())) {
+          warnSecretOnArgv('the key', 'stdin or the prompt (run it without the key)');
+        }
+        if (!input) {
+          input = process.stdin.isTTY ? await promptHidden('Secret key (hex, nsec or ncryptsec): ') : await readStdin();
+        }
+        input = input.trim();
+        if (!input) fail('Usage: agent-discovery keys import <hex|nsec|ncryptsec> (or pipe it on stdin)');
+      }
+
+      let secretKey;
+      let ncryptsec;
+      if (input && isEncryptedKey(input)) {
+        // Already protected: check the password, keep it as it is
+        secretKey = decryptSecretKey(input, await readPassword('Key password: '));
+        ncryptsec = input;
+      } else {
+        secretKey = input ? decodeSecretKey(input) : generateSecretKey();
+        ncryptsec = encryptSecretKey(secretKey, await readPassword('New password: ', { confirm: true }));
+      }
+      const { pubkey, npub } = describeKey(secretKey);
+
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ ncryptsec, pubkey, npub }, null, 2) + '\n', { mode: 0o600 });
+      fs.chmodSync(file, 0o600);
+
+      if (output !== 'text') {
+        emit({ command: `keys ${sub}`, pubkey, npub, file });
+        break;
+      }
+      console.log(`🔑 ${sub === 'generate' ? 'Generated' : 'Imported'} key`);
+      console.log(`   Pubkey: ${pubkey}`);
+      console.log(`   npub:   ${npub}`);
+      console.log(`   Saved encrypted (NIP-49) to ${file}`);
+      break;
+    }
+
+    case 'show': {
+      const found = loadSecretKey(flags);
+      if (!found) fail('No secret key. Run `agent-discovery keys generate` or set NOSTR_SECRET_KEY', 'NO_KEY');
+      const encrypted = isEncryptedKey(found.key);
+      const pubkey = await currentPubkey(flags);
+
+      if (output !== 'text') {
+        emit({ command: 'keys show', pubkey, npub: npub(pubkey), source: found.source, encrypted });
+        break;
+      }
+      console.log(`   Pubkey: ${pubkey}`);
+      console.log(`   npub:   ${npub(pubkey)}`);
+      console.log(`   Source: ${found.source}${encrypted ? ' (encrypted)' : ' (plaintext)'}`);
+      break;
+    }
+
+    case 'export': {
+      const found = flags.key ? { key: flags.key } : loadSecretKey(flags);
+      if (!found) fail('No secret key. Run `agent-discovery keys generate` or set NOSTR_SECRET_KEY', 'NO_KEY');
+      const format = flags.nsec === true ? 'nsec' : flags.hex === true ? 'hex' : 'ncryptsec';
+
+      let key;
+      if (format === 'ncryptsec') {
+        key = isEncryptedKey(found.key)
+          ? found.key
+          : encryptSecretKey(found.key, await readPassword('New password: ', { confirm: true }));
+      } else {
+        const secretKey = await unlockKey(found.key);
+        key = format === 'nsec' ? nip19.nsecEncode(secretKey) : Buffer.from(secretKey).toString('hex');
+      }
+
+      if (output !== 'text') {
+        emit({ command: 'keys export', format, key });
+        break;
+      }
+      console.log(key);
+      break;
+    }
+
+    default:
+      fail('Usage: agent-discovery keys generate|show|import|export');
+  }
+}
+
 function asArray(val) {
   if (!val) return undefined;
   if (Array.isArray(val)) return val;
   return [val];
 }
 
+function scoringFromFlags(flags) {
+  if (!flags.strategy && !flags.seeds && !flags.halflife && !flags.hops && !flags['verify-zaps']) return undefined;
+  return {
+    strategy: flags.strategy || 'wot',
+    verifyZaps: flags['verify-zaps'] === true,
+    seeds: asArray(flags.seeds),
+    halfLifeDays: flags.halflife !== undefined ? parseFloat(flags.halflife) : undefined,
+    maxHops: flags.hops ? parseInt(flags.hops) : undefined
+  };
+}
+
+// Zip --price/--currency/--per/--tier lists into price tiers; a single
+// currency, unit or tier applies to every amount
+function pricesFromFlags(flags) {
+  const amounts = asArray(flags.price);
+  if (!amounts) return undefined;
+  const pick = (list, i, fallback) => {
+    const values = asArray(list);
+    if (!values) return fallback;
+    return values[i] !== undefined ? values[i] : values[values.length - 1];
+  };
+  const prices = amounts.map((amount, i) => {
+    const price = {
+      amount: parseFloat(amount),
+      currency: pick(flags.currency, i, 'sats'),
+      per: pick(flags.per, i, 'request')
+    };
+    const tier = pick(flags.tier, i);
+    if (tier) price.tier = tier;
+    return price;
+  });
+  return prices.length === 1 ? prices[0] : prices;
+}
+
+const WORKLOAD_FLAGS = ['requests', 'words', 'minutes', 'queries', 'months'];
+
+function workloadFromFlags(flags) {
+  const keys = WORKLOAD_FLAGS.filter(k => flags[k] !== undefined);
+  if (keys.length === 0) return undefined;
+  const workload = {};
+  for (const k of keys) workload[k] = parseFloat(flags[k]);
+  return workload;
+}
+
+// --sort price | --sort trust:0.6,price:0.3,freshness:0.1
+function sortFromFlags(flags) {
+  if (flags.sort === undefined || flags.sort === true) return undefined;
+  const parts = asArray(flags.sort);
+  if (parts.length === 1 && !parts[0].includes(':')) return parts[0];
+  const weights = {};
+  for (const part of parts) {
+    const [key, weight] = part.split(':');
+    weights[key] = weight === undefined ? 1 : parseFloat(weight);
+  }
+  return weights;
+}
+
+// Unix seconds or anything Date.parse understands (e.g. 2026-01-31)
+function parseTime(value) {
+  if (value === undefined || value === true) return undefined;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) fail(`Invalid time: ${value} (use unix seconds or a date)`);
+  return Math.floor(ms / 1000);
+}
+
+const OFF = new Set(['', '0', 'false', 'no', 'off']);
+
+// The on-disk cache is opt-in: --cache (or AGENT_DISCOVERY_CACHE=1) answers
+// from fresh entries, --cache refresh always asks relays but records what
+// they return, --offline answers from the cache alone. null = no cache.
+function cacheModeFromFlags(flags) {
+  if (flags.offline === true) {
+    if (flags['no-cache'] === true) fail('--offline needs the cache (drop --no-cache)');
+    return 'offline';
+  }
+  if (flags['no-cache'] === true) return null;
+  const setting = flags.cache !== undefined ? flags.cache : process.env.AGENT_DISCOVERY_CACHE;
+  if (setting === undefined || OFF.has(setting)) return null;
+  if (setting === true || setting === '1' || setting === 'true' || setting === 'swr') return 'swr';
+  if (setting === 'refresh') return 'refresh';
+  fail(`Invalid cache mode: ${setting} (use swr or refresh)`);
+}
+
+// Relay stats persist across runs only with --health-file [path]
+// (or AGENT_DISCOVERY_HEALTH_FILE); true = relays.json in the cache directory
+function healthFileFromFlags(flags) {
+  const setting = flags['health-file'] !== undefined ? flags['health-file'] : process.env.AGENT_DISCOVERY_HEALTH_FILE;
+  if (setting === undefined || OFF.has(setting)) return null;
+  return setting === true || setting === '1' || setting === 'true' ? true : setting;
+}
+
+function formatPrice(price) {
+  return `${price.amount} ${price.currency}/${price.per}${price.tier ? ` (${price.tier})` : ''}`;
+}
+
 async function main() {
   const flags = parseFlags(args.slice(1));
+  const cacheMode = cacheModeFromFlags(flags);
+  const healthFile = healthFileFromFlags(flags);
   const dir = createDirectory({
     relays: asArray(flags.relays),
-    timeoutMs: flags.timeout ? parseInt(flags.timeout) : undefined
+    timeoutMs: flags.timeout ? parseInt(flags.timeout) : undefined,
+    cache: cacheMode !== null,
+    cacheMode: cacheMode || undefined,
+    // With a health file, failing relays stay skipped across runs
+    health: healthFile ? { file: healthFile } : undefined,
+    maxRelays: flags['max-relays'] ? parseInt(flags['max-relays']) : undefined,
+    outbox: flags['no-outbox'] !== true,
+    retries: flags.retries !== undefined ? parseInt(flags.retries) : undefined
   });
+  // --outbox: also publish to the relays in your own NIP-65 relay list
+  const publishOpts = { outbox: flags.outbox === true };
+  // --nip89: also announce DVM services as NIP-89 handlers (kind 31990)
+  const servicePublishOpts = { ...publishOpts, nip89: flags.nip89 === true };
 
   switch (command) {
     case 'publish': {
-      if (flags.key) {
-        console.warn('Warning: passing --key via CLI exposes your secret in the process list. Consider using NOSTR_SECRET_KEY env var or --key-file instead.');
-      }
-      const sk = flags.key || loadSecretKey();
-      if (!sk) {
-        console.error('Error: No secret key. Set NOSTR_SECRET_KEY env or use --key <hex>');
-        process.exit(1);
+      const sk = await signerFromFlags(flags);
+      if (flags.file) {
+        const services = loadManifest(flags.file);
+        const results = [];
+        for (const svc of services) {
+          results.push({ svc, result: await dir.publish(svc, sk, servicePublishOpts) });
+        }
+
+        if (output !== 'text') {
+          emit(results.map(({ svc, result }) => publishJson('publish', result, { id: svc.id })));
+          break;
+        }
+        for (const { svc, result } of results) {
+          console.log(`✅ Published service "${svc.id}" — relays: ${result.successes}/${result.total} succeeded`);
+          if (result.failures.length > 0) {
+            console.log(`   Failures: ${result.failures.join(', ')}`);
+          }
+        }
+        break;
       }
       if (!flags.id) {
-        console.error('Error: --id <service-id> is required');
-        process.exit(1);
+        fail('--id <service-id> is required (or --file <manifest>)', 'MISSING_ARGUMENT');
       }
 
       const result = await dir.publish({
         id: flags.id,
         name: flags.name,
         capabilities: asArray(flags.capabilities) || [],
-        price: flags.price ? {
-          amount: parseInt(flags.price),
-          currency: 'sats',
-          per: flags.per || 'request'
-        } : undefined,
+        price: pricesFromFlags(flags),
         lnAddress: flags.ln,
         description: flags.desc || '',
         status: flags.status || 'active',
         hashtags: asArray(flags.tags) || [],
         dvmKinds: asArray(flags.dvm) || []
-      }, sk);
+      }, sk, servicePublishOpts);
+
+      if (output !== 'text') {
+        emit(publishJson('publish', result, { id: flags.id }));
+        break;
+      }
 
       console.log(`✅ Published service "${flags.id}"`);
       console.log(`   Event: ${result.eventId}`);
@@ -97,6 +483,78 @@ async function main() {
       if (result.failures.length > 0) {
         console.log(`   Failures: ${result.failures.join(', ')}`);
       }
+      if (result.nip89) {
+        console.log(`   NIP-89 handler: ${result.nip89.eventId} (${result.nip89.successes}/${result.nip89.total} relays)`);
+      }
+      break;
+    }
+
+    case 'sync': {
+      const sk = await signerFromFlags(flags);
+      const file = args[1] && !args[1].startsWith('--') ? args[1] : flags.file;
+      if (!file) {
+        fail('Usage: agent-discovery sync <manifest.json|yaml> [--dry-run]');
+      }
+
+      const summary = await dir.sync(loadManifest(file), sk, { ...publishOpts, dryRun: flags['dry-run'] === true });
+
+      if (output !== 'text') {
+        emit({
+          command: 'sync',
+          dryRun: summary.dryRun,
+          pubkey: summary.pubkey,
+          npub: npub(summary.pubkey),
+          unchanged: summary.unchanged,
+          published: summary.published.map(p => p.result ? publishJson('publish', p.result, { id: p.id }) : { id: p.id }),
+          deactivated: summary.deactivated.map(p => p.result ? publishJson('remove', p.result, { id: p.id }) : { id: p.id })
+        });
+        break;
+      }
+
+      for (const p of summary.published) {
+        const relays = p.result ? ` — relays: ${p.result.successes}/${p.result.total}` : '';
+        console.log(`${summary.dryRun ? '~ Would publish' : '✅ Published'} "${p.id}"${relays}`);
+      }
+      for (const p of summary.deactivated) {
+        const relays = p.result ? ` — relays: ${p.result.successes}/${p.result.total}` : '';
+        console.log(`${summary.dryRun ? '~ Would deactivate' : '🗑️  Deactivated'} "${p.id}"${relays}`);
+      }
+      for (const id of summary.unchanged) {
+        console.log(`= Unchanged "${id}"`);
+      }
+      if (summary.published.length + summary.deactivated.length === 0) {
+        console.log('Everything up to date.');
+      }
+      break;
+    }
+
+    case 'keys': {
+      await keysCommand(args[1], flags);
+      break;
+    }
+
+    case 'whoami': {
+      const pubkey = await currentPubkey(flags);
+      const services = await dir.find({ pubkeys: [pubkey], status: null });
+
+      if (output !== 'text') {
+        emit({ command: 'whoami', pubkey, npub: npub(pubkey), services: services.map(serviceJson) });
+        break;
+      }
+      console.log(`👤 ${npub(pubkey)}`);
+      console.log(`   Pubkey: ${pubkey}`);
+      if (services.length === 0) {
+        console.log('\nNo services published under this key.');
+        break;
+      }
+      console.log(`\n${services.length} service(s):\n`);
+      for (const svc of services) {
+        console.log(`  ${svc.id}${svc.name ? ` — ${svc.name}` : ''}`);
+        console.log(`  ├─ capabilities: ${svc.capabilities.join(', ') || 'none listed'}`);
+        console.log(`  ├─ status: ${svc.status}`);
+        console.log(`  └─ ${svc.naddr}`);
+        console.log('');
+      }
       break;
     }
 
@@ -105,19 +563,62 @@ async function main() {
       const positional = args[1] && !args[1].startsWith('--') ? args[1].split(',') : undefined;
       const capabilities = positional || asArray(flags.capabilities);
 
-      const services = await dir.find({
+      const query = {
         capabilities,
-        maxPrice: flags.maxprice ? parseInt(flags.maxprice) : undefined,
+        pubkeys: asArray(flags.pubkeys),
+        dvmKinds: asArray(flags.dvm),
+        includeNip89: flags.nip89 === true,
+        maxPrice: flags.maxprice ? parseFloat(flags.maxprice) : undefined,
+        per: flags.per,
+        workload: workloadFromFlags(flags),
         minTrust: flags.mintrust ? parseInt(flags.mintrust) : undefined,
         status: flags.status,
         includeTrust: flags.trust === true || flags.mintrust !== undefined,
+        excludeDisputed: flags['exclude-disputed'] === true
+          ? true
+          : flags['exclude-disputed'] ? parseFloat(flags['exclude-disputed']) : undefined,
         limit: flags.limit ? parseInt(flags.limit) : undefined,
-        hashtags: asArray(flags.tags)
-      });
+        sort: sortFromFlags(flags),
+        hashtags: asArray(flags.tags),
+        scoring: scoringFromFlags(flags),
+        perspective: asArray(flags.perspective),
+        since: parseTime(flags.since),
+        until: parseTime(flags.until),
+        relayLimit: flags['relay-limit'] ? parseInt(flags['relay-limit']) : undefined,
+        minRelays: flags['min-relays'] ? parseInt(flags['min-relays']) : undefined
+      };
+
+      // --page-size / --cursor: one page of the newest-first iterator
+      const paged = flags['page-size'] !== undefined || flags.cursor !== undefined;
+      let services;
+      let cursor = null;
+      if (paged) {
+        const pages = dir.paginate({
+          ...query,
+          pageSize: flags['page-size'] ? parseInt(flags['page-size']) : undefined,
+          cursor: flags.cursor !== undefined ? parseInt(flags.cursor) : undefined
+        });
+        const { value } = await pages.next();
+        await pages.return();
+        services = value.services;
+        cursor = value.cursor;
+      } else {
+        services = await dir.find(query);
+      }
+
+      if (output === 'json' && paged) {
+        emit({ services: services.map(serviceJson), cursor });
+        break;
+      }
+      if (output !== 'text') {
+        emit(paged ? [...services.map(serviceJson), { cursor }] : services.map(serviceJson));
+        break;
+      }
 
       if (services.length === 0) {
         console.log('No services found.');
-        return;
+        if (paged && cursor !== null) console.log(`Next page: --cursor ${cursor}`);
+        break;
       }
 
       console.log(`Found ${services.length} service(s):\n`);
@@ -126,16 +627,36 @@ async function main() {
         console.log(`  ${header}`);
         console.log(`  ├─ pubkey: ${svc.pubkey.slice(0, 16)}...`);
         console.log(`  ├─ capabilities: ${svc.capabilities.join(', ') || 'none listed'}`);
-        if (svc.price) {
-          console.log(`  ├─ price: ${svc.price.amount} ${svc.price.currency}/${svc.price.per}`);
+        if (svc.dvmKinds.length > 0) {
+          console.log(`  ├─ DVM kinds: ${svc.dvmKinds.join(', ')}${svc.source === 'nip89' ? ' (NIP-89 handler only)' : svc.nip89 ? ' (+ NIP-89 handler)' : ''}`);
+        }
+        if (svc.prices.length > 0) {
+          console.log(`  ├─ price: ${svc.prices.map(formatPrice).join(', ')}`);
+        }
+        if (svc.cost) {
+          console.log(`  ├─ estimated cost: ${Math.round(svc.cost.sats * 1000) / 1000} sats`);
         }
         if (svc.lnAddress) {
           console.log(`  ├─ lightning: ${svc.lnAddress}`);
         }
         if (svc.trust) {
           console.log(`  ├─ trust: score ${svc.trustScore} (${svc.trust.attesters} attester(s))`);
+          if (svc.trust.disputes > 0) {
+            console.log(`  ├─ disputes: ${svc.trust.disputes} (+${svc.trust.positive} / ${svc.trust.negative})`);
+          }
+        }
+        if (svc.ranking) {
+          const parts = Object.entries(svc.ranking.breakdown)
+            .map(([k, b]) => b.value === null ? `${k} unknown` : `${k} ${Math.round(b.contribution * 100) / 100}`);
+          console.log(`  ├─ rank: ${Math.round(svc.ranking.score * 100) / 100} (${parts.join(', ')})`);
+        }
+        if (svc.seenOn && svc.seenOn.length > 0) {
+          console.log(`  ├─ seen on: ${svc.seenOn.join(', ')}`);
         }
         console.log(`  ├─ status: ${svc.status}`);
+        if (svc.naddr) {
+          console.log(`  ├─ naddr: ${svc.naddr}`);
+        }
         if (svc.description) {
           console.log(`  └─ ${svc.description.slice(0, 120)}`);
         } else {
@@ -143,24 +664,61 @@ async function main() {
         }
         console.log('');
       }
+      if (paged) {
+        console.log(cursor !== null ? `Next page: --cursor ${cursor}` : 'No more pages.');
+      }
+      break;
+    }
+
+    case 'relays': {
+      const report = flags['no-probe'] === true ? dir.relayStatus() : await dir.checkRelays();
+
+      if (output !== 'text') {
+        emit(report);
+        break;
+      }
+
+      for (const r of report) {
+        const mark = r.failing ? '✗' : r.selected ? '✓' : '·';
+        console.log(`${mark} ${r.url}`);
+        if (!r.requests) {
+          console.log('    no requests recorded yet');
+          continue;
+        }
+        const rate = Math.round(r.successRate * 100);
+        const latency = r.avgLatencyMs !== null ? `${r.avgLatencyMs} ms` : 'n/a';
+        console.log(`    success ${rate}% (${r.successes}/${r.requests}) · latency ${latency} · events ${r.events}`);
+        if (r.lastError) {
+          console.log(`    last error: ${r.lastError} (${new Date(r.lastErrorAt).toISOString()})`);
+        }
+        if (r.failing) {
+          console.log(`    skipped after ${r.consecutiveFailures} consecutive failures`);
+        }
+      }
       break;
     }
 
     case 'get': {
-      const pubkey = args[1];
-      const serviceId = args[2] || flags.id;
-      if (!pubkey || !serviceId) {
-        console.error('Usage: agent-discovery get <pubkey> <service-id>');
-        process.exit(1);
+      const pubkey = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
+      const serviceId = args[2] && !args[2].startsWith('--') ? args[2] : flags.id;
+      if (!pubkey || (!serviceId && !isNaddr(pubkey))) {
+        fail('Usage: agent-discovery get <pubkey> <service-id>  or  agent-discovery get <naddr>');
       }
 
       const svc = await dir.get(pubkey, serviceId, {
-        includeTrust: flags.trust !== false
+        includeTrust: flags['no-trust'] !== true,
+        scoring: scoringFromFlags(flags),
+        perspective: asArray(flags.perspective)
       });
 
+      if (output !== 'text') {
+        emit(svc ? serviceJson(svc) : null);
+        break;
+      }
+
       if (!svc) {
         console.log('Service not found.');
-        return;
+        break;
       }
 
       // Print without the raw event
@@ -169,24 +727,51 @@ async function main() {
     }
 
     case 'remove': {
-      if (flags.key) {
-        console.warn('Warning: passing --key via CLI exposes your secret in the process list. Consider using NOSTR_SECRET_KEY env var or --key-file instead.');
-      }
-      const sk = flags.key || loadSecretKey();
-      if (!sk) {
-        console.error('Error: No secret key. Set NOSTR_SECRET_KEY env or use --key <hex>');
-        process.exit(1);
-      }
+      const sk = await signerFromFlags(flags);
       const serviceId = args[1] || flags.id;
       if (!serviceId) {
-        console.error('Usage: agent-discovery remove <service-id>');
-        process.exit(1);
+        fail('Usage: agent-discovery remove <service-id>');
       }
 
-      const result = await dir.remove(serviceId, sk);
+      const result = await dir.remove(serviceId, sk, servicePublishOpts);
+      if (output !== 'text') {
+        emit(publishJson('remove', result, { id: serviceId }));
+        break;
+      }
       console.log(`✅ Removed service "${serviceId}"`);
       console.log(`   Event: ${result.eventId}`);
       console.log(`   Relays: ${result.successes}/${result.total} succeeded`);
+      if (result.nip89) {
+        console.log(`   NIP-89 handler cleared: ${result.nip89.eventId} (${result.nip89.successes}/${result.nip89.total} relays)`);
+      }
+      break;
+    }
+
+    case 'attest': {
+      const sk = await signerFromFlags(flags);
+      const pubkey = args[1] && !args[1].startsWith('--') ? args[1] : flags.pubkey;
+      if (!pubkey) {
+        fail('Usage: agent-discovery attest <pubkey> --type <type> [--service <id>] [--comment <text>]');
+      }
+
+      const type = flags.type || 'service-quality';
+      const result = await dir.attest(pubkey, {
+        type,
+        serviceId: flags.service,
+        comment: typeof flags.comment === 'string' ? flags.comment : ''
+      }, sk);
+
+      if (output !== 'text') {
+        emit(publishJson('attest', result, { target: pubkey, targetNpub: npub(pubkey), type }));
+        break;
+      }
+
+      console.log(`✅ Attested ${type} for ${pubkey.slice(0, 16)}...`);
+      console.log(`   Event: ${result.eventId}`);
+      console.log(`   Relays: ${result.successes}/${result.total} succeeded`);
+      if (result.failures.length > 0) {
+        console.log(`   Failures: ${result.failures.join(', ')}`);
+      }
       break;
     }
 
@@ -198,55 +783,187 @@ Usage: agent-discovery <command> [options]
 
 Commands:
   publish    Publish a service announcement
+  sync       Publish changes from a manifest, deactivate removed services
   find       Search for agent services
   get        Get details of a specific service
   remove     Deactivate a service listing
+  attest     Publish an ai.wot attestation about an agent
+  relays     Show relay health (latency, success rate, errors)
+  keys       Generate, show, import or export your (encrypted) key
+  whoami     Show your pubkey and every service published under it
   help       Show this help
 
 Publish:
   agent-discovery publish --id <id> --capabilities <cap1,cap2> [options]
+  agent-discovery publish --file <services.json|yaml>
 
   --id <id>                Service identifier (required, becomes d-tag)
   --name <name>            Display name
   --capabilities <list>    Comma-separated capabilities
-  --price <sats>           Price per request in sats
-  --per <unit>             Price unit (request, month, query — default: request)
+  --price <amounts>        Price per unit; comma-separate several tiers
+  --currency <list>        Price currency: sats, msats, usd, ... (default: sats)
+  --per <list>             Price unit (request, word, minute, month, query — default: request)
+  --tier <list>            Tier name for each price (e.g. basic,pro)
   --ln <address>           Lightning address for payments
   --desc <text>            Human-readable description
   --status <status>        active or inactive (default: active)
   --tags <list>            Comma-separated hashtags
   --dvm <kinds>            NIP-90 DVM kinds (for interop)
-  --key <hex>              Nostr secret key (or set NOSTR_SECRET_KEY)
+  --nip89                  Also publish a NIP-89 handler announcement
+                           (kind 31990) for the --dvm kinds
+  --key <hex|nsec>         Nostr secret key (or set NOSTR_SECRET_KEY)
+  --key-file <path>        Read the key from this file (any publishing command)
+  --bunker <uri>           Sign with a NIP-46 remote signer instead of a
+                           local key: bunker://<pubkey>?relay=...&secret=...
+                           (or set NOSTR_BUNKER; any publishing command)
+  --file <path>            Publish every service in a JSON/YAML manifest
+  --outbox                 Also publish to the relays in your NIP-65 relay
+                           list (kind 10002); works for sync and remove too
+  --retries <n>            Retries per relay after timeouts, dropped
+                           connections or rate limits (default: 2; any
+                           publishing command)
+
+Sync:
+  agent-discovery sync <manifest> [--dry-run]
+
+  Publishes only services whose content differs from what relays hold,
+  and marks active services missing from the manifest as inactive.
+  --dry-run                Show the plan without publishing
 
 Find:
   agent-discovery find [capabilities] [options]
 
   --capabilities <list>    Filter by capabilities (or use positional arg)
-  --maxprice <sats>        Maximum price in sats
+  --pubkeys <list>         Only these providers (hex, npub or nprofile)
+  --dvm <kinds>            Only services handling these NIP-90 job kinds
+  --nip89                  Also find DVMs that only announce NIP-89
+                           handlers (kind 31990); merged by pubkey
+  --maxprice <sats>        Maximum estimated cost in sats (any currency is
+                           converted; default workload is one request)
+  --per <unit>             Only services priced per this unit (word, minute, ...)
+  --words <n>              Estimate cost for n words (also --requests,
+                           --minutes, --queries, --months)
   --mintrust <score>       Minimum ai.wot trust score
   --trust                  Include trust scores in results
+  --exclude-disputed [d]   Drop providers with disputes (in the last d days)
   --status <status>        Filter by status (default: active)
   --limit <n>              Max results
   --tags <list>            Filter by hashtags
+  --sort <how>             price, trust, recency, relay-coverage, or weights
+                           like trust:0.6,price:0.3,freshness:0.1
+  --since <time>           Only announcements since (unix seconds or date)
+  --until <time>           Only announcements until (unix seconds or date)
+  --relay-limit <n>        Max events each relay returns
+  --min-relays <n>         Only listings returned by at least n relays
+  --page-size <n>          Fetch one page, newest first, and print the next cursor
+  --cursor <cursor>        Continue paging from a previous cursor
+
+Trust scoring (find, get):
+  --strategy <name>        basic (default) or wot (decay, zaps, multi-hop)
+  --seeds <pubkeys>        Trusted seed pubkeys for multi-hop trust (implies wot)
+  --hops <n>               Max hops from the seeds (default: 2)
+  --halflife <days>        Attestation half-life in days (default: 90, 0 = no decay)
+  --verify-zaps            Count zaps, checking receipts against the attesters'
+                           LNURL providers (HTTP requests to their lud16 hosts;
+                           implies wot)
+  --perspective <pubkeys>  Only count attesters reachable from these pubkeys
+                           via ai.wot attestations or follow lists
 
 Get:
-  agent-discovery get <pubkey> <service-id> [--trust]
+  agent-discovery get <pubkey> <service-id> [--no-trust]
+  agent-discovery get <naddr> [--no-trust]
+
+  <pubkey> may be hex, an npub or an nprofile; an naddr (shown by find
+  and whoami) names the provider, the service and relays to ask.
+
+  Also asks the relays the provider lists in its NIP-65 relay list.
+  --no-outbox              Only ask the configured relays
+  --no-trust               Skip fetching attestations and the trust score
 
 Remove:
-  agent-discovery remove <service-id> [--key <hex>]
+  agent-discovery remove <service-id> [--key <hex> | --bunker <uri>] [--nip89]
+
+  --nip89                  Also clear the service's NIP-89 handler (kind 31990)
+
+Attest:
+  agent-discovery attest <pubkey> [options]
+
+  --type <type>            service-quality (default), work-completed,
+                           identity-continuity, general-trust,
+                           dispute, non-delivery, spam
+  --service <id>           Service id (d-tag) the attestation is about
+  --comment <text>         Free-text comment
+  --key <hex|nsec>         Nostr secret key (or set NOSTR_SECRET_KEY)
+
+Relays:
+  agent-discovery relays [--no-probe]
+
+  Probes each relay, then prints latency, success rate, events returned
+  and the last error. Relays that keep failing are skipped for a while.
+  --no-probe               Print recorded stats without probing
+  --health-file [path]     (any command) Keep relay stats across runs, in
+                           <path> or relays.json in the cache directory
+                           (or set AGENT_DISCOVERY_HEALTH_FILE=1)
+  --max-relays <n>         (any command) Read from the best n relays only
+
+Keys:
+  agent-discovery keys generate [--key-file <path>] [--force]
+  agent-discovery keys import [<hex|nsec|ncryptsec>]   (or pipe it on stdin)
+  agent-discovery keys show
+  agent-discovery keys export [--nsec | --hex]
+  agent-discovery whoami
+
+  Keys are saved password-protected (NIP-49 ncryptsec) to --key-file,
+  $NOSTR_KEYS_FILE or ~/.nostr-keys.json. Commands that sign ask for the
+  password (or read NOSTR_KEY_PASSWORD). export prints the ncryptsec
+  unless --nsec or --hex is given. hex, nsec and ncryptsec keys are
+  accepted everywhere a key is.
+
+Cache (find, get):
+  Off unless asked for. Results are kept in $XDG_CACHE_HOME/agent-discovery
+  (default ~/.cache/agent-discovery).
+  --cache                  Answer from fresh cache entries; refresh stale
+                           ones in the background
+  --cache refresh          Always ask relays, but record what they return
+  --offline                Answer from the cache only, without relays
+  --no-cache               Ignore AGENT_DISCOVERY_CACHE for this run
+
+Output (all commands):
+  --json                   Machine-readable JSON (full pubkeys, npubs,
+                           per-relay results, trust details)
+  --ndjson                 Newline-delimited JSON, one result per line
+                           Errors are printed as { "error": { code, message } }
+                           with a non-zero exit code.
 
 Environment:
-  NOSTR_SECRET_KEY    Nostr secret key (hex)
-  NOSTR_KEYS_FILE     Path to JSON file with secretKeyHex field
+  NOSTR_SECRET_KEY    Nostr secret key (hex, nsec or ncryptsec)
+  NOSTR_KEYS_FILE     Key file: { ncryptsec } from keys generate, or { secretKeyHex }
+  NOSTR_KEY_PASSWORD  Password for an ncryptsec key (instead of a prompt)
+  NOSTR_BUNKER        bunker:// URI of a NIP-46 remote signer
+  AGENT_DISCOVERY_CACHE        Use the cache by default: 1 (or swr), refresh
+  AGENT_DISCOVERY_HEALTH_FILE  Keep relay stats: 1, or a file path
 
 Event Kind: 38990 (parameterized replaceable)
 Protocol:   https://github.com/jeletor/agent-discovery
 `);
       break;
   }
+
+  // Let background cache revalidation finish, then release pooled
+  // relay connections so the process can exit
+  if (dir.cache) await dir.cache.settle();
+  for (const signer of openSigners) signer.close();
+  dir.close();
 }
 
 main().catch(err => {
-  console.error('Error:', err.message);
+  const code = err.code || 'ERROR';
+  if (output !== 'text') {
+    emit({ error: { code, message: err.message } });
+  } else if (code === 'USAGE') {
+    console.error(err.message);
+  } else {
+    console.error('Error:', err.message);
+  }
   process.exit(1);
 });
@@ -0,0 +1,270 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { matchFilter } = require('nostr-tools');
+const { CACHE_TTL_DEFAULTS } = require('./constants');
+
+const CACHE_VERSION = 1;
+
+// Expired entries are still served offline; they're dropped after this long
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Changes are written to the file at most this often (and on flush())
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Default cache location: $XDG_CACHE_HOME/agent-discovery or ~/.cache/agent-discovery.
+ */
+function defaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'agent-discovery');
+}
+
+function emptyStore() {
+  return { version: CACHE_VERSION, services: {}, queries: {}, attestations: {}, targets: {} };
+}
+
+/**
+ * Persistent cache of parsed services and raw attestation events.
+ *
+ * Entries are JSON in one file, each with its own storedAt / expiresAt:
+ *   services     — parsed service (with raw event), keyed by pubkey:d-tag
+ *   queries      — when a relay filter was last answered, keyed by filter + relays
+ *   attestations — raw kind 1985 events, keyed by event id
+ *   targets      — attestation event ids per attested pubkey
+ *
+ * Fresh entries answer without touching relays; stale ones answer
+ * immediately while revalidate() refreshes them in the background.
+ * Writes are batched: the file is rewritten once per burst of changes,
+ * so call flush() (dir.close() does) before exiting.
+ *
+ * @param {object} opts
+ * @param {string|null} opts.file - JSON file (default: <cache dir>/cache.json; null = memory only)
+ * @param {object} opts.ttl - { services, queries, attestations } in ms (see CACHE_TTL_DEFAULTS)
+ * @param {number} opts.maxAgeMs - Drop entries this long past expiry (default: 7 days)
+ */
+class DiscoveryCache {
+  constructor(opts = {}) {
+    this.file = opts.file !== undefined ? opts.file : path.join(defaultCacheDir(), 'cache.json');
+    this.ttl = { ...CACHE_TTL_DEFAULTS, ...opts.ttl };
+    this.maxAgeMs = opts.maxAgeMs !== undefined ? opts.maxAgeMs : DEFAULT_MAX_AGE_MS;
+    this.data = null;
+    this._revalidating = new Map(); // key -> promise
+    this._saveTimer = null;
+    this._dirty = false;
+  }
+
+  /** True if the entry exists and hasn't expired. */
+  isFresh(entry) {
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  // ─── Services ───
+
+  /**
+   * Store parsed services, keeping the newest version per pubkey + d-tag.
+   */
+  putServices(services, { ttlMs = this.ttl.services } = {}) {
+    const store = this._load();
+    for (const svc of services) {
+      const key = `${svc.pubkey}:${svc.id}`;
+      const existing = store.services[key];
+      if (existing && existing.value.createdAt > svc.createdAt) continue;
+      // Copy: callers decorate results (trust, cost, ranking) after parsing
+      const value = { ...svc };
+      const prior = existing && existing.value;
+      if (prior && prior.eventId === svc.eventId && prior.seenOn && svc.seenOn) {
+        // Same event seen again: keep every relay it was seen on and the earliest sighting
+        value.seenOn = [...new Set([...prior.seenOn, ...svc.seenOn])];
+        const times = [prior.firstSeenAt, svc.firstSeenAt].filter(t => typeof t === 'number');
+        value.firstSeenAt = times.length > 0 ? Math.min(...times) : null;
+      }
+      store.services[key] = this._entry(value, ttlMs);
+    }
+    this._save();
+  }
+
+  /** Cached entry for one service, or null. */
+  getService(pubkey, serviceId) {
+    return this._load().services[`${pubkey}:${serviceId}`] || null;
+  }
+
+  /** seenOn / firstSeenAt recorded with a cached service event, or null. */
+  serviceProvenance(event) {
+    const d = event.tags.find(t => t[0] === 'd');
+    const entry = this.getService(event.pubkey, d ? d[1] : '');
+    if (!entry || entry.value.eventId !== event.id || !entry.value.seenOn) return null;
+    return { seenOn: entry.value.seenOn, firstSeenAt: entry.value.firstSeenAt };
+  }
+
+  /**
+   * Raw events of cached services matching a NIP-01 filter, newest first,
+   * honoring the filter's limit.
+   */
+  serviceEvents(filter) {
+    const events = Object.values(this._load().services)
+      .map(entry => entry.value.raw)
+      .filter(event => event && matchFilter(filter, event))
+      .sort((a, b) => b.created_at - a.created_at);
+    return filter.limit !== undefined ? events.slice(0, filter.limit) : events;
+  }
+
+  // ─── Queries ───
+
+  /** Stable key for a filter sent to a set of relays. */
+  queryKey(filter, relays) {
+    const sorted = {};
+    for (const k of Object.keys(filter).sort()) sorted[k] = filter[k];
+    return JSON.stringify({ filter: sorted, relays: [...relays].sort() });
+  }
+
+  getQuery(key) {
+    return this._load().queries[key] || null;
+  }
+
+  /** Record that a query was just answered by the relays. */
+  markQuery(key, { ttlMs = this.ttl.queries } = {}) {
+    this._load().queries[key] = this._entry(true, ttlMs);
+    this._save();
+  }
+
+  // ─── Attestations ───
+
+  /**
+   * Store attestations grouped by target (see fetchAttestationsBatch).
+   * A target's list is replaced, so revoked attestations drop out.
+   */
+  putAttestations(byTarget, { ttlMs = this.ttl.attestations } = {}) {
+    const store = this._load();
+    for (const [target, events] of byTarget) {
+      store.targets[target] = this._entry(events.map(e => e.id), ttlMs);
+      for (const event of events) {
+        store.attestations[event.id] = this._entry(event, ttlMs);
+      }
+    }
+    this._save();
+  }
+
+  /** Cached target entry ({ value: eventIds, storedAt, expiresAt }), or null. */
+  getAttestations(pubkey) {
+    return this._load().targets[pubkey] || null;
+  }
+
+  /** Cached attestation events about a pubkey. */
+  attestationEvents(pubkey) {
+    const store = this._load();
+    const target = store.targets[pubkey];
+    if (!target) return [];
+    return target.value
+      .map(id => store.attestations[id] && store.attestations[id].value)
+      .filter(Boolean);
+  }
+
+  // ─── Revalidation ───
+
+  /**
+   * Run fn in the background unless a revalidation for key is already running.
+   * Failures are swallowed — the stale entry keeps serving.
+   */
+  revalidate(key, fn) {
+    if (this._revalidating.has(key)) return this._revalidating.get(key);
+    const promise = Promise.resolve()
+      .then(fn)
+      .catch(() => { /* keep serving the stale entry */ })
+      .then(() => { this._revalidating.delete(key); });
+    this._revalidating.set(key, promise);
+    return promise;
+  }
+
+  /** Resolves when all background revalidations have finished. */
+  async settle() {
+    while (this._revalidating.size > 0) {
+      await Promise.all(this._revalidating.values());
+    }
+  }
+
+  // ─── Housekeeping ───
+
+  /** Entry counts per section. */
+  stats() {
+    const store = this._load();
+    return {
+      services: Object.keys(store.services).length,
+      queries: Object.keys(store.queries).length,
+      attestations: Object.keys(store.attestations).length,
+      targets: Object.keys(store.targets).length
+    };
+  }
+
+  /** Remove every entry (and the file's contents). */
+  clear() {
+    this.data = emptyStore();
+    this._save();
+  }
+
+  _entry(value, ttlMs) {
+    const now = Date.now();
+    return { value, storedAt: now, expiresAt: now + ttlMs };
+  }
+
+  _load() {
+    if (this.data) return this.data;
+    this.data = emptyStore();
+    if (!this.file) return this.data;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (stored && stored.version === CACHE_VERSION) {
+        this.data = { ...emptyStore(), ...stored };
+      }
+    } catch (e) { /* missing or corrupt: start empty */ }
+    return this.data;
+  }
+
+  _prune() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    for (const section of ['services', 'queries', 'attestations', 'targets']) {
+      const entries = this.data[section];
+      for (const key of Object.keys(entries)) {
+        if (entries[key].expiresAt < cutoff) delete entries[key];
+      }
+    }
+  }
+
+  // Schedule a write; unref'd so a pending write never keeps the process alive
+  _save() {
+    if (!this.file) return;
+    this._dirty = true;
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    if (this._saveTimer.unref) this._saveTimer.unref();
+  }
+
+  /** Write pending changes to the file now. */
+  flush() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    if (!this.file || !this._dirty) return;
+    this._dirty = false;
+    this._prune();
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      // Write-then-rename so concurrent readers never see a partial file
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.data));
+      fs.renameSync(tmp, this.file);
+    } catch (e) { /* the cache is best-effort */ }
+  }
+}
+
+/**
+ * Accept a DiscoveryCache, true (default location), or DiscoveryCache options.
+ */
+function resolveCache(cache) {
+  if (!cache) return undefined;
+  if (cache instanceof DiscoveryCache) return cache;
+  return new DiscoveryCache(cache === true ? {} : cache);
+}
+
+module.exports = { DiscoveryCache, resolveCache, defaultCacheDir };
@@ -18,11 +18,95 @@ const DEFAULT_TIMEOUT_MS = 15000;
 const ATTESTATION_KIND = 1985;
 const WOT_NAMESPACE = 'ai.wot';
 
+// Max pubkeys per '#p' filter when batching attestation lookups.
+// Many relays cap filter array sizes; stay well under common limits.
+const ATTESTATION_BATCH_SIZE = 100;
+
+// Verifying zaps asks LNURL servers named in untrusted profiles; cap how
+// many one query contacts
+const MAX_ZAP_LOOKUPS = 20;
+
+// Negative weights flag bad actors (disputes) and subtract from the score
 const TRUST_WEIGHTS = {
   'service-quality': 1.5,
   'identity-continuity': 1.0,
   'general-trust': 0.8,
-  'work-completed': 1.2
+  'work-completed': 1.2,
+  'dispute': -1.5,
+  'non-delivery': -2.0,
+  'spam': -1.0
+};
+
+// Defaults for the full ai.wot ('wot') scoring strategy
+const WOT_SCORING_DEFAULTS = {
+  halfLifeDays: 90,   // attestation weight halves every 90 days
+  zapWeight: 0.5,     // +0.5× per order of magnitude of zapped sats
+  hopDampening: 0.5,  // attester trust halves per hop from the seeds
+  maxHops: 2          // how far trust propagates from the seeds
+};
+
+// Zap requests and receipts (NIP-57), and the profile (kind 0) naming
+// the lightning address whose provider signs the receipts
+const ZAP_REQUEST_KIND = 9734;
+const ZAP_RECEIPT_KIND = 9735;
+const PROFILE_KIND = 0;
+
+// Event deletions (NIP-09) — used to revoke attestations
+const DELETION_KIND = 5;
+
+// Follow lists (NIP-02)
+const CONTACT_LIST_KIND = 3;
+
+// On-disk cache: how long entries answer without asking relays (ms)
+const CACHE_TTL_DEFAULTS = {
+  services: 5 * 60 * 1000,
+  queries: 5 * 60 * 1000,
+  attestations: 60 * 60 * 1000
+};
+
+// Relay lists (NIP-65): where a pubkey reads and writes
+const RELAY_LIST_KIND = 10002;
+
+// Outbox model: at most this many relays from each pubkey's list, and
+// how long a fetched list is reused before asking again (ms)
+const OUTBOX_RELAYS_PER_PUBKEY = 3;
+const RELAY_LIST_TTL_MS = 10 * 60 * 1000;
+
+// NIP-89 handler information: how DVMs announce the job kinds they serve
+const HANDLER_INFO_KIND = 31990;
+
+// NIP-90 jobs: a request of kind 5xxx is answered by a result of kind
+// 5xxx + 1000, with kind 7000 feedback (payment-required, processing, ...)
+// along the way; requesters wait this long for the result (ms)
+const JOB_RESULT_OFFSET = 1000;
+const JOB_FEEDBACK_KIND = 7000;
+const DEFAULT_JOB_TIMEOUT_MS = 60000;
+
+// Private messages (NIP-17): a kind 14 message is sealed (NIP-59, kind 13)
+// by its author and gift-wrapped (kind 1059) under a throwaway key for each
+// recipient, who lists the relays to send it to as kind 10050
+const DIRECT_MESSAGE_KIND = 14;
+const SEAL_KIND = 13;
+const GIFT_WRAP_KIND = 1059;
+const DM_RELAY_LIST_KIND = 10050;
+
+// How many relays an naddr (NIP-19) for a service names as hints
+const NADDR_RELAY_HINTS = 3;
+
+// Relay authentication (NIP-42)
+const CLIENT_AUTH_KIND = 22242;
+
+// Remote signing (NIP-46): encrypted requests to and answers from a bunker
+const NOSTR_CONNECT_KIND = 24133;
+// How long a request the bunker asked the user to approve (auth_url) may wait
+const BUNKER_APPROVAL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Publishing: how often a transient failure (timeout, dropped socket,
+// 'rate-limited:' or 'error:' from the relay) is retried, and the first
+// backoff delay (ms), doubled per retry
+const PUBLISH_RETRY_DEFAULTS = {
+  retries: 2,
+  retryDelayMs: 500
 };
 
 module.exports = {
@@ -31,5 +115,30 @@ module.exports = {
   DEFAULT_TIMEOUT_MS,
   ATTESTATION_KIND,
   WOT_NAMESPACE,
-  TRUST_WEIGHTS
+  ATTESTATION_BATCH_SIZE,
+  MAX_ZAP_LOOKUPS,
+  TRUST_WEIGHTS,
+  WOT_SCORING_DEFAULTS,
+  ZAP_REQUEST_KIND,
+  ZAP_RECEIPT_KIND,
+  PROFILE_KIND,
+  DELETION_KIND,
+  CONTACT_LIST_KIND,
+  CACHE_TTL_DEFAULTS,
+  RELAY_LIST_KIND,
+  OUTBOX_RELAYS_PER_PUBKEY,
+  RELAY_LIST_TTL_MS,
+  NADDR_RELAY_HINTS,
+  HANDLER_INFO_KIND,
+  JOB_RESULT_OFFSET,
+  JOB_FEEDBACK_KIND,
+  DEFAULT_JOB_TIMEOUT_MS,
+  DIRECT_MESSAGE_KIND,
+  SEAL_KIND,
+  GIFT_WRAP_KIND,
+  DM_RELAY_LIST_KIND,
+  CLIENT_AUTH_KIND,
+  NOSTR_CONNECT_KIND,
+  BUNKER_APPROVAL_TIMEOUT_MS,
+  PUBLISH_RETRY_DEFAULTS
 };
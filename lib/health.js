@@ -0,0 +1,210 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { defaultCacheDir } = require('./cache');
+
+const HEALTH_VERSION = 1;
+
+// Stats are written to the file at most this often (and on flush())
+const SAVE_DELAY_MS = 1000;
+
+const DEFAULT_HEALTH = {
+  failureThreshold: 3,   // consecutive failures before a relay is skipped
+  cooldownMs: 30000,     // first skip period; doubles per further failure
+  maxCooldownMs: 3600000,
+  latencyWeight: 0.3     // EWMA smoothing for average latency
+};
+
+function emptyStats(url) {
+  return {
+    url,
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    events: 0,
+    avgLatencyMs: null,
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null
+  };
+}
+
+/**
+ * Per-relay health stats, kept across calls and optionally persisted.
+ *
+ * queryRelays() and publishToRelays() report every request (opts.health):
+ * latency, whether it succeeded (EOSE / OK), how many events came back and
+ * the last error. select() uses that to rank relays and to skip relays that
+ * keep failing until a cooldown passes.
+ * Writes to the file are batched like DiscoveryCache's, so call flush()
+ * (dir.close() does) before exiting.
+ *
+ * @param {object} opts
+ * @param {string|boolean} opts.file - JSON file to persist to; true for
+ *   <cache dir>/relays.json (default: memory only)
+ * @param {number} opts.failureThreshold - Consecutive failures before skipping (default: 3)
+ * @param {number} opts.cooldownMs - How long a failing relay is skipped at first (default: 30s)
+ * @param {number} opts.maxCooldownMs - Upper bound for the doubling cooldown (default: 1h)
+ */
+class RelayHealth {
+  constructor(opts = {}) {
+    this.file = opts.file === true ? path.join(defaultCacheDir(), 'relays.json') : (opts.file || null);
+    this.options = { ...DEFAULT_HEALTH, ...opts };
+    this.relays = new Map(); // url -> stats
+    this._saveTimer = null;
+    this._dirty = false;
+    this._load();
+  }
+
+  /**
+   * Record the outcome of one request to a relay.
+   *
+   * @param {string} url
+   * @param {object} outcome - { ok, latencyMs, events, error }
+   */
+  record(url, outcome) {
+    const stats = this._stats(url);
+    const now = Date.now();
+    stats.requests++;
+    stats.events += outcome.events || 0;
+
+    if (outcome.latencyMs !== undefined) {
+      const w = this.options.latencyWeight;
+      stats.avgLatencyMs = stats.avgLatencyMs === null
+        ? outcome.latencyMs
+        : Math.round((1 - w) * stats.avgLatencyMs + w * outcome.latencyMs);
+    }
+
+    if (outcome.ok) {
+      stats.successes++;
+      stats.consecutiveFailures = 0;
+      stats.lastSuccessAt = now;
+    } else {
+      stats.failures++;
+      stats.consecutiveFailures++;
+      stats.lastError = outcome.error || 'unknown error';
+      stats.lastErrorAt = now;
+    }
+    this._save();
+  }
+
+  /**
+   * True while a relay is in its failure cooldown.
+   */
+  isFailing(url) {
+    const stats = this.relays.get(url);
+    if (!stats || stats.consecutiveFailures < this.options.failureThreshold) return false;
+    const extra = stats.consecutiveFailures - this.options.failureThreshold;
+    const cooldown = Math.min(this.options.maxCooldownMs, this.options.cooldownMs * 2 ** extra);
+    return Date.now() - stats.lastErrorAt < cooldown;
+  }
+
+  /**
+   * Ranking score: smoothed success rate, discounted by latency.
+   * Relays never tried score as an even bet so they get explored.
+   */
+  score(url) {
+    const stats = this.relays.get(url);
+    if (!stats || stats.requests === 0) return 0.5;
+    const rate = (stats.successes + 1) / (stats.requests + 2);
+    const latency = stats.avgLatencyMs === null ? 0 : stats.avgLatencyMs;
+    return rate / (1 + latency / 1000);
+  }
+
+  /**
+   * Pick relays to use: failing ones are skipped, the rest ordered best
+   * first and capped at `max`. Never returns an empty list — if every
+   * relay is failing, all of them are tried.
+   *
+   * @param {string[]} relays - Candidate relay URLs
+   * @param {number} max - How many to return (default: all healthy ones)
+   */
+  select(relays, max) {
+    const healthy = relays.filter(url => !this.isFailing(url));
+    const ranked = (healthy.length > 0 ? healthy : relays)
+      .map((url, i) => ({ url, i, score: this.score(url) }))
+      .sort((a, b) => b.score - a.score || a.i - b.i)
+      .map(r => r.url);
+    return max ? ranked.slice(0, max) : ranked;
+  }
+
+  /**
+   * Stats for the given relays (default: every relay seen), with
+   * successRate and failing flags filled in.
+   */
+  report(relays = Array.from(this.relays.keys())) {
+    return relays.map((url) => {
+      const stats = this.relays.get(url) || emptyStats(url);
+      return {
+        ...stats,
+        successRate: stats.requests > 0 ? stats.successes / stats.requests : null,
+        failing: this.isFailing(url),
+        score: this.score(url)
+      };
+    });
+  }
+
+  /** Forget all stats (and clear the file). */
+  reset() {
+    this.relays.clear();
+    this._save();
+  }
+
+  _stats(url) {
+    let stats = this.relays.get(url);
+    if (!stats) {
+      stats = emptyStats(url);
+      this.relays.set(url, stats);
+    }
+    return stats;
+  }
+
+  _load() {
+    if (!this.file) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (stored && stored.version === HEALTH_VERSION) {
+        for (const stats of stored.relays) {
+          this.relays.set(stats.url, { ...emptyStats(stats.url), ...stats });
+        }
+      }
+    } catch (e) { /* missing or corrupt: start empty */ }
+  }
+
+  // Schedule a write; unref'd so a pending write never keeps the process alive
+  _save() {
+    if (!this.file) return;
+    this._dirty = true;
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    if (this._saveTimer.unref) this._saveTimer.unref();
+  }
+
+  /** Write pending stats to the file now. */
+  flush() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    if (!this.file || !this._dirty) return;
+    this._dirty = false;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      // Write-then-rename so concurrent readers never see a partial file
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: HEALTH_VERSION, relays: Array.from(this.relays.values()) }));
+      fs.renameSync(tmp, this.file);
+    } catch (e) { /* stats are best-effort */ }
+  }
+}
+
+/**
+ * Accept a RelayHealth, true (in memory), or RelayHealth options.
+ */
+function resolveHealth(health) {
+  if (!health) return undefined;
+  if (health instanceof RelayHealth) return health;
+  return new RelayHealth(health === true ? {} : health);
+}
+
+module.exports = { RelayHealth, resolveHealth };
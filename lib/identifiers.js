@@ -0,0 +1,68 @@
+'use strict';
+
+const { nip19 } = require('nostr-tools');
+const { SERVICE_KIND, HANDLER_INFO_KIND, NADDR_RELAY_HINTS } = require('./constants');
+
+/**
+ * Turn a pubkey in any common form into 64-char lowercase hex.
+ * Accepts hex, npub and nprofile (NIP-19); anything else throws.
+ */
+function decodePubkey(input) {
+  if (typeof input !== 'string') throw new Error('Pubkey must be a string');
+  const value = input.trim();
+  if (/^[0-9a-fA-F]{64}$/.test(value)) return value.toLowerCase();
+  if (value.startsWith('npub1') || value.startsWith('nprofile1')) {
+    try {
+      const { type, data } = nip19.decode(value);
+      if (type === 'npub') return data;
+      if (type === 'nprofile') return data.pubkey;
+    } catch (e) { /* fall through */ }
+  }
+  throw new Error(`Invalid pubkey: ${input} (expected hex, npub or nprofile)`);
+}
+
+/**
+ * NIP-19 naddr of a service listing: kind 38990 (or `kind`), author,
+ * d-tag, and up to NADDR_RELAY_HINTS relays it can be found on. Null when
+ * the pubkey isn't hex or the id is missing.
+ */
+function serviceNaddr(pubkey, serviceId, relays = [], kind = SERVICE_KIND) {
+  if (typeof serviceId !== 'string' || !/^[0-9a-f]{64}$/.test(pubkey)) return null;
+  return nip19.naddrEncode({
+    kind,
+    pubkey,
+    identifier: serviceId,
+    relays: relays.slice(0, NADDR_RELAY_HINTS)
+  });
+}
+
+function isNaddr(value) {
+  return typeof value === 'string' && value.trim().startsWith('naddr1');
+}
+
+/**
+ * Decode a service naddr into { pubkey, id, relays, kind }. The kind is
+ * 38990 for listings, or 31990 for DVMs known only from a NIP-89 handler.
+ * Throws for other identifiers and for naddrs of other kinds.
+ */
+function decodeServiceAddress(naddr) {
+  let decoded;
+  try {
+    decoded = nip19.decode(naddr.trim());
+  } catch (e) {
+    throw new Error(`Invalid naddr: ${naddr}`);
+  }
+  if (decoded.type !== 'naddr') throw new Error(`Not an naddr: ${naddr}`);
+  const { kind, pubkey, identifier, relays = [] } = decoded.data;
+  if (kind !== SERVICE_KIND && kind !== HANDLER_INFO_KIND) {
+    throw new Error(`naddr points to kind ${kind}, not a service listing (${SERVICE_KIND}) or handler (${HANDLER_INFO_KIND})`);
+  }
+  return { pubkey, id: identifier, relays, kind };
+}
+
+module.exports = {
+  decodePubkey,
+  serviceNaddr,
+  isNaddr,
+  decodeServiceAddress
+};
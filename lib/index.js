@@ -1,13 +1,76 @@
 'use strict';
 
-const { publishService, removeService } = require('./publish');
-const { findServices, getService } = require('./query');
-const { enrichWithTrust, fetchAttestations, calculateTrustScore } = require('./trust');
-const { parseServiceEvent, buildServiceTags } = require('./parse');
+const { publishService, removeService, publishAttestation, publishRelayList } = require('./publish');
+const { findServices, paginateServices, getService } = require('./query');
+const { watchServices } = require('./watch');
+const { validateManifest, loadManifest, planSync, syncServices } = require('./manifest');
+const {
+  enrichWithTrust,
+  fetchAttestations,
+  fetchAttestationsBatch,
+  groupAttestationsByTarget,
+  applyRevocations,
+  fetchZapTotals,
+  fetchZapperPubkeys,
+  fetchHopDistances,
+  calculateTrustScore
+} = require('./trust');
+const { TRUST_STRATEGIES } = require('./scoring');
+const { parseServiceEvent, buildServiceTags, buildAttestationTags } = require('./parse');
+const { parseHandlerEvent, mergeHandlers } = require('./nip89');
+const { requestJob, parseJobFeedback, parseJobResult } = require('./jobs');
+const { sendMessage, fetchInbox, fetchInboxRelays, unwrapGiftWrap } = require('./messages');
+const { RelayPool } = require('./pool');
+const { queryRelays } = require('./relay');
+const { DiscoveryCache, resolveCache } = require('./cache');
+const { RelayHealth, resolveHealth } = require('./health');
+const { parseRelayList, fetchRelayLists, outboxRelays } = require('./outbox');
+const { BunkerSigner, localSigner, parseBunkerUri } = require('./signer');
+const { decodeSecretKey, encryptSecretKey, decryptSecretKey, describeKey } = require('./keys');
+const { decodePubkey, serviceNaddr, decodeServiceAddress, isNaddr } = require('./identifiers');
+const { validateService, validateServiceEvent } = require('./validate');
+const { rankServices } = require('./ranking');
+const { staticRates, createRateProvider, normalizePrice, estimateCost } = require('./pricing');
 const { SERVICE_KIND, DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
 
 /**
  * Create a directory instance with preconfigured relays and timeout.
+ *
+ * The directory owns a RelayPool, so every find/get/trust/publish call
+ * reuses one connection per relay. Call dir.close() when finished.
+ * Pass `pool` to share an existing RelayPool (it is not closed by dir.close()),
+ * or `pool: false` to open a fresh socket per call.
+ * `scoring` sets the default trust scoring options for find/get
+ * (e.g. { strategy: 'wot', seeds: [...] }), and `perspective` the default
+ * root pubkey(s) trust is measured from. `rates` is the currency rate
+ * provider (or table of sats per unit) used to normalize prices in find/watch.
+ *
+ * `cache` (true, DiscoveryCache options, or a DiscoveryCache) keeps parsed
+ * services and attestations on disk for find/get with stale-while-revalidate
+ * semantics; `cacheMode: 'refresh'` always asks relays but still fills the
+ * cache, and `offline: true` answers from the cache alone. dir.close()
+ * writes pending cache (and relay health) changes to disk.
+ *
+ * Relay health (latency, success rate, errors) is tracked per relay;
+ * relays that keep failing are skipped for a cooldown, and `maxRelays`
+ * limits reads to the best N. Pass `health` (RelayHealth options such as
+ * { file: true } to persist, or an instance) or `health: false` to disable.
+ *
+ * get and watch (for given pubkeys) follow the outbox model: the provider's
+ * NIP-65 relay list is looked up and its write relays are asked too.
+ * `outbox: false` sticks to the configured relays. Lookups are reused
+ * for a while per directory.
+ *
+ * Publishes retry transient failures (`retries`, `retryDelayMs`; see
+ * publishToRelays) and answer NIP-42 AUTH challenges with the publishing key.
+ *
+ * `signer` ({ getPublicKey, signEvent }: a BunkerSigner, localSigner(key),
+ * or a NIP-07 window.nostr) signs publish/remove/sync/attest/publishRelayList
+ * when they are called without a secret key.
+ *
+ * request() invokes a DVM-capable service as a NIP-90 job and resolves
+ * with the result, reporting feedback (payment-required, processing) on the way.
+ * message() and inbox() exchange NIP-17 private messages with providers.
  * 
  * @example
  * const { createDirectory } = require('agent-discovery');
@@ -24,10 +87,42 @@ const { SERVICE_KIND, DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constant
  *   lnAddress: 'me@getalby.com',
  *   description: 'Text generation powered by Claude.'
  * }, secretKeyHex);
+ *
+ * dir.close();
  */
 function createDirectory(opts = {}) {
   const relays = opts.relays || DEFAULT_RELAYS;
   const timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const scoring = opts.scoring;
+  const perspective = opts.perspective;
+  const rates = opts.rates;
+  const cache = resolveCache(opts.cache);
+  const cacheMode = opts.offline ? 'offline' : opts.cacheMode;
+  if (cacheMode === 'offline' && !cache) throw new Error('Offline mode needs a cache');
+  // Health tracking is on unless disabled; maxRelays picks the best N for reads
+  const maxRelays = opts.maxRelays;
+  const health = opts.health === false ? undefined : resolveHealth(opts.health || true);
+  const readRelays = () => health ? health.select(relays, maxRelays) : relays.slice(0, maxRelays || relays.length);
+  const writeRelays = () => health ? health.select(relays) : relays;
+  const outbox = opts.outbox !== false;
+  const relayLists = new Map(); // pubkey -> NIP-65 lookup, see fetchRelayLists
+  const retry = { retries: opts.retries, retryDelayMs: opts.retryDelayMs };
+  const keyOrSigner = (secretKey) => secretKey || opts.signer;
+  const ownsPool = !opts.pool && opts.pool !== false;
+  const pool = ownsPool
+    ? new RelayPool({ timeoutMs, reconnect: opts.reconnect })
+    : (opts.pool || undefined);
+
+  const relayStatusReport = () => {
+    const selected = readRelays();
+    const connections = new Map((pool ? pool.status() : []).map(c => [c.url, c]));
+    const stats = health ? health.report(relays) : relays.map(url => ({ url }));
+    return stats.map(entry => ({
+      ...entry,
+      selected: selected.includes(entry.url),
+      connected: connections.has(entry.url) ? connections.get(entry.url).connected : false
+    }));
+  };
 
   return {
     /**
@@ -35,46 +130,228 @@ function createDirectory(opts = {}) {
      * @param {object} queryOpts - See findServices() for options
      */
     find: (queryOpts = {}) => findServices({
-      relays,
+      relays: readRelays(),
       timeoutMs,
+      pool,
+      health,
+      scoring,
+      perspective,
+      rates,
+      cache,
+      cacheMode,
       ...queryOpts
     }),
 
     /**
-     * Get a specific service by pubkey and id.
+     * Page back through matching services, newest first, across all relays.
+     * Async iterable of { services, cursor }.
+     * @param {object} queryOpts - See paginateServices() for options
      */
-    get: (pubkey, serviceId, getOpts = {}) => getService(pubkey, serviceId, {
-      relays,
+    paginate: (queryOpts = {}) => paginateServices({
+      relays: readRelays(),
       timeoutMs,
-      ...getOpts
+      pool,
+      health,
+      scoring,
+      perspective,
+      rates,
+      ...queryOpts
     }),
 
+    /**
+     * Watch for services matching criteria as announcements arrive.
+     * Returns an EventEmitter (added/updated/removed/ready) that is also
+     * async-iterable. Call .close() to stop.
+     * @param {object} queryOpts - See watchServices() for options
+     */
+    watch: (queryOpts = {}) => watchServices({
+      relays: readRelays(),
+      timeoutMs,
+      pool,
+      health,
+      rates,
+      outbox,
+      relayLists,
+      ...queryOpts
+    }),
+
+    /**
+     * Get a specific service by pubkey (hex, npub or nprofile) and id,
+     * or by naddr: dir.get(naddr, getOpts).
+     */
+    get: (pubkey, serviceId, getOpts = {}) => {
+      if (serviceId !== null && typeof serviceId === 'object') {
+        getOpts = serviceId;
+        serviceId = undefined;
+      }
+      return getService(pubkey, serviceId, {
+        relays: readRelays(),
+        timeoutMs,
+        pool,
+        health,
+        scoring,
+        perspective,
+        cache,
+        cacheMode,
+        outbox,
+        relayLists,
+        ...getOpts
+      });
+    },
+
     /**
      * Publish a service announcement.
      * @param {object} serviceOpts - Service definition
-     * @param {string|Uint8Array} secretKey - Nostr secret key
+     * @param {string|Uint8Array|object} secretKey - Nostr secret key or signer (default: opts.signer)
+     * @param {object} publishOpts - { outbox: true } to also publish to your own NIP-65 relays
      */
-    publish: (serviceOpts, secretKey) => publishService(
+    publish: (serviceOpts, secretKey, publishOpts = {}) => publishService(
       serviceOpts,
-      secretKey,
-      relays,
-      timeoutMs
+      keyOrSigner(secretKey),
+      writeRelays(),
+      timeoutMs,
+      { pool, health, relayLists, ...retry, ...publishOpts }
     ),
 
     /**
      * Remove a service (publishes inactive replacement).
      * @param {string} serviceId - The d-tag of the service to remove
-     * @param {string|Uint8Array} secretKey - Nostr secret key
+     * @param {string|Uint8Array|object} secretKey - Nostr secret key or signer (default: opts.signer)
+     * @param {object} publishOpts - { outbox: true } as in publish()
      */
-    remove: (serviceId, secretKey) => removeService(
+    remove: (serviceId, secretKey, publishOpts = {}) => removeService(
       serviceId,
-      secretKey,
-      relays,
-      timeoutMs
+      keyOrSigner(secretKey),
+      writeRelays(),
+      timeoutMs,
+      { pool, health, relayLists, ...retry, ...publishOpts }
+    ),
+
+    /**
+     * Publish your NIP-65 relay list (kind 10002).
+     * @param {object} list - { read: string[], write: string[] }
+     * @param {string|Uint8Array|object} secretKey - Nostr secret key or signer (default: opts.signer)
+     */
+    publishRelayList: async (list, secretKey) => {
+      const result = await publishRelayList(list, keyOrSigner(secretKey), writeRelays(), timeoutMs, { pool, health, ...retry });
+      relayLists.delete(result.pubkey); // look it up afresh next time
+      return result;
+    },
+
+    /**
+     * Sync a set of services (e.g. from loadManifest()) to relays.
+     * Publishes changed services and deactivates ones not in the list.
+     * @param {object[]} services - Service definitions
+     * @param {string|Uint8Array|object} secretKey - Nostr secret key or signer (default: opts.signer)
+     * @param {object} syncOpts - { dryRun, outbox }
+     */
+    sync: (services, secretKey, syncOpts = {}) => syncServices(
+      services,
+      keyOrSigner(secretKey),
+      writeRelays(),
+      timeoutMs,
+      { pool, health, ...retry, ...syncOpts }
+    ),
+
+    /**
+     * Publish an ai.wot attestation about another agent.
+     * @param {string} pubkey - Agent being attested
+     * @param {object} attestOpts - { type, serviceId, comment }
+     * @param {string|Uint8Array|object} secretKey - Nostr secret key or signer (default: opts.signer)
+     * @param {object} publishOpts - { retries, retryDelayMs } overrides
+     */
+    attest: (pubkey, attestOpts, secretKey, publishOpts = {}) => publishAttestation(
+      pubkey,
+      attestOpts,
+      keyOrSigner(secretKey),
+      writeRelays(),
+      timeoutMs,
+      { pool, health, ...retry, ...publishOpts }
+    ),
+
+    /**
+     * Invoke a DVM-capable service with a NIP-90 job and resolve with its
+     * result. `service` is a service from find()/get() or its naddr.
+     * The request is signed with requestOpts.secretKey (key or signer),
+     * else the directory signer, else a throwaway key.
+     * @param {object|string} service - Service with dvmKinds, or its naddr
+     * @param {string|object|Array} input - Job input(s); see requestJob()
+     * @param {object} requestOpts - { kind, params, bid, jobTimeoutMs, onFeedback, signal, ... }
+     */
+    request: async (service, input, requestOpts = {}) => {
+      if (isNaddr(service)) {
+        const found = await getService(service, undefined, { relays: readRelays(), timeoutMs, pool, health, outbox, relayLists });
+        if (!found) throw new Error(`Service not found: ${service}`);
+        service = found;
+      }
+      const { secretKey, ...jobOpts } = requestOpts;
+      return requestJob(service, input, keyOrSigner(secretKey), writeRelays(), timeoutMs, {
+        pool, health, ...retry, ...jobOpts
+      });
+    },
+
+    /**
+     * Send a private message (NIP-17 gift wrap, NIP-44 encrypted).
+     * @param {string|object} to - Pubkey (hex, npub, nprofile), service naddr or service object
+     * @param {string|object} payload - Text, or a value sent as JSON
+     * @param {string|Uint8Array|object} secretKey - Secret key or nip44-capable signer (default: opts.signer)
+     * @param {object} messageOpts - { service, subject, replyTo, copy, outbox }; see sendMessage()
+     */
+    message: (to, payload, secretKey, messageOpts = {}) => sendMessage(
+      to,
+      payload,
+      keyOrSigner(secretKey),
+      writeRelays(),
+      timeoutMs,
+      { pool, health, relayLists, ...retry, ...messageOpts }
     ),
 
+    /**
+     * Private messages sent to (and by) your key, oldest first.
+     * @param {object} inboxOpts - { secretKey (default: opts.signer), service, with, since }; see fetchInbox()
+     */
+    inbox: (inboxOpts = {}) => {
+      const { secretKey, ...fetchOpts } = inboxOpts;
+      return fetchInbox(keyOrSigner(secretKey), readRelays(), timeoutMs, { pool, health, ...fetchOpts });
+    },
+
+    /**
+     * Health of each configured relay: request counts, success rate,
+     * average latency, events returned, last error, whether it's being
+     * skipped as failing or picked for reads, and its pool connection state.
+     */
+    relayStatus: () => relayStatusReport(),
+
+    /**
+     * Probe every configured relay with a small query (recording its health,
+     * failing or not), then return relayStatus().
+     */
+    checkRelays: async () => {
+      if (!health) throw new Error('Relay health tracking is disabled');
+      await queryRelays({ kinds: [SERVICE_KIND], limit: 1 }, relays, timeoutMs, { pool, health });
+      return relayStatusReport();
+    },
+
+    /**
+     * Close pooled relay connections (only if this directory created the pool)
+     * and write pending cache and relay health changes.
+     */
+    close: () => {
+      if (cache) cache.flush();
+      if (health) health.flush();
+      if (ownsPool) pool.close();
+    },
+
     /** Configured relays */
     relays,
+    /** Default signer (undefined unless given) */
+    signer: opts.signer,
+    /** Shared relay connection pool (undefined when pooling is disabled) */
+    pool,
+    /** On-disk cache (undefined when caching is disabled) */
+    cache,
+    /** Per-relay health stats (undefined when disabled with health: false) */
+    health,
     /** Event kind used for service announcements */
     kind: SERVICE_KIND
   };
@@ -87,17 +364,87 @@ module.exports = {
   // Direct functions
   publishService,
   removeService,
+  publishAttestation,
+  publishRelayList,
+  syncServices,
   findServices,
+  paginateServices,
   getService,
+  watchServices,
+  requestJob,
+  sendMessage,
+  fetchInbox,
+
+  // Relay connections
+  RelayPool,
+
+  // Cache
+  DiscoveryCache,
+
+  // Signers
+  BunkerSigner,
+  localSigner,
+  parseBunkerUri,
+
+  // Keys (hex, nsec, NIP-49 ncryptsec)
+  decodeSecretKey,
+  encryptSecretKey,
+  decryptSecretKey,
+  describeKey,
+
+  // NIP-19 identifiers (npub / nprofile / naddr)
+  decodePubkey,
+  serviceNaddr,
+  decodeServiceAddress,
+
+  // Relay health
+  RelayHealth,
+
+  // Outbox model (NIP-65)
+  parseRelayList,
+  fetchRelayLists,
+  outboxRelays,
 
   // Trust
   enrichWithTrust,
   fetchAttestations,
+  fetchAttestationsBatch,
+  groupAttestationsByTarget,
+  applyRevocations,
+  fetchZapTotals,
+  fetchZapperPubkeys,
+  fetchHopDistances,
   calculateTrustScore,
+  TRUST_STRATEGIES,
 
   // Parsing
   parseServiceEvent,
   buildServiceTags,
+  buildAttestationTags,
+  parseHandlerEvent,
+  mergeHandlers,
+  parseJobFeedback,
+  parseJobResult,
+  unwrapGiftWrap,
+  fetchInboxRelays,
+
+  // Ranking
+  rankServices,
+
+  // Pricing
+  staticRates,
+  createRateProvider,
+  normalizePrice,
+  estimateCost,
+
+  // Validation
+  validateService,
+  validateServiceEvent,
+
+  // Manifests
+  validateManifest,
+  loadManifest,
+  planSync,
 
   // Constants
   SERVICE_KIND,
@@ -0,0 +1,243 @@
+'use strict';
+
+const { generateSecretKey } = require('nostr-tools');
+const {
+  JOB_FEEDBACK_KIND,
+  JOB_RESULT_OFFSET,
+  DELETION_KIND,
+  DEFAULT_JOB_TIMEOUT_MS,
+  DEFAULT_RELAYS,
+  DEFAULT_TIMEOUT_MS
+} = require('./constants');
+const { RelayPool } = require('./pool');
+const { publishToRelays } = require('./relay');
+const { mergeRelays } = require('./outbox');
+const { resolveSigner, signWith } = require('./signer');
+const { isJobKind } = require('./nip89');
+
+/**
+ * Job request kind to send a service: opts.kind if the service lists it,
+ * else its first DVM kind. Throws for services that take no NIP-90 jobs.
+ */
+function jobKindFor(service, kind) {
+  const kinds = (service.dvmKinds || []).map(Number).filter(isJobKind);
+  if (kinds.length === 0) throw new Error(`Service ${service.id || service.pubkey} does not accept NIP-90 jobs (no dvmKinds)`);
+  if (kind === undefined) return kinds[0];
+  if (!kinds.includes(Number(kind))) throw new Error(`Service does not handle job kind ${kind} (it lists ${kinds.join(', ')})`);
+  return Number(kind);
+}
+
+// 'text' | { data, type, relay, marker } → NIP-90 'i' tag
+function inputTag(input) {
+  if (typeof input === 'string') return ['i', input, 'text'];
+  if (!input || typeof input.data !== 'string') throw new Error('Job input must be a string or { data, type }');
+  const tag = ['i', input.data, input.type || 'text'];
+  if (input.relay || input.marker) tag.push(input.relay || '');
+  if (input.marker) tag.push(input.marker);
+  return tag;
+}
+
+/**
+ * Tags of a NIP-90 job request to one provider: an 'i' tag per input,
+ * 'param' tags, the expected 'output' MIME type, a 'bid' in millisats,
+ * the relays to answer on, and a 'p' tag naming the provider.
+ */
+function buildJobTags(service, input, opts = {}) {
+  const inputs = Array.isArray(input) ? input : [input];
+  if (inputs.length === 0) throw new Error('Job input is required');
+  const tags = inputs.map(inputTag);
+  for (const [key, value] of Object.entries(opts.params || {})) {
+    tags.push(['param', key, String(value)]);
+  }
+  if (opts.output) tags.push(['output', opts.output]);
+  if (opts.bid !== undefined) tags.push(['bid', String(opts.bid)]);
+  if (opts.relays && opts.relays.length > 0) tags.push(['relays', ...opts.relays]);
+  tags.push(['p', service.pubkey]);
+  return tags;
+}
+
+// ['amount', msats, bolt11?] → { msats, bolt11 }
+function parseAmount(event) {
+  const tag = event.tags.find(t => t[0] === 'amount');
+  if (!tag || !/^\d+$/.test(tag[1] || '')) return null;
+  return { msats: Number(tag[1]), bolt11: tag[2] || null };
+}
+
+/**
+ * Parse a job feedback event (kind 7000): status ('payment-required',
+ * 'processing', 'error', 'success', 'partial'), the provider's message,
+ * and the amount asked for ({ msats, bolt11 }) if any.
+ */
+function parseJobFeedback(event) {
+  const status = event.tags.find(t => t[0] === 'status');
+  return {
+    status: status ? status[1] : null,
+    message: (status && status[2]) || event.content || null,
+    amount: parseAmount(event),
+    content: event.content,
+    pubkey: event.pubkey,
+    createdAt: event.created_at,
+    eventId: event.id,
+    raw: event
+  };
+}
+
+/**
+ * Parse a job result event (kind 6xxx): its content, the amount the
+ * provider asks for after delivery, and the request it answers.
+ */
+function parseJobResult(event) {
+  const request = event.tags.find(t => t[0] === 'e');
+  return {
+    kind: event.kind,
+    content: event.content,
+    amount: parseAmount(event),
+    requestId: request ? request[1] : null,
+    pubkey: event.pubkey,
+    createdAt: event.created_at,
+    eventId: event.id,
+    raw: event
+  };
+}
+
+function jobError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+/**
+ * Invoke a DVM-capable service: publish a NIP-90 job request (kind 5xxx,
+ * tagged with the provider's pubkey) and wait for its result (kind + 1000).
+ * Feedback (kind 7000) from the provider is passed to opts.onFeedback as it
+ * arrives — pay the bolt11 of a 'payment-required' one to let the job go on.
+ * Only events from the service's pubkey count.
+ *
+ * The request goes to the given relays plus those the listing was seen on,
+ * and asks the provider to answer there too.
+ *
+ * Rejects with err.code 'JOB_ERROR' on 'error' feedback (err.feedback), 'TIMEOUT'
+ * when no result arrives in time, 'CANCELLED' when opts.signal aborts, and
+ * 'PUBLISH_FAILED' when no relay took the request. On timeout and
+ * cancellation a NIP-09 deletion of the request tells the provider to stop.
+ *
+ * @param {object} service - A service from find()/get() with dvmKinds
+ * @param {string|object|Array} input - Text, { data, type, relay, marker }, or a list of them
+ * @param {string|Uint8Array|object} secretKey - Key or signer to request as (default: a throwaway key)
+ * @param {string[]} relays - Relay URLs
+ * @param {number} timeoutMs - Timeout per relay operation
+ * @param {object} opts
+ * @param {number} opts.kind - Job kind (default: the service's first DVM kind)
+ * @param {object} opts.params - { name: value } job parameters
+ * @param {string} opts.output - Expected output MIME type
+ * @param {number} opts.bid - Most you'll pay, in millisats
+ * @param {number} opts.jobTimeoutMs - How long to wait for the result (default: 60000)
+ * @param {function} opts.onFeedback - Called with each parseJobFeedback() result
+ * @param {function} opts.onRequest - Called with the signed request event once published
+ * @param {AbortSignal} opts.signal - Cancels the job
+ * @param {RelayPool} opts.pool - Reuse a RelayPool's connections
+ * @param {number} opts.retries - Publish retries (see publishToRelays)
+ * @returns {object} parseJobResult() of the result, plus `request` (the
+ *   request event) and `feedback` (every feedback received)
+ */
+async function requestJob(service, input, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  if (!service || !service.pubkey) throw new Error('Service is required');
+  const kind = jobKindFor(service, opts.kind);
+  const { signal, onFeedback, onRequest, jobTimeoutMs = DEFAULT_JOB_TIMEOUT_MS } = opts;
+  if (signal && signal.aborted) throw jobError('Job cancelled', 'CANCELLED');
+
+  const signer = resolveSigner(secretKey || generateSecretKey());
+  const signAuth = (template) => signWith(signer, template);
+  const targets = mergeRelays(relays, service.seenOn || []);
+  const request = await signWith(signer, {
+    kind,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: buildJobTags(service, input, { ...opts, relays: targets }),
+    content: ''
+  });
+
+  const ownsPool = !opts.pool;
+  const pool = opts.pool || new RelayPool({ timeoutMs });
+  const feedback = [];
+  const seen = new Set(); // the same event arrives from several relays
+  let subs = [];
+  let timer = null;
+  let onAbort = null;
+  let settle;
+
+  const outcome = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  outcome.catch(() => { /* feedback can fail the job before it is awaited */ });
+
+  const onEvent = (event) => {
+    if (event.pubkey !== service.pubkey || seen.has(event.id)) return;
+    if (!event.tags.some(t => t[0] === 'e' && t[1] === request.id)) return;
+    seen.add(event.id);
+    if (event.kind === JOB_FEEDBACK_KIND) {
+      const entry = parseJobFeedback(event);
+      feedback.push(entry);
+      if (onFeedback) onFeedback(entry);
+      if (entry.status === 'error') {
+        settle.reject(jobError(`Job failed: ${entry.message || 'error'}`, 'JOB_ERROR', { feedback: entry }));
+      }
+    } else if (event.kind === kind + JOB_RESULT_OFFSET) {
+      settle.resolve({ ...parseJobResult(event), request, feedback });
+    }
+  };
+
+  // Best effort: tell the provider not to bother (NIP-09 deletion of the request)
+  const withdraw = async () => {
+    try {
+      const deletion = await signWith(signer, {
+        kind: DELETION_KIND,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [['e', request.id], ['k', String(kind)]],
+        content: 'job cancelled'
+      });
+      await publishToRelays(deletion, targets, timeoutMs, { pool, signAuth, retries: 0 });
+    } catch (e) { /* ignore */ }
+  };
+
+  try {
+    const filter = { kinds: [JOB_FEEDBACK_KIND, kind + JOB_RESULT_OFFSET], '#e': [request.id] };
+    subs = await Promise.all(targets.map(url => pool.subscribe(url, [filter], { onevent: onEvent }, { live: true })));
+
+    const sent = await publishToRelays(request, targets, timeoutMs, {
+      pool, signAuth, health: opts.health, retries: opts.retries, retryDelayMs: opts.retryDelayMs
+    });
+    if (sent.successes === 0) {
+      throw jobError(`No relay accepted the job request: ${sent.failures.join(', ')}`, 'PUBLISH_FAILED', { relays: sent.relays });
+    }
+    if (onRequest) onRequest(request);
+
+    timer = setTimeout(() => {
+      settle.reject(jobError(`No result within ${jobTimeoutMs} ms`, 'TIMEOUT', { feedback }));
+    }, jobTimeoutMs);
+    if (signal) {
+      onAbort = () => settle.reject(jobError('Job cancelled', 'CANCELLED', { feedback }));
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      return await outcome;
+    } catch (err) {
+      if (err.code === 'TIMEOUT' || err.code === 'CANCELLED') await withdraw();
+      throw err;
+    }
+  } finally {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener('abort', onAbort);
+    for (const sub of subs) sub.close();
+    if (ownsPool) pool.close();
+  }
+}
+
+module.exports = {
+  jobKindFor,
+  buildJobTags,
+  parseJobFeedback,
+  parseJobResult,
+  requestJob
+};
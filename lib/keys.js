@@ -0,0 +1,81 @@
+'use strict';
+
+const { getPublicKey, nip19 } = require('nostr-tools');
+const nip49 = require('nostr-tools/nip49');
+
+function isEncryptedKey(value) {
+  return typeof value === 'string' && value.trim().startsWith('ncryptsec1');
+}
+
+/**
+ * Turn a secret key into bytes. Accepts 64-char hex, an nsec (NIP-19) or
+ * a Uint8Array. Password-protected ncryptsec keys (NIP-49) throw with
+ * err.code 'ENCRYPTED_KEY'; decrypt them with decryptSecretKey() first.
+ */
+function decodeSecretKey(input) {
+  if (input instanceof Uint8Array) {
+    if (input.length !== 32) throw new Error('Secret key must be 32 bytes');
+    return input;
+  }
+  if (typeof input !== 'string') throw new Error('Secret key must be hex, an nsec, or a Uint8Array');
+  const value = input.trim();
+  if (isEncryptedKey(value)) {
+    const err = new Error('Secret key is encrypted (ncryptsec); decrypt it with its password first');
+    err.code = 'ENCRYPTED_KEY';
+    throw err;
+  }
+  if (value.startsWith('nsec1')) {
+    try {
+      const { type, data } = nip19.decode(value);
+      if (type === 'nsec') return data;
+    } catch (e) { /* fall through */ }
+    throw new Error('Invalid nsec');
+  }
+  if (!/^[0-9a-fA-F]{64}$/.test(value)) throw new Error('Secret key must be 64 hex characters, an nsec, or an ncryptsec');
+  return Uint8Array.from(Buffer.from(value, 'hex'));
+}
+
+/**
+ * Password-protect a secret key (NIP-49). Returns an ncryptsec string.
+ *
+ * @param {string|Uint8Array} secretKey - hex, nsec or bytes
+ * @param {string} password
+ * @param {object} opts
+ * @param {number} opts.logn - scrypt cost as a power of two (default: 16;
+ *   each step up doubles the time to encrypt, decrypt and brute-force)
+ */
+function encryptSecretKey(secretKey, password, opts = {}) {
+  if (!password) throw new Error('A password is required to encrypt the key');
+  return nip49.encrypt(decodeSecretKey(secretKey), password, opts.logn || 16);
+}
+
+/**
+ * Decrypt an ncryptsec (NIP-49). A wrong password throws with
+ * err.code 'BAD_PASSWORD'.
+ */
+function decryptSecretKey(ncryptsec, password) {
+  if (!isEncryptedKey(ncryptsec)) throw new Error('Not an ncryptsec key');
+  try {
+    return nip49.decrypt(ncryptsec.trim(), password || '');
+  } catch (e) {
+    const err = new Error('Could not decrypt the key: wrong password?');
+    err.code = 'BAD_PASSWORD';
+    throw err;
+  }
+}
+
+/**
+ * Public identity of a secret key: { pubkey, npub }.
+ */
+function describeKey(secretKey) {
+  const pubkey = getPublicKey(decodeSecretKey(secretKey));
+  return { pubkey, npub: nip19.npubEncode(pubkey) };
+}
+
+module.exports = {
+  isEncryptedKey,
+  decodeSecretKey,
+  encryptSecretKey,
+  decryptSecretKey,
+  describeKey
+};
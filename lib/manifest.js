@@ -0,0 +1,237 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
+const { buildServiceTags } = require('./parse');
+const { publishService, removeService } = require('./publish');
+const { resolveSigner } = require('./signer');
+const { findServices } = require('./query');
+const { validateService } = require('./validate');
+
+// Fields a manifest service entry may contain (see publishService)
+const SERVICE_FIELDS = [
+  'id',
+  'name',
+  'capabilities',
+  'price',
+  'lnAddress',
+  'description',
+  'status',
+  'hashtags',
+  'dvmKinds'
+];
+
+/**
+ * Validate a parsed manifest.
+ *
+ * Accepted shapes: { defaults?, services: [...] }, a bare array of
+ * services, or a single service object. `defaults` are merged into
+ * every service, then each is checked with validateService() and for
+ * unknown fields and duplicate ids.
+ *
+ * @returns {{ valid: boolean, errors: {path, message}[], warnings: {path, message}[], services: object[] }}
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  const warnings = [];
+  let entries;
+  let defaults = {};
+
+  if (Array.isArray(manifest)) {
+    entries = manifest;
+  } else if (manifest && typeof manifest === 'object' && Array.isArray(manifest.services)) {
+    entries = manifest.services;
+    defaults = manifest.defaults || {};
+    for (const key of Object.keys(manifest)) {
+      if (key !== 'services' && key !== 'defaults') {
+        errors.push({ path: key, message: 'unknown top-level field' });
+      }
+    }
+  } else if (manifest && typeof manifest === 'object' && manifest.id !== undefined) {
+    entries = [manifest];
+  } else {
+    return {
+      valid: false,
+      errors: [{ path: '', message: 'manifest must be a service, an array of services, or { services: [...] }' }],
+      warnings,
+      services: []
+    };
+  }
+
+  const services = [];
+  const seen = new Set();
+
+  entries.forEach((entry, i) => {
+    const at = `services[${i}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push({ path: at, message: 'must be an object' });
+      return;
+    }
+
+    const svc = { ...defaults, ...entry };
+    for (const key of Object.keys(svc)) {
+      if (!SERVICE_FIELDS.includes(key)) {
+        errors.push({ path: `${at}.${key}`, message: 'unknown field' });
+      }
+    }
+
+    const report = validateService(svc);
+    for (const e of report.errors) errors.push({ path: `${at}.${e.field}`, message: e.message });
+    for (const w of report.warnings) warnings.push({ path: `${at}.${w.field}`, message: w.message });
+
+    if (seen.has(svc.id)) {
+      errors.push({ path: `${at}.id`, message: `duplicate service id "${svc.id}"` });
+    }
+    seen.add(svc.id);
+    services.push(svc);
+  });
+
+  return { valid: errors.length === 0, errors, warnings, services };
+}
+
+/**
+ * Parse manifest text. YAML needs the optional `yaml` package.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'yaml' (default: try JSON, then YAML)
+ */
+function parseManifestText(text, format) {
+  if (format !== 'yaml') {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      if (format === 'json') throw new Error(`Invalid JSON manifest: ${e.message}`);
+    }
+  }
+
+  let YAML;
+  try {
+    YAML = require('yaml');
+  } catch (e) {
+    throw new Error('YAML manifests need the "yaml" package (npm install yaml)');
+  }
+  return YAML.parse(text);
+}
+
+/**
+ * Load and validate a manifest file (.json, .yaml or .yml).
+ * Throws with an `errors` list if the manifest is invalid.
+ *
+ * @returns {object[]} Service definitions ready for publishService()
+ */
+function loadManifest(file) {
+  const ext = path.extname(file).toLowerCase();
+  const format = ext === '.json' ? 'json' : (ext === '.yaml' || ext === '.yml') ? 'yaml' : undefined;
+  const data = parseManifestText(fs.readFileSync(file, 'utf8'), format);
+
+  const result = validateManifest(data);
+  if (!result.valid) {
+    const err = new Error(`Invalid manifest ${file}:\n` +
+      result.errors.map(e => `  ${e.path}: ${e.message}`).join('\n'));
+    err.errors = result.errors;
+    throw err;
+  }
+  return result.services;
+}
+
+// Order-insensitive fingerprint of what a listing would publish
+function fingerprint(tags, content) {
+  return JSON.stringify({
+    tags: tags.map(t => JSON.stringify(t)).sort(),
+    content: content || ''
+  });
+}
+
+/**
+ * Compare manifest services against what relays currently hold.
+ *
+ * @param {object[]} services - Manifest service definitions
+ * @param {object[]} current - Parsed services currently published by the same pubkey
+ * @returns {{ publish: object[], unchanged: object[], deactivate: object[] }}
+ *   `deactivate` lists active relay services missing from the manifest
+ */
+function planSync(services, current) {
+  const byId = new Map(current.map(s => [s.id, s]));
+  const wanted = new Set(services.map(s => s.id));
+  const plan = { publish: [], unchanged: [], deactivate: [] };
+
+  for (const svc of services) {
+    const existing = byId.get(svc.id);
+    const same = existing &&
+      fingerprint(buildServiceTags(svc), svc.description) === fingerprint(existing.raw.tags, existing.raw.content);
+    (same ? plan.unchanged : plan.publish).push(svc);
+  }
+
+  for (const existing of current) {
+    if (!wanted.has(existing.id) && existing.status === 'active') {
+      plan.deactivate.push(existing);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Sync a manifest to relays: publish services whose content changed,
+ * skip identical ones, and mark services missing from the manifest inactive.
+ *
+ * @param {object[]} services - Validated service definitions (see loadManifest)
+ * @param {string|Uint8Array|object} secretKey - Nostr secret key (hex, nsec or bytes) or signer
+ * @param {string[]} relays - Relay URLs
+ * @param {number} timeoutMs - Timeout per relay
+ * @param {object} opts - { pool, health, dryRun, outbox, retries, retryDelayMs } (see publishService)
+ * @returns {Promise<{ published, unchanged, deactivated }>} ids plus publish results
+ */
+async function syncServices(services, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  if (!secretKey) throw new Error('Secret key or signer is required');
+  const { pool, health, dryRun = false, outbox, retries, retryDelayMs } = opts;
+  const publishOpts = { pool, health, outbox, retries, retryDelayMs };
+
+  const result = validateManifest(services);
+  if (!result.valid) {
+    const err = new Error('Invalid manifest: ' + result.errors.map(e => `${e.path}: ${e.message}`).join('; '));
+    err.errors = result.errors;
+    throw err;
+  }
+
+  const pubkey = await resolveSigner(secretKey).getPublicKey();
+  const current = await findServices({
+    pubkeys: [pubkey],
+    status: null,
+    relays,
+    timeoutMs,
+    pool,
+    health
+  });
+
+  const plan = planSync(result.services, current);
+  const summary = {
+    pubkey,
+    dryRun,
+    published: plan.publish.map(s => ({ id: s.id, result: null })),
+    unchanged: plan.unchanged.map(s => s.id),
+    deactivated: plan.deactivate.map(s => ({ id: s.id, result: null }))
+  };
+  if (dryRun) return summary;
+
+  await Promise.all([
+    ...plan.publish.map(async (svc, i) => {
+      summary.published[i].result = await publishService(svc, secretKey, relays, timeoutMs, publishOpts);
+    }),
+    ...plan.deactivate.map(async (svc, i) => {
+      summary.deactivated[i].result = await removeService(svc.id, secretKey, relays, timeoutMs, publishOpts);
+    })
+  ]);
+
+  return summary;
+}
+
+module.exports = {
+  SERVICE_FIELDS,
+  validateManifest,
+  parseManifestText,
+  loadManifest,
+  planSync,
+  syncServices
+};
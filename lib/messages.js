@@ -0,0 +1,329 @@
+'use strict';
+
+const { finalizeEvent, generateSecretKey, getEventHash, verifyEvent } = require('nostr-tools');
+const nip44 = require('nostr-tools/nip44');
+const {
+  DIRECT_MESSAGE_KIND,
+  SEAL_KIND,
+  GIFT_WRAP_KIND,
+  DM_RELAY_LIST_KIND,
+  SERVICE_KIND,
+  HANDLER_INFO_KIND,
+  DEFAULT_RELAYS,
+  DEFAULT_TIMEOUT_MS
+} = require('./constants');
+const { queryRelays, publishToRelays } = require('./relay');
+const { outboxRelays, mergeRelays } = require('./outbox');
+const { resolveSigner, signWith } = require('./signer');
+const { decodePubkey, isNaddr, decodeServiceAddress } = require('./identifiers');
+const { listingKind } = require('./nip89');
+
+// NIP-59: seals and wraps are dated up to two days back so relays can't
+// tell when a message was sent; queries have to reach back as far
+const TIMESTAMP_JITTER_SECONDS = 2 * 24 * 60 * 60;
+
+function jitteredNow() {
+  return Math.floor(Date.now() / 1000) - Math.floor(Math.random() * TIMESTAMP_JITTER_SECONDS);
+}
+
+// Messaging needs a signer that can encrypt, like localSigner or NIP-07's window.nostr
+function encryptingSigner(secretKey) {
+  const signer = resolveSigner(secretKey);
+  if (!signer.nip44 || typeof signer.nip44.encrypt !== 'function' || typeof signer.nip44.decrypt !== 'function') {
+    throw new Error('Signer cannot encrypt messages (no nip44.encrypt / nip44.decrypt)');
+  }
+  return signer;
+}
+
+/**
+ * Who a message goes to and which service thread it belongs to.
+ * Accepts a pubkey (hex, npub, nprofile), a service naddr, or a service
+ * object from find()/get(); the latter two thread the message under that service.
+ */
+function messageTarget(to) {
+  if (to && typeof to === 'object') {
+    return { pubkey: decodePubkey(to.pubkey), service: to.id ? { pubkey: to.pubkey, id: to.id, kind: listingKind(to) } : null };
+  }
+  if (isNaddr(to)) {
+    const { pubkey, id, kind } = decodeServiceAddress(to);
+    return { pubkey, service: { pubkey, id, kind } };
+  }
+  return { pubkey: decodePubkey(to), service: null };
+}
+
+/**
+ * The service a message thread is about: a service object, its naddr, or
+ * a bare d-tag of the provider's service. Null when not given.
+ */
+function threadService(service, provider) {
+  if (!service) return null;
+  if (typeof service === 'object') return { pubkey: decodePubkey(service.pubkey), id: service.id, kind: listingKind(service) };
+  if (isNaddr(service)) {
+    const { pubkey, id, kind } = decodeServiceAddress(service);
+    return { pubkey, id, kind };
+  }
+  return { pubkey: provider, id: service };
+}
+
+// Listing (38990) or, for handler-only DVMs, NIP-89 handler (31990) address
+function serviceCoordinate(service) {
+  return `${service.kind || SERVICE_KIND}:${service.pubkey}:${service.id}`;
+}
+
+/**
+ * Tags of a NIP-17 message (kind 14): the recipient, an 'a' tag pointing
+ * at the service listing it is about, a 'subject', and the message it replies to.
+ */
+function buildMessageTags(recipient, opts = {}) {
+  const tags = [['p', recipient]];
+  if (opts.service) tags.push(['a', serviceCoordinate(opts.service)]);
+  if (opts.subject) tags.push(['subject', opts.subject]);
+  if (opts.replyTo) tags.push(['e', opts.replyTo, '', 'reply']);
+  return tags;
+}
+
+/**
+ * Seal a message for one recipient (NIP-59): the unsigned message is
+ * encrypted by its author into a signed kind 13 seal, which is encrypted
+ * again into a kind 1059 gift wrap signed by a throwaway key (wrapKey,
+ * fresh unless given).
+ */
+async function giftWrap(rumor, signer, recipient, wrapKey = generateSecretKey()) {
+  const seal = await signWith(signer, {
+    kind: SEAL_KIND,
+    created_at: jitteredNow(),
+    tags: [],
+    content: await signer.nip44.encrypt(recipient, JSON.stringify(rumor))
+  });
+  return finalizeEvent({
+    kind: GIFT_WRAP_KIND,
+    created_at: jitteredNow(),
+    tags: [['p', recipient]],
+    content: nip44.encrypt(JSON.stringify(seal), nip44.getConversationKey(wrapKey, recipient))
+  }, wrapKey);
+}
+
+/**
+ * Open a gift wrap addressed to the signer and return the message inside.
+ * Throws when it can't be decrypted, the seal's signature is bad, or the
+ * message claims a different author than the seal (impersonation).
+ */
+async function unwrapGiftWrap(wrap, signer) {
+  const seal = JSON.parse(await signer.nip44.decrypt(wrap.pubkey, wrap.content));
+  if (!seal || seal.kind !== SEAL_KIND || !verifyEvent(seal)) throw new Error('Gift wrap holds no valid seal');
+  const rumor = JSON.parse(await signer.nip44.decrypt(seal.pubkey, seal.content));
+  if (!rumor || rumor.pubkey !== seal.pubkey) throw new Error('Message author does not match its seal');
+  if (rumor.id !== getEventHash(rumor)) throw new Error('Message id does not match its content');
+  return rumor;
+}
+
+/**
+ * Map a NIP-17 message into { id, from, to, content, payload, subject,
+ * service, replyTo, createdAt }. `payload` is the parsed JSON when the
+ * content is a JSON object or array, else the content itself; `service`
+ * ({ pubkey, id, kind }) is the listing (or NIP-89 handler) the thread is about, if any.
+ */
+function parseMessage(rumor, wrap) {
+  const tag = (name) => rumor.tags.find(t => t[0] === name);
+  let payload = rumor.content;
+  if (/^\s*[[{]/.test(rumor.content)) {
+    try { payload = JSON.parse(rumor.content); } catch (e) { /* plain text */ }
+  }
+  const about = rumor.tags.find(t => t[0] === 'a' && typeof t[1] === 'string' &&
+    (t[1].startsWith(`${SERVICE_KIND}:`) || t[1].startsWith(`${HANDLER_INFO_KIND}:`)));
+  let service = null;
+  if (about) {
+    const [kind, pubkey, ...id] = about[1].split(':');
+    service = { pubkey, id: id.join(':'), kind: Number(kind) };
+  }
+  const reply = tag('e');
+  return {
+    id: rumor.id,
+    from: rumor.pubkey,
+    to: rumor.tags.filter(t => t[0] === 'p').map(t => t[1]),
+    content: rumor.content,
+    payload,
+    subject: tag('subject') ? tag('subject')[1] : null,
+    service,
+    replyTo: reply ? reply[1] : null,
+    createdAt: rumor.created_at,
+    wrapId: wrap ? wrap.id : null,
+    raw: rumor
+  };
+}
+
+/**
+ * Relays each pubkey wants private messages on: the 'relay' tags of its
+ * newest kind 10050 list. Pubkeys without a list map to [].
+ */
+async function fetchInboxRelays(pubkeys, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  const events = await queryRelays({ kinds: [DM_RELAY_LIST_KIND], authors: pubkeys }, relays, timeoutMs, opts);
+  const newest = new Map();
+  for (const event of events) {
+    const current = newest.get(event.pubkey);
+    if (!current || event.created_at > current.created_at) newest.set(event.pubkey, event);
+  }
+  const result = new Map();
+  for (const pubkey of pubkeys) {
+    const event = newest.get(pubkey);
+    result.set(pubkey, event ? event.tags.filter(t => t[0] === 'relay' && /^wss?:\/\//.test(t[1] || '')).map(t => t[1]) : []);
+  }
+  return result;
+}
+
+/**
+ * Send a private message (NIP-17): a kind 14 message, sealed and
+ * gift-wrapped with NIP-44 so relays see neither the content nor the sender.
+ *
+ * The wrap goes to the recipient's kind 10050 inbox relays; without such a
+ * list, to the given relays plus the read relays of its NIP-65 list
+ * (opts.outbox: false for the given relays only). A second wrap addressed
+ * to the sender goes to the given relays and the sender's inbox relays, so
+ * the conversation shows up in the sender's inbox() too (opts.copy: false to skip).
+ * Relays asking for AUTH get it signed by the wrap's throwaway key, never the
+ * sender's, over connections of their own (opts.pool only serves lookups).
+ *
+ * @param {string|object} to - Pubkey (hex, npub or nprofile), a service's naddr,
+ *   or a service object; the latter two thread the message under the service
+ * @param {string|object} payload - Text, or a value sent as JSON
+ * @param {string|Uint8Array|object} secretKey - Secret key, or a signer with nip44 support
+ * @param {string[]} relays - Relay URLs
+ * @param {number} timeoutMs - Timeout per relay
+ * @param {object} opts
+ * @param {object|string} opts.service - Thread under this service: object, naddr, or the recipient's d-tag
+ * @param {string} opts.subject - Conversation title
+ * @param {string} opts.replyTo - Id of the message this answers
+ * @param {RelayPool} opts.pool - Reuse a RelayPool's connections
+ * @returns {object} { id, eventId, pubkey, to, successes, failures, total, relays,
+ *   copy } — id is the message's, eventId the recipient's gift wrap's
+ */
+async function sendMessage(to, payload, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  if (!to) throw new Error('Recipient is required');
+  if (payload === undefined || payload === null || payload === '') throw new Error('Message payload is required');
+  if (!secretKey) throw new Error('Secret key or signer is required');
+  const signer = encryptingSigner(secretKey);
+  const target = messageTarget(to);
+  const service = threadService(opts.service, target.pubkey) || target.service;
+  const sender = await signer.getPublicKey();
+
+  const rumor = {
+    kind: DIRECT_MESSAGE_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: buildMessageTags(target.pubkey, { ...opts, service }),
+    content: typeof payload === 'string' ? payload : JSON.stringify(payload),
+    pubkey: sender
+  };
+  rumor.id = getEventHash(rumor);
+
+  const { copy = true, outbox = true } = opts;
+  const inboxes = await fetchInboxRelays([...new Set([target.pubkey, sender])], relays, timeoutMs, opts);
+  let targets = inboxes.get(target.pubkey);
+  if (targets.length === 0) {
+    targets = outbox
+      ? await outboxRelays([target.pubkey], relays, timeoutMs, { ...opts, markers: ['read'] })
+      : relays;
+  }
+
+  // Each wrap goes out on connections of its own, answering AUTH with its
+  // throwaway key: AUTH as the sender (or on a connection that did) would
+  // tell the relay who sent it
+  const sendWrap = async (recipient, urls) => {
+    const wrapKey = generateSecretKey();
+    const wrap = await giftWrap(rumor, signer, recipient, wrapKey);
+    return {
+      eventId: wrap.id,
+      ...await publishToRelays(wrap, urls, timeoutMs, {
+        health: opts.health,
+        retries: opts.retries,
+        retryDelayMs: opts.retryDelayMs,
+        signAuth: (template) => finalizeEvent(template, wrapKey)
+      })
+    };
+  };
+  const { eventId, ...result } = await sendWrap(target.pubkey, targets);
+
+  let copied = null;
+  if (copy && sender !== target.pubkey) {
+    copied = await sendWrap(sender, mergeRelays(relays, inboxes.get(sender)));
+  }
+
+  return {
+    id: rumor.id,
+    eventId,
+    pubkey: sender,
+    to: target.pubkey,
+    ...result,
+    copy: copied
+  };
+}
+
+// The 'a' tag is the sender's claim; a thread also needs the provider in it
+function inThread(message, service) {
+  if (!message.service || message.service.pubkey !== service.pubkey || message.service.id !== service.id) return false;
+  return message.from === service.pubkey || message.to.includes(service.pubkey);
+}
+
+/**
+ * Fetch and open the private messages (NIP-17) sent to a key, oldest
+ * first, from the given relays plus its kind 10050 inbox relays. Wraps that
+ * don't open or don't hold a kind 14 message are skipped. Relays that only
+ * serve gift wraps to their recipient get AUTH (NIP-42) signed by the key,
+ * over connections of their own (opts.pool only serves the inbox lookup).
+ *
+ * @param {string|Uint8Array|object} secretKey - Secret key, or a signer with nip44 support
+ * @param {string[]} relays - Relay URLs
+ * @param {number} timeoutMs - Timeout per relay
+ * @param {object} opts
+ * @param {object|string} opts.service - Only the thread about this service (object or naddr),
+ *   sent by or to its provider
+ * @param {string} opts.with - Only messages from or to this pubkey
+ * @param {number} opts.since - Only messages sent at or after this unix time
+ * @param {number} opts.relayLimit - Max gift wraps asked of each relay
+ * @param {RelayPool} opts.pool - Reuse a RelayPool's connections
+ * @returns {object[]} parseMessage() results
+ */
+async function fetchInbox(secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  if (!secretKey) throw new Error('Secret key or signer is required');
+  const signer = encryptingSigner(secretKey);
+  const me = await signer.getPublicKey();
+  const service = opts.service ? threadService(opts.service, null) : null;
+  if (service && !service.pubkey) throw new Error('opts.service must be a service object or naddr');
+  const peer = opts.with ? decodePubkey(opts.with) : null;
+
+  const filter = { kinds: [GIFT_WRAP_KIND], '#p': [me] };
+  if (opts.since !== undefined) filter.since = opts.since - TIMESTAMP_JITTER_SECONDS;
+  if (opts.relayLimit !== undefined) filter.limit = opts.relayLimit;
+  const inboxes = await fetchInboxRelays([me], relays, timeoutMs, opts);
+  const wraps = await queryRelays(filter, mergeRelays(relays, inboxes.get(me)), timeoutMs, {
+    ...opts,
+    pool: undefined, // AUTH as the key shouldn't stick to shared connections
+    signAuth: (template) => signWith(signer, template)
+  });
+
+  const messages = new Map(); // message id -> message; a message can come in several wraps
+  for (const wrap of wraps) {
+    let rumor;
+    try {
+      rumor = await unwrapGiftWrap(wrap, signer);
+    } catch (e) {
+      continue; // not for this key, or tampered with
+    }
+    if (rumor.kind !== DIRECT_MESSAGE_KIND || messages.has(rumor.id)) continue;
+    const message = parseMessage(rumor, wrap);
+    if (opts.since !== undefined && message.createdAt < opts.since) continue;
+    if (peer && message.from !== peer && !message.to.includes(peer)) continue;
+    if (service && !inThread(message, service)) continue;
+    messages.set(message.id, message);
+  }
+  return [...messages.values()].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+module.exports = {
+  buildMessageTags,
+  giftWrap,
+  unwrapGiftWrap,
+  parseMessage,
+  fetchInboxRelays,
+  sendMessage,
+  fetchInbox
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+const { HANDLER_INFO_KIND, SERVICE_KIND } = require('./constants');
+const { serviceNaddr } = require('./identifiers');
+
+// NIP-90 job request kinds; handlers for other kinds aren't agent services
+function isJobKind(kind) {
+  const n = Number(kind);
+  return Number.isInteger(n) && n >= 5000 && n < 6000;
+}
+
+/**
+ * NIP-01 filter for NIP-89 handler announcements (kind 31990) of DVMs.
+ * dvmKinds become a relay-side '#k' filter.
+ */
+function buildHandlerFilter(opts = {}) {
+  const { dvmKinds, pubkeys, since, until, relayLimit } = opts;
+  const filter = { kinds: [HANDLER_INFO_KIND] };
+  if (dvmKinds && dvmKinds.length > 0) filter['#k'] = dvmKinds.map(String);
+  if (pubkeys && pubkeys.length > 0) filter.authors = pubkeys;
+  if (since !== undefined) filter.since = since;
+  if (until !== undefined) filter.until = until;
+  if (relayLimit !== undefined) filter.limit = relayLimit;
+  return filter;
+}
+
+/**
+ * Map a NIP-89 handler event (kind 31990) into the service shape of
+ * parseServiceEvent(). Name, description and lightning address come from
+ * the kind 0-style JSON content; `source` is 'nip89'. Returns null for
+ * handlers without a d tag or without any NIP-90 job kind.
+ */
+function parseHandlerEvent(event) {
+  const d = event.tags.find(t => t[0] === 'd');
+  const dvmKinds = event.tags.filter(t => t[0] === 'k' && isJobKind(t[1])).map(t => String(Number(t[1])));
+  if (!d || !d[1] || dvmKinds.length === 0) return null;
+
+  let metadata = {};
+  try {
+    const parsed = JSON.parse(event.content || '{}');
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) metadata = parsed;
+  } catch (e) { /* content is optional */ }
+  const text = (value) => typeof value === 'string' && value ? value : null;
+
+  return {
+    pubkey: event.pubkey,
+    eventId: event.id,
+    createdAt: event.created_at,
+    id: d[1],
+    name: text(metadata.name) || text(metadata.display_name),
+    capabilities: [],
+    price: null,
+    prices: [],
+    lnAddress: text(metadata.lud16),
+    status: 'active',
+    description: text(metadata.about) || '',
+    hashtags: event.tags.filter(t => t[0] === 't' && t[1]).map(t => t[1]),
+    dvmKinds: [...new Set(dvmKinds)],
+    naddr: serviceNaddr(event.pubkey, d[1], [], HANDLER_INFO_KIND),
+    source: 'nip89',
+    metadata,
+    raw: event
+  };
+}
+
+// What a service records about the handler announcement merged into it
+function handlerSummary(handler) {
+  return {
+    eventId: handler.eventId,
+    id: handler.id,
+    createdAt: handler.createdAt,
+    dvmKinds: handler.dvmKinds,
+    naddr: handler.naddr,
+    metadata: handler.metadata
+  };
+}
+
+/**
+ * A handler standing in for a service of its own, as find() returns
+ * DVMs known only from their NIP-89 announcement.
+ */
+function handlerService(handler) {
+  return { ...handler, nip89: handlerSummary(handler) };
+}
+
+// A listing is announced by a handler with its pubkey and d tag, or one
+// it points to with an 'a' tag (31990:<pubkey>:<d>)
+function announces(handler, service) {
+  if (service.pubkey !== handler.pubkey) return false;
+  if (service.id === handler.id) return true;
+  const address = `${HANDLER_INFO_KIND}:${handler.pubkey}:${handler.id}`;
+  return !!service.raw && service.raw.tags.some(t => t[0] === 'a' && t[1] === address);
+}
+
+/**
+ * Merge NIP-89 handlers into kind 38990 services. A handler joins the
+ * service of the same pubkey with the same d tag, or any of its services
+ * that reference the handler with an 'a' tag: the service gains the
+ * handler's kinds, fills a missing name / description / lightning
+ * address from it, and records it under `nip89`. Only the newest version
+ * of each handler (pubkey + d tag) counts. Handlers matching no
+ * service are returned as services of their own (with `nip89` set too),
+ * unless opts.standalone is false or opts.keep(handler) rejects them.
+ *
+ * @returns {object[]} The services followed by unmerged handlers
+ */
+function mergeHandlers(services, handlers, opts = {}) {
+  const { standalone = true, keep = () => true } = opts;
+  // Kinds an older version listed but the newest dropped must not match
+  const newest = new Map();
+  for (const handler of handlers) {
+    const key = `${handler.pubkey}:${handler.id}`;
+    const existing = newest.get(key);
+    if (!existing || handler.createdAt > existing.createdAt) newest.set(key, handler);
+  }
+
+  const result = [...services];
+  for (const handler of newest.values()) {
+    const matches = services.filter(s => announces(handler, s));
+    if (matches.length === 0) {
+      if (standalone && keep(handler)) result.push(handlerService(handler));
+      continue;
+    }
+    for (const svc of matches) {
+      // Kinds add up across handlers; the newest one fills gaps and is recorded
+      svc.dvmKinds = [...new Set([...svc.dvmKinds, ...handler.dvmKinds])];
+      if (svc.nip89 && svc.nip89.createdAt >= handler.createdAt) continue;
+      svc.name = svc.name || handler.name;
+      svc.description = svc.description || handler.description;
+      svc.lnAddress = svc.lnAddress || handler.lnAddress;
+      svc.nip89 = handlerSummary(handler);
+    }
+  }
+  return result;
+}
+
+/**
+ * Tags for a NIP-89 handler announcement mirroring a service: the same
+ * d tag, a 'k' tag per DVM kind, and its hashtags.
+ */
+function buildHandlerTags(opts) {
+  const dvmKinds = (opts.dvmKinds || []).map(String);
+  if (dvmKinds.length === 0 || !dvmKinds.every(isJobKind)) {
+    throw new Error('A NIP-89 announcement needs dvmKinds (NIP-90 job kinds, 5000-5999)');
+  }
+  return [
+    ['d', opts.id],
+    ...dvmKinds.map(k => ['k', k]),
+    ...(opts.hashtags || []).map(t => ['t', t])
+  ];
+}
+
+/**
+ * Kind 0-style JSON content of the handler announcement: name, about and
+ * lud16 from the service, plus any `extra` fields (picture, website, ...).
+ */
+function buildHandlerContent(opts, extra = {}) {
+  const metadata = {
+    name: opts.name || opts.id,
+    about: opts.description || undefined,
+    lud16: opts.lnAddress || undefined,
+    ...extra
+  };
+  return JSON.stringify(metadata);
+}
+
+/**
+ * Kind of the listing an naddr should point to for this service object.
+ */
+function listingKind(service) {
+  return service.source === 'nip89' ? HANDLER_INFO_KIND : SERVICE_KIND;
+}
+
+module.exports = {
+  isJobKind,
+  buildHandlerFilter,
+  parseHandlerEvent,
+  handlerService,
+  mergeHandlers,
+  buildHandlerTags,
+  buildHandlerContent,
+  listingKind
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const { verifyEvent } = require('nostr-tools');
+const { RELAY_LIST_KIND, OUTBOX_RELAYS_PER_PUBKEY, RELAY_LIST_TTL_MS } = require('./constants');
+const { queryRelays } = require('./relay');
+
+/**
+ * Normalize a relay URL so the same relay written two ways dedups:
+ * lowercase scheme and host, no trailing slash on a bare host.
+ * Returns null for anything that isn't a ws:// or wss:// URL.
+ */
+function normalizeRelayUrl(url) {
+  if (typeof url !== 'string') return null;
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (e) {
+    return null;
+  }
+  if (parsed.protocol !== 'wss:' && parsed.protocol !== 'ws:') return null;
+  const s = parsed.toString();
+  return parsed.pathname === '/' && !parsed.search ? s.replace(/\/$/, '') : s;
+}
+
+/**
+ * Concatenate relay lists, keeping the first occurrence of each relay.
+ */
+function mergeRelays(...lists) {
+  const merged = [];
+  const seen = new Set();
+  for (const url of [].concat(...lists)) {
+    const key = normalizeRelayUrl(url);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    merged.push(url);
+  }
+  return merged;
+}
+
+/**
+ * Parse a NIP-65 relay list (kind 10002).
+ * 'r' tags marked 'read' or 'write' go to that list; unmarked ones to both.
+ *
+ * @returns {{ pubkey, read: string[], write: string[], createdAt }}
+ */
+function parseRelayList(event) {
+  const read = [];
+  const write = [];
+  for (const tag of event.tags) {
+    if (tag[0] !== 'r') continue;
+    const url = normalizeRelayUrl(tag[1]);
+    if (!url) continue;
+    if (tag[2] !== 'write' && !read.includes(url)) read.push(url);
+    if (tag[2] !== 'read' && !write.includes(url)) write.push(url);
+  }
+  return { pubkey: event.pubkey, read, write, createdAt: event.created_at };
+}
+
+/**
+ * Build 'r' tags for a relay list: relays in both lists are left unmarked.
+ *
+ * @param {object} list - { read: string[], write: string[] }
+ */
+function buildRelayListTags({ read = [], write = [] } = {}) {
+  const tags = [];
+  for (const url of mergeRelays(read, write)) {
+    const key = normalizeRelayUrl(url);
+    const isRead = read.some(r => normalizeRelayUrl(r) === key);
+    const isWrite = write.some(w => normalizeRelayUrl(w) === key);
+    tags.push(isRead && isWrite ? ['r', key] : ['r', key, isRead ? 'read' : 'write']);
+  }
+  return tags;
+}
+
+/**
+ * Fetch the newest NIP-65 relay list of each pubkey.
+ *
+ * Pass opts.relayLists (a Map) to memoize lookups across calls; entries are
+ * reused for RELAY_LIST_TTL_MS. Pubkeys without a list map to null.
+ * Other opts (pool, health, offline) are passed to queryRelays().
+ *
+ * @returns {Map<string, object|null>} pubkey -> parseRelayList() result
+ */
+async function fetchRelayLists(pubkeys, relays, timeoutMs, opts = {}) {
+  const { relayLists } = opts;
+  const targets = [...new Set(pubkeys)];
+  const now = Date.now();
+  const result = new Map();
+
+  const missing = [];
+  for (const pubkey of targets) {
+    const memo = relayLists && relayLists.get(pubkey);
+    if (memo && now - memo.fetchedAt < RELAY_LIST_TTL_MS) result.set(pubkey, memo.list);
+    else missing.push(pubkey);
+  }
+  if (missing.length === 0) return result;
+
+  const events = await queryRelays({ kinds: [RELAY_LIST_KIND], authors: missing }, relays, timeoutMs, opts);
+  const newest = new Map();
+  for (const event of events) {
+    if (!verifyEvent(event) || !missing.includes(event.pubkey)) continue;
+    const current = newest.get(event.pubkey);
+    if (!current || event.created_at > current.created_at) newest.set(event.pubkey, event);
+  }
+
+  for (const pubkey of missing) {
+    const list = newest.has(pubkey) ? parseRelayList(newest.get(pubkey)) : null;
+    result.set(pubkey, list);
+    if (relayLists && !opts.offline) relayLists.set(pubkey, { list, fetchedAt: now });
+  }
+  return result;
+}
+
+/**
+ * The outbox model: the configured relays plus the relays the given pubkeys
+ * declared in their NIP-65 lists — their write relays (where they publish)
+ * by default, or the lists named in opts.markers.
+ *
+ * @param {string[]} pubkeys
+ * @param {string[]} relays - Configured relays; also where the lists are looked up
+ * @param {number} timeoutMs
+ * @param {object} opts
+ * @param {string[]} opts.markers - 'write' and/or 'read' (default: ['write'])
+ * @param {number} opts.perPubkey - Max relays taken from each list (default: OUTBOX_RELAYS_PER_PUBKEY)
+ * @param {Map} opts.relayLists - Memo, see fetchRelayLists()
+ */
+async function outboxRelays(pubkeys, relays, timeoutMs, opts = {}) {
+  const { markers = ['write'], perPubkey = OUTBOX_RELAYS_PER_PUBKEY } = opts;
+  if (opts.offline || pubkeys.length === 0) return relays;
+
+  const lists = await fetchRelayLists(pubkeys, relays, timeoutMs, opts);
+  const extra = [];
+  for (const list of lists.values()) {
+    if (!list) continue;
+    extra.push(mergeRelays(...markers.map(m => list[m] || [])).slice(0, perPubkey));
+  }
+  return mergeRelays(relays, ...extra);
+}
+
+module.exports = {
+  normalizeRelayUrl,
+  mergeRelays,
+  parseRelayList,
+  buildRelayListTags,
+  fetchRelayLists,
+  outboxRelays
+};
@@ -1,9 +1,12 @@
 'use strict';
 
-const { SERVICE_KIND } = require('./constants');
+const { SERVICE_KIND, WOT_NAMESPACE, TRUST_WEIGHTS } = require('./constants');
+const { serviceNaddr } = require('./identifiers');
 
 /**
  * Parse a raw Nostr event (kind 38990) into a structured service object.
+ * `naddr` (NIP-19) addresses the listing; it gains relay hints once it is
+ * known where the event was seen.
  */
 function parseServiceEvent(event) {
   const service = {
@@ -14,11 +17,13 @@ function parseServiceEvent(event) {
     name: null,
     capabilities: [],
     price: null,
+    prices: [],
     lnAddress: null,
     status: 'active',
     description: event.content || '',
     hashtags: [],
     dvmKinds: [],
+    naddr: null,
     raw: event
   };
 
@@ -30,13 +35,18 @@ function parseServiceEvent(event) {
       case 'c':
         service.capabilities.push(tag[1]);
         break;
-      case 'price':
-        service.price = {
-          amount: parseInt(tag[1], 10),
+      case 'price': {
+        const price = {
+          amount: parseFloat(tag[1]),
           currency: tag[2] || 'sats',
           per: tag[3] || 'request'
         };
+        if (tag[4]) price.tier = tag[4];
+        service.prices.push(price);
+        // First price tag stays the headline price
+        if (!service.price) service.price = price;
         break;
+      }
       case 'ln':
         service.lnAddress = tag[1];
         break;
@@ -55,6 +65,7 @@ function parseServiceEvent(event) {
     }
   }
 
+  service.naddr = serviceNaddr(event.pubkey, service.id);
   return service;
 }
 
@@ -62,6 +73,10 @@ function parseServiceEvent(event) {
  * Build Nostr event tags from service options.
  */
 function buildServiceTags(opts) {
+  if (typeof opts.id !== 'string' || opts.id.length === 0) {
+    throw new Error('Service id is required');
+  }
+
   const tags = [];
 
   // d-tag (required — makes it parameterized replaceable)
@@ -79,12 +94,15 @@ function buildServiceTags(opts) {
     }
   }
 
-  // Pricing
+  // Pricing: one tag per tier / unit / currency
   if (opts.price) {
-    const priceTag = ['price', String(opts.price.amount)];
-    if (opts.price.currency) priceTag.push(opts.price.currency);
-    if (opts.price.per) priceTag.push(opts.price.per);
-    tags.push(priceTag);
+    for (const price of Array.isArray(opts.price) ? opts.price : [opts.price]) {
+      const priceTag = ['price', String(price.amount)];
+      if (price.currency || price.per || price.tier) priceTag.push(price.currency || 'sats');
+      if (price.per || price.tier) priceTag.push(price.per || 'request');
+      if (price.tier) priceTag.push(price.tier);
+      tags.push(priceTag);
+    }
   }
 
   // Lightning address
@@ -116,4 +134,32 @@ function buildServiceTags(opts) {
   return tags;
 }
 
-module.exports = { parseServiceEvent, buildServiceTags };
+/**
+ * Build NIP-32 label tags for an ai.wot attestation (kind 1985).
+ *
+ * @param {string} targetPubkey - Pubkey being attested
+ * @param {object} opts
+ * @param {string} opts.type - Attestation type (a TRUST_WEIGHTS key, e.g. 'service-quality')
+ * @param {string} opts.serviceId - d-tag of the service this is about (adds an 'a' reference)
+ */
+function buildAttestationTags(targetPubkey, opts = {}) {
+  const type = opts.type || 'general-trust';
+  if (!(type in TRUST_WEIGHTS)) {
+    throw new Error(`Unknown attestation type: ${type} (expected one of ${Object.keys(TRUST_WEIGHTS).join(', ')})`);
+  }
+
+  const tags = [
+    ['L', WOT_NAMESPACE],
+    ['l', type, WOT_NAMESPACE],
+    ['p', targetPubkey]
+  ];
+
+  // Reference the service announcement (parameterized replaceable address)
+  if (opts.serviceId) {
+    tags.push(['a', `${SERVICE_KIND}:${targetPubkey}:${opts.serviceId}`]);
+  }
+
+  return tags;
+}
+
+module.exports = { parseServiceEvent, buildServiceTags, buildAttestationTags };
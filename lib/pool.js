@@ -0,0 +1,461 @@
+'use strict';
+
+const WebSocket = require('ws');
+const { verifyEvent } = require('nostr-tools');
+const { DEFAULT_TIMEOUT_MS, CLIENT_AUTH_KIND } = require('./constants');
+
+const DEFAULT_RECONNECT = {
+  minDelayMs: 1000,
+  maxDelayMs: 60000
+};
+
+function noop() {}
+
+function randomSubId(prefix) {
+  return prefix + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Machine-readable prefix of an OK/CLOSED message (NIP-01), e.g.
+ * 'rate-limited' for "rate-limited: slow down". null if there is none.
+ */
+function reasonPrefix(message) {
+  const match = /^([a-z-]+):/.exec(message || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Error for a publish or AUTH the relay answered with OK false.
+ * status 'rejected', prefix and reason as the relay sent them.
+ */
+function rejection(message) {
+  const err = new Error(message || 'Rejected by relay');
+  err.status = 'rejected';
+  err.prefix = reasonPrefix(message);
+  err.reason = message || null;
+  return err;
+}
+
+/**
+ * One persistent connection to a relay, multiplexing many subscriptions
+ * and publishes over a single WebSocket.
+ */
+class PooledRelay {
+  constructor(url, pool) {
+    this.url = url;
+    this.pool = pool;
+    this.ws = null;
+    this.connecting = null;
+    this.subs = new Map();    // subId -> { filters, live, onevent, oneose, onclose }
+    this.pending = new Map(); // event id -> [{ resolve, reject }]
+    this.attempts = 0;
+    this.retryAt = 0;
+    this.lastError = null;
+    this.reconnectTimer = null;
+    this.challenge = null;    // latest NIP-42 AUTH challenge on this connection
+    this.authedAs = null;     // pubkey accepted by the relay's AUTH, if any
+  }
+
+  get connected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Open the connection if needed. Concurrent callers share one handshake.
+   * Fails fast while the relay is backing off after a failed attempt.
+   */
+  connect() {
+    if (this.connected) return Promise.resolve(this);
+    if (this.connecting) return this.connecting;
+    if (this.pool.closed) return Promise.reject(new Error('Relay pool is closed'));
+    if (Date.now() < this.retryAt) {
+      return Promise.reject(new Error(`Relay ${this.url} is backing off after ${this.attempts} failed attempt(s)`));
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+      let opened = false;
+      let reason = 'connection failed';
+
+      const timer = setTimeout(() => {
+        reason = 'timed out';
+        ws.terminate();
+      }, this.pool.timeoutMs);
+
+      ws.on('open', () => {
+        clearTimeout(timer);
+        if (this.pool.closed) {
+          reason = 'pool closed';
+          ws.close();
+          return;
+        }
+        opened = true;
+        this.ws = ws;
+        this.connecting = null;
+        this.attempts = 0;
+        this.retryAt = 0;
+        // Re-establish live subscriptions after a reconnect
+        for (const [subId, sub] of this.subs) {
+          this._send(['REQ', subId, ...sub.filters]);
+        }
+        resolve(this);
+      });
+
+      ws.on('message', (data) => this._onMessage(data));
+
+      ws.on('error', (err) => {
+        reason = err.message;
+      });
+
+      ws.on('close', () => {
+        clearTimeout(timer);
+        if (opened) {
+          this._onClose(ws);
+          return;
+        }
+        this.connecting = null;
+        this.attempts++;
+        this.lastError = reason;
+        this.retryAt = Date.now() + this._delay();
+        reject(new Error(`Connection to ${this.url} ${reason === 'timed out' ? 'timed out' : 'failed: ' + reason}`));
+      });
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Open a subscription. Live subscriptions survive reconnects;
+   * one-shot subscriptions end (onclose) when the connection drops.
+   */
+  async subscribe(filters, handlers = {}, { live = false } = {}) {
+    const subId = randomSubId(live ? 'w_' : 'q_');
+    const sub = {
+      filters,
+      live,
+      onevent: handlers.onevent || noop,
+      oneose: handlers.oneose || noop,
+      onclose: handlers.onclose || noop
+    };
+    const handle = {
+      id: subId,
+      update: (newFilters) => this._updateSub(subId, newFilters),
+      close: () => this._closeSub(subId)
+    };
+
+    if (live) {
+      // Registered up front: the REQ is (re)sent on every successful connect,
+      // so an unreachable relay is retried with backoff instead of failing.
+      this.subs.set(subId, sub);
+      if (this.connected) this._send(['REQ', subId, ...filters]);
+      else this.connect().catch(() => this._scheduleReconnect());
+      return handle;
+    }
+
+    await this.connect();
+    this.subs.set(subId, sub);
+    this._send(['REQ', subId, ...filters]);
+    return handle;
+  }
+
+  /**
+   * Send an event and wait for the relay's OK.
+   * Resolves { relay, ok: true, message }; rejects with err.status
+   * 'rejected' (OK false, with err.prefix / err.reason) or 'timeout'.
+   */
+  async publish(event, timeoutMs) {
+    await this.connect();
+    return this._awaitOk(['EVENT', event], event.id, timeoutMs, 'Publish');
+  }
+
+  /**
+   * Answer the relay's NIP-42 challenge: sign a kind 22242 event with
+   * signAuth(template) and wait for the relay to accept it.
+   */
+  async auth(signAuth, timeoutMs) {
+    await this.connect();
+    if (!this.challenge) throw rejection('auth-required: relay sent no AUTH challenge');
+    const authEvent = await signAuth({
+      kind: CLIENT_AUTH_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['relay', this.url], ['challenge', this.challenge]],
+      content: ''
+    });
+    const result = await this._awaitOk(['AUTH', authEvent], authEvent.id, timeoutMs, 'AUTH');
+    this.authedAs = authEvent.pubkey;
+    return result;
+  }
+
+  _awaitOk(msg, id, timeoutMs, what) {
+    return new Promise((resolve, reject) => {
+      const waiter = {};
+      const timer = setTimeout(() => {
+        const waiters = (this.pending.get(id) || []).filter(w => w !== waiter);
+        if (waiters.length > 0) this.pending.set(id, waiters);
+        else this.pending.delete(id);
+        const err = new Error(`${what} to ${this.url} timed out`);
+        err.status = 'timeout';
+        reject(err);
+      }, timeoutMs);
+
+      waiter.resolve = (r) => { clearTimeout(timer); resolve(r); };
+      waiter.reject = (e) => { clearTimeout(timer); reject(e); };
+
+      if (!this.pending.has(id)) this.pending.set(id, []);
+      this.pending.get(id).push(waiter);
+      this._send(msg);
+    });
+  }
+
+  close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const ws = this.ws;
+    this.ws = null;
+    this._failPending(new Error(`Connection to ${this.url} closed`));
+    for (const [subId, sub] of this.subs) {
+      this.subs.delete(subId);
+      sub.onclose('pool closed');
+    }
+    if (ws) {
+      try { ws.close(); } catch (e) { /* ignore */ }
+    }
+  }
+
+  _updateSub(subId, filters) {
+    const sub = this.subs.get(subId);
+    if (!sub) return;
+    sub.filters = filters;
+    // A REQ with an existing subscription id replaces its filters (NIP-01)
+    this._send(['REQ', subId, ...filters]);
+  }
+
+  _closeSub(subId) {
+    if (!this.subs.delete(subId)) return;
+    this._send(['CLOSE', subId]);
+  }
+
+  _send(msg) {
+    if (!this.connected) return;
+    try { this.ws.send(JSON.stringify(msg)); } catch (e) { /* ignore */ }
+  }
+
+  _delay() {
+    const { minDelayMs, maxDelayMs } = this.pool.reconnect;
+    return Math.min(maxDelayMs, minDelayMs * 2 ** Math.max(0, this.attempts - 1));
+  }
+
+  _failPending(err) {
+    for (const [, waiters] of this.pending) {
+      for (const w of waiters) w.reject(err);
+    }
+    this.pending.clear();
+  }
+
+  _onMessage(data) {
+    let msg;
+    try { msg = JSON.parse(data.toString()); } catch (e) { return; }
+    if (!Array.isArray(msg)) return;
+
+    switch (msg[0]) {
+      case 'EVENT': {
+        const sub = this.subs.get(msg[1]);
+        const event = msg[2];
+        if (!sub || !event) return;
+        if (!verifyEvent(event)) return; // drop events with invalid signatures
+        sub.onevent(event);
+        break;
+      }
+      case 'EOSE': {
+        const sub = this.subs.get(msg[1]);
+        if (sub) sub.oneose();
+        break;
+      }
+      case 'CLOSED': {
+        const sub = this.subs.get(msg[1]);
+        if (!sub) return;
+        this.subs.delete(msg[1]);
+        sub.onclose(msg[2] || 'closed by relay');
+        break;
+      }
+      case 'OK': {
+        const waiters = this.pending.get(msg[1]);
+        if (!waiters) return;
+        this.pending.delete(msg[1]);
+        for (const w of waiters) {
+          if (msg[2]) w.resolve({ relay: this.url, ok: true, message: msg[3] || null });
+          else w.reject(rejection(msg[3]));
+        }
+        break;
+      }
+      case 'AUTH': {
+        if (typeof msg[1] === 'string') this.challenge = msg[1];
+        break;
+      }
+    }
+  }
+
+  _onClose(ws) {
+    if (this.ws !== ws) return;
+    this.ws = null;
+    this.challenge = null; // challenges and AUTH are per connection
+    this.authedAs = null;
+    this._failPending(new Error(`Connection to ${this.url} closed`));
+
+    // One-shot queries end with what they have; live subscriptions wait for reconnect
+    for (const [subId, sub] of this.subs) {
+      if (!sub.live) {
+        this.subs.delete(subId);
+        sub.onclose('connection closed');
+      }
+    }
+
+    if (this.subs.size > 0) this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectTimer || this.pool.closed) return;
+    const delay = this.retryAt > Date.now() ? this.retryAt - Date.now() : this._delay();
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.subs.size === 0) return;
+      this.retryAt = 0;
+      this.connect().catch(() => this._scheduleReconnect());
+    }, delay);
+  }
+}
+
+/**
+ * A pool of persistent relay connections, one per relay URL.
+ *
+ * Queries and publishes reuse the same socket instead of opening a new one
+ * per call. Dropped connections are re-opened with exponential backoff while
+ * live subscriptions are active, otherwise lazily on next use.
+ * Call close() when done — open sockets keep the process alive.
+ *
+ * @param {object} opts
+ * @param {number} opts.timeoutMs - Connection timeout (default: 15000)
+ * @param {object} opts.reconnect - { minDelayMs, maxDelayMs } backoff bounds
+ */
+class RelayPool {
+  constructor(opts = {}) {
+    this.timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.reconnect = { ...DEFAULT_RECONNECT, ...opts.reconnect };
+    this.relays = new Map();
+    this.closed = false;
+  }
+
+  /**
+   * Get (or create) the pooled connection for a relay URL.
+   */
+  relay(url) {
+    if (this.closed) throw new Error('Relay pool is closed');
+    let relay = this.relays.get(url);
+    if (!relay) {
+      relay = new PooledRelay(url, this);
+      this.relays.set(url, relay);
+    }
+    return relay;
+  }
+
+  /**
+   * Subscribe to a relay. Returns { id, update(filters), close() }.
+   *
+   * @param {string} url - Relay URL
+   * @param {object[]} filters - NIP-01 filters
+   * @param {object} handlers - { onevent, oneose, onclose }
+   * @param {object} opts - { live: true } to keep the subscription across reconnects
+   */
+  subscribe(url, filters, handlers, opts) {
+    return this.relay(url).subscribe(filters, handlers, opts);
+  }
+
+  /**
+   * Query a relay for events matching a filter.
+   * Resolves on EOSE or timeout (returns partial). Unreachable relays yield [].
+   * opts.onOutcome({ ok, latencyMs, events, error }) reports how it went —
+   * ok only when the relay answered with EOSE. opts.onEvent(event) is
+   * called as each event arrives.
+   */
+  query(url, filter, timeoutMs = this.timeoutMs, opts = {}) {
+    const { onOutcome, onEvent } = opts;
+    const start = Date.now();
+
+    return new Promise((resolve) => {
+      const events = [];
+      let sub = null;
+      let finished = false;
+
+      const done = (ok, error) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        if (sub) sub.close();
+        if (onOutcome) onOutcome({ ok, latencyMs: Date.now() - start, events: events.length, error: error || null });
+        resolve(events);
+      };
+      const timer = setTimeout(() => done(false, 'timed out'), timeoutMs);
+
+      let relay;
+      try {
+        relay = this.relay(url);
+      } catch (e) {
+        done(false, e.message);
+        return;
+      }
+
+      relay.subscribe([filter], {
+        onevent: (event) => {
+          events.push(event);
+          if (onEvent) onEvent(event);
+        },
+        oneose: () => done(true),
+        onclose: (reason) => done(false, reason)
+      }).then((s) => {
+        sub = s;
+        if (finished) s.close();
+      }, (err) => done(false, err.message));
+    });
+  }
+
+  /**
+   * Publish an event to a relay. Resolves { relay, ok: true, message } or
+   * rejects (see PooledRelay.publish).
+   */
+  async publish(url, event, timeoutMs = this.timeoutMs) {
+    return this.relay(url).publish(event, timeoutMs);
+  }
+
+  /**
+   * Authenticate to a relay (NIP-42) with signAuth(template) → signed event.
+   */
+  async auth(url, signAuth, timeoutMs = this.timeoutMs) {
+    return this.relay(url).auth(signAuth, timeoutMs);
+  }
+
+  /**
+   * Connection state per relay.
+   */
+  status() {
+    return Array.from(this.relays.values()).map(r => ({
+      url: r.url,
+      connected: r.connected,
+      subscriptions: r.subs.size,
+      failedAttempts: r.attempts,
+      lastError: r.lastError
+    }));
+  }
+
+  /**
+   * Close every connection and end all subscriptions.
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const relay of this.relays.values()) relay.close();
+    this.relays.clear();
+  }
+}
+
+module.exports = { RelayPool, reasonPrefix };
@@ -0,0 +1,160 @@
+'use strict';
+
+// Offline fallback: sats per unit of each currency. Fiat rates are rough
+// approximations (BTC ≈ 100k USD) — plug in a live provider for real quotes.
+const STATIC_RATES = {
+  sats: 1,
+  sat: 1,
+  msats: 0.001,
+  msat: 0.001,
+  btc: 100000000,
+  usd: 1000,
+  eur: 1080,
+  gbp: 1270
+};
+
+// Price unit (`per`) → workload key, e.g. { words: 500 } prices per-word listings
+const WORKLOAD_UNITS = {
+  request: 'requests',
+  word: 'words',
+  minute: 'minutes',
+  query: 'queries',
+  month: 'months'
+};
+
+/**
+ * Rate provider backed by a fixed table (sats per unit of currency).
+ *
+ * @param {object} overrides - Extra or replacement rates, e.g. { usd: 950 }
+ * @returns {{ getRate(currency): number|undefined }}
+ */
+function staticRates(overrides = {}) {
+  const table = { ...STATIC_RATES };
+  for (const [currency, rate] of Object.entries(overrides)) {
+    table[currency.toLowerCase()] = rate;
+  }
+  return {
+    getRate: (currency) => table[String(currency).toLowerCase()]
+  };
+}
+
+/**
+ * Rate provider that refreshes its table from a live source.
+ *
+ * getRate() stays synchronous (watchers filter as events arrive); findServices
+ * awaits refresh() before normalizing. Rates the source doesn't know — or all
+ * rates, if the fetch fails — come from `fallback`.
+ *
+ * @param {function} fetchRates - async () => ({ usd: 1000, ... }) in sats per unit
+ * @param {object} opts
+ * @param {number} opts.ttlMs - How long fetched rates stay fresh (default: 10 minutes)
+ * @param {object} opts.fallback - Provider for unknown currencies (default: staticRates())
+ */
+function createRateProvider(fetchRates, opts = {}) {
+  const { ttlMs = 10 * 60 * 1000, fallback = staticRates() } = opts;
+  let table = {};
+  let fetchedAt = 0;
+  let inflight = null;
+
+  return {
+    getRate(currency) {
+      const key = String(currency).toLowerCase();
+      return key in table ? table[key] : fallback.getRate(key);
+    },
+
+    refresh() {
+      if (Date.now() - fetchedAt < ttlMs) return Promise.resolve();
+      if (!inflight) {
+        inflight = Promise.resolve()
+          .then(fetchRates)
+          .then((rates) => {
+            table = {};
+            for (const [currency, rate] of Object.entries(rates || {})) {
+              table[currency.toLowerCase()] = rate;
+            }
+            fetchedAt = Date.now();
+          })
+          .catch(() => { /* keep the previous table; fallback covers the rest */ })
+          .then(() => { inflight = null; });
+      }
+      return inflight;
+    }
+  };
+}
+
+/**
+ * Accept a provider ({ getRate }), a plain rate table, or nothing (static rates).
+ */
+function resolveRateProvider(rates) {
+  if (!rates) return staticRates();
+  if (typeof rates.getRate === 'function') return rates;
+  return staticRates(rates);
+}
+
+/**
+ * Every price tier a service lists (parsed services carry `prices`;
+ * service definitions may give `price` as one object or an array).
+ */
+function servicePrices(service) {
+  if (Array.isArray(service.prices)) return service.prices;
+  if (Array.isArray(service.price)) return service.price;
+  return service.price ? [service.price] : [];
+}
+
+/**
+ * Convert one price tag to sats for a workload.
+ * Returns null when the currency has no rate or the unit isn't covered by the
+ * workload — a per-word price can't be compared with a per-request budget.
+ *
+ * @param {object} price - { amount, currency, per }
+ * @param {object} opts
+ * @param {object} opts.rates - Rate provider (see resolveRateProvider)
+ * @param {string} opts.per - Unit the caller is pricing by (counts as one of it)
+ * @param {object} opts.workload - Units of work, e.g. { words: 500 } (default: one request)
+ */
+function normalizePrice(price, opts = {}) {
+  const per = price.per || 'request';
+  if (per === 'free' || price.amount === 0) return 0;
+
+  const rate = resolveRateProvider(opts.rates).getRate(price.currency || 'sats');
+  if (rate === undefined) return null;
+
+  const workload = opts.workload || {};
+  let units = workload[WORKLOAD_UNITS[per] || per];
+  if (units === undefined && (per === 'request' || per === opts.per)) units = 1;
+  if (units === undefined) return null;
+
+  return price.amount * units * rate;
+}
+
+/**
+ * Cheapest comparable price of a service, in sats.
+ *
+ * @param {object} service - Parsed service or service definition
+ * @param {object} opts - { rates, per, workload } (see normalizePrice)
+ * @returns {{ sats: number, price: object }|null} null if no price is comparable
+ */
+function estimateCost(service, opts = {}) {
+  const rates = resolveRateProvider(opts.rates);
+  let best = null;
+
+  for (const price of servicePrices(service)) {
+    if (opts.per && price.per !== opts.per && price.per !== 'free') continue;
+    const sats = normalizePrice(price, { ...opts, rates });
+    if (sats === null) continue;
+    if (!best || sats < best.sats) best = { sats, price };
+  }
+
+  return best;
+}
+
+module.exports = {
+  STATIC_RATES,
+  WORKLOAD_UNITS,
+  staticRates,
+  createRateProvider,
+  resolveRateProvider,
+  servicePrices,
+  normalizePrice,
+  estimateCost
+};
@@ -1,21 +1,42 @@
 'use strict';
 
-const { finalizeEvent } = require('nostr-tools');
-const { SERVICE_KIND, DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
-const { buildServiceTags } = require('./parse');
+const { SERVICE_KIND, ATTESTATION_KIND, RELAY_LIST_KIND, HANDLER_INFO_KIND, DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
+const { buildServiceTags, buildAttestationTags } = require('./parse');
 const { publishToRelays } = require('./relay');
+const { validateService } = require('./validate');
+const { outboxRelays, mergeRelays, buildRelayListTags } = require('./outbox');
+const { hexToBytes, resolveSigner, signWith } = require('./signer');
+const { decodePubkey } = require('./identifiers');
+const { buildHandlerTags, buildHandlerContent } = require('./nip89');
 
 /**
- * Convert a hex string to Uint8Array.
+ * NIP-42: relays that answer 'auth-required:' get a challenge response
+ * signed by the publishing signer.
  */
-function hexToBytes(hex) {
-  if (hex instanceof Uint8Array) return hex;
-  if (typeof hex !== 'string') throw new Error('Secret key must be a hex string or Uint8Array');
-  return Uint8Array.from(Buffer.from(hex, 'hex'));
+function signAuthWith(signer) {
+  return (template) => signWith(signer, template);
+}
+
+/**
+ * Relays a listing goes to: the given ones, plus — with publishOpts.outbox —
+ * every relay in the publisher's own NIP-65 list, looked up on the given
+ * relays (or taken from publishOpts.relayList: { read, write }).
+ */
+async function listingRelays(pubkey, relays, timeoutMs, publishOpts) {
+  const { outbox, relayList } = publishOpts;
+  if (relayList) return mergeRelays(relays, relayList.write || [], relayList.read || []);
+  if (!outbox) return relays;
+  return outboxRelays([pubkey], relays, timeoutMs, {
+    ...publishOpts,
+    markers: ['write', 'read'],
+    perPubkey: Infinity
+  });
 }
 
 /**
  * Publish a service announcement to Nostr relays.
+ * The service is checked with validateService() first; invalid
+ * definitions throw (with `err.errors`) before anything is signed.
  * 
  * @param {object} opts - Service definition
  * @param {string} opts.id - Unique service identifier (d-tag)
@@ -27,45 +48,82 @@ function hexToBytes(hex) {
  * @param {string} opts.status - 'active' or 'inactive'
  * @param {string[]} opts.hashtags - Additional tags for discoverability
  * @param {string[]} opts.dvmKinds - NIP-90 DVM kinds this service handles
- * @param {string|Uint8Array} secretKey - Nostr secret key (hex or bytes)
+ * @param {string|Uint8Array|object} secretKey - Nostr secret key (hex, nsec or bytes), or a
+ *   signer ({ getPublicKey, signEvent }, e.g. a BunkerSigner)
  * @param {string[]} relays - Relay URLs
  * @param {number} timeoutMs - Timeout per relay
+ * @param {object} publishOpts - { pool } to reuse a RelayPool's connections;
+ *   { outbox: true } to also publish to the relays in your NIP-65 relay list;
+ *   { retries, retryDelayMs } for transient failures (see publishToRelays);
+ *   { nip89: true } to also publish a matching NIP-89 handler announcement
+ *   (kind 31990, same d tag, needs dvmKinds) so DVM clients find the service —
+ *   or { nip89: { picture, website, ... } } to add fields to its metadata.
+ *   Its outcome is returned under `nip89`.
  */
-async function publishService(opts, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS) {
+async function publishService(opts, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, publishOpts = {}) {
   if (!opts.id) throw new Error('Service id is required');
-  if (!secretKey) throw new Error('Secret key is required');
+  if (!secretKey) throw new Error('Secret key or signer is required');
+
+  // Refuse to sign listings other clients would quarantine
+  const validation = validateService(opts);
+  if (!validation.valid) {
+    const err = new Error('Invalid service: ' + validation.errors.map(e => `${e.field}: ${e.message}`).join('; '));
+    err.errors = validation.errors;
+    err.warnings = validation.warnings;
+    throw err;
+  }
+
+  const { nip89, ...relayOpts } = publishOpts;
+  const handlerTags = nip89 ? buildHandlerTags(opts) : null;
 
-  const sk = hexToBytes(secretKey);
+  const signer = resolveSigner(secretKey);
   const tags = buildServiceTags(opts);
 
-  const event = finalizeEvent({
+  const event = await signWith(signer, {
     kind: SERVICE_KIND,
     created_at: Math.floor(Date.now() / 1000),
     tags,
     content: opts.description || ''
-  }, sk);
+  });
 
-  const result = await publishToRelays(event, relays, timeoutMs);
-
-  return {
+  const targets = await listingRelays(event.pubkey, relays, timeoutMs, relayOpts);
+  const sendOpts = { signAuth: signAuthWith(signer), ...relayOpts };
+  const result = await publishToRelays(event, targets, timeoutMs, sendOpts);
+  const published = {
     eventId: event.id,
     pubkey: event.pubkey,
     ...result
   };
+  if (!handlerTags) return published;
+
+  const handler = await signWith(signer, {
+    kind: HANDLER_INFO_KIND,
+    created_at: event.created_at,
+    tags: handlerTags,
+    content: buildHandlerContent(opts, typeof nip89 === 'object' ? nip89 : {})
+  });
+  published.nip89 = {
+    eventId: handler.id,
+    ...await publishToRelays(handler, targets, timeoutMs, sendOpts)
+  };
+  return published;
 }
 
 /**
  * Remove a service by publishing an inactive replacement.
  * Parameterized replaceable events are replaced by a newer event
- * with the same pubkey + kind + d-tag.
+ * with the same pubkey + kind + d-tag. publishOpts.outbox works as in publishService.
+ * With publishOpts.nip89 (as for a service published with it), the NIP-89
+ * handler with the same d tag is replaced too, by one without kinds or
+ * metadata that DVM clients skip; its outcome is returned under `nip89`.
  */
-async function removeService(serviceId, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS) {
+async function removeService(serviceId, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, publishOpts = {}) {
   if (!serviceId) throw new Error('Service id is required');
-  if (!secretKey) throw new Error('Secret key is required');
+  if (!secretKey) throw new Error('Secret key or signer is required');
 
-  const sk = hexToBytes(secretKey);
+  const signer = resolveSigner(secretKey);
 
-  const event = finalizeEvent({
+  const event = await signWith(signer, {
     kind: SERVICE_KIND,
     created_at: Math.floor(Date.now() / 1000),
     tags: [
@@ -73,9 +131,97 @@ async function removeService(serviceId, secretKey, relays = DEFAULT_RELAYS, time
       ['status', 'inactive']
     ],
     content: ''
-  }, sk);
+  });
+
+  const { nip89, ...relayOpts } = publishOpts;
+  const targets = await listingRelays(event.pubkey, relays, timeoutMs, relayOpts);
+  const sendOpts = { signAuth: signAuthWith(signer), ...relayOpts };
+  const result = await publishToRelays(event, targets, timeoutMs, sendOpts);
+  const removed = {
+    eventId: event.id,
+    pubkey: event.pubkey,
+    ...result
+  };
+  if (!nip89) return removed;
+
+  const handler = await signWith(signer, {
+    kind: HANDLER_INFO_KIND,
+    created_at: event.created_at,
+    tags: [['d', serviceId]],
+    content: ''
+  });
+  removed.nip89 = {
+    eventId: handler.id,
+    ...await publishToRelays(handler, targets, timeoutMs, sendOpts)
+  };
+  return removed;
+}
+
+/**
+ * Publish an ai.wot attestation (NIP-32 kind 1985) about another agent.
+ * Closes the discovery loop: find → trust → pay → deliver → attest.
+ *
+ * @param {string} targetPubkey - Pubkey of the agent being attested (hex, npub or nprofile)
+ * @param {object} opts
+ * @param {string} opts.type - Attestation type, e.g. 'service-quality' or 'non-delivery'
+ * @param {string} opts.serviceId - d-tag of the service used (optional)
+ * @param {string} opts.comment - Free-text comment (event content)
+ * @param {string|Uint8Array|object} secretKey - Nostr secret key or signer
+ * @param {string[]} relays - Relay URLs
+ * @param {number} timeoutMs - Timeout per relay
+ * @param {object} publishOpts - { pool } to reuse a RelayPool's connections
+ */
+async function publishAttestation(targetPubkey, opts = {}, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, publishOpts = {}) {
+  if (!targetPubkey) throw new Error('Target pubkey is required');
+  targetPubkey = decodePubkey(targetPubkey);
+  if (!secretKey) throw new Error('Secret key or signer is required');
+
+  const signer = resolveSigner(secretKey);
+  if (await signer.getPublicKey() === targetPubkey) {
+    throw new Error('Self-attestations are not counted; refusing to publish');
+  }
+  const tags = buildAttestationTags(targetPubkey, opts);
+
+  const event = await signWith(signer, {
+    kind: ATTESTATION_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: opts.comment || ''
+  });
+
+  const result = await publishToRelays(event, relays, timeoutMs, { signAuth: signAuthWith(signer), ...publishOpts });
+
+  return {
+    eventId: event.id,
+    pubkey: event.pubkey,
+    ...result
+  };
+}
+
+/**
+ * Publish your NIP-65 relay list (kind 10002), so clients following the
+ * outbox model find your listings on the relays you write to.
+ *
+ * @param {object} list - { read: string[], write: string[] }; relays in both are unmarked
+ * @param {string|Uint8Array|object} secretKey - Nostr secret key or signer
+ * @param {string[]} relays - Relay URLs
+ * @param {number} timeoutMs - Timeout per relay
+ * @param {object} publishOpts - { pool } to reuse a RelayPool's connections
+ */
+async function publishRelayList(list, secretKey, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, publishOpts = {}) {
+  if (!secretKey) throw new Error('Secret key or signer is required');
+  const signer = resolveSigner(secretKey);
+  const tags = buildRelayListTags(list);
+  if (tags.length === 0) throw new Error('Relay list needs at least one ws:// or wss:// relay');
+
+  const event = await signWith(signer, {
+    kind: RELAY_LIST_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: ''
+  });
 
-  const result = await publishToRelays(event, relays, timeoutMs);
+  const result = await publishToRelays(event, relays, timeoutMs, { signAuth: signAuthWith(signer), ...publishOpts });
 
   return {
     eventId: event.id,
@@ -84,4 +230,4 @@ async function removeService(serviceId, secretKey, relays = DEFAULT_RELAYS, time
   };
 }
 
-module.exports = { publishService, removeService };
+module.exports = { publishService, removeService, publishAttestation, publishRelayList, hexToBytes };
@@ -1,9 +1,202 @@
 'use strict';
 
-const { SERVICE_KIND, DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
+const { SERVICE_KIND, HANDLER_INFO_KIND, DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
 const { queryRelays } = require('./relay');
 const { parseServiceEvent } = require('./parse');
+const { validateServiceEvent } = require('./validate');
+const { estimateCost, servicePrices } = require('./pricing');
+const { rankServices, sortRequirements } = require('./ranking');
 const { enrichWithTrust } = require('./trust');
+const { outboxRelays, mergeRelays } = require('./outbox');
+const { decodePubkey, serviceNaddr, isNaddr, decodeServiceAddress } = require('./identifiers');
+const { buildHandlerFilter, parseHandlerEvent, handlerService, mergeHandlers, listingKind } = require('./nip89');
+
+/**
+ * Build the NIP-01 relay filter for a service query.
+ * Capabilities, pubkeys (hex, npub or nprofile), hashtags and dvmKinds are
+ * matched relay-side, as are the time window (since/until, unix seconds) and
+ * relayLimit (the filter's limit).
+ */
+function buildServiceFilter(opts = {}) {
+  const { capabilities, pubkeys, hashtags, dvmKinds, since, until, relayLimit } = opts;
+  const filter = { kinds: [SERVICE_KIND] };
+
+  if (capabilities && capabilities.length > 0) {
+    filter['#c'] = capabilities;
+  }
+  if (pubkeys && pubkeys.length > 0) {
+    filter.authors = pubkeys.map(decodePubkey);
+  }
+  if (hashtags && hashtags.length > 0) {
+    filter['#t'] = hashtags;
+  }
+  if (dvmKinds && dvmKinds.length > 0) {
+    filter['#k'] = dvmKinds.map(String);
+  }
+  if (since !== undefined) {
+    filter.since = since;
+  }
+  if (until !== undefined) {
+    filter.until = until;
+  }
+  if (relayLimit !== undefined) {
+    filter.limit = relayLimit;
+  }
+
+  return filter;
+}
+
+/**
+ * Replaceable-event identity of a service: pubkey + d-tag.
+ */
+function serviceKey(service) {
+  return `${service.pubkey}:${service.id}`;
+}
+
+/**
+ * Dedup: for parameterized replaceable events, keep only the latest per pubkey+d-tag.
+ */
+function dedupServices(services) {
+  const latest = new Map();
+  for (const svc of services) {
+    const key = serviceKey(svc);
+    const existing = latest.get(key);
+    if (!existing || svc.createdAt > existing.createdAt) {
+      latest.set(key, svc);
+    }
+  }
+  return Array.from(latest.values());
+}
+
+// serviceKey() of a raw event
+function eventKey(event) {
+  const d = event.tags.find(t => t[0] === 'd');
+  return `${event.pubkey}:${d ? d[1] : ''}`;
+}
+
+/**
+ * Keep only the latest event per pubkey+d-tag. Runs before validation, so a
+ * malformed replacement quarantines its address instead of bringing back
+ * the version it replaced.
+ */
+function latestEvents(events) {
+  const latest = new Map();
+  for (const event of events) {
+    const key = eventKey(event);
+    const existing = latest.get(key);
+    if (!existing || event.created_at > existing.created_at) latest.set(key, event);
+  }
+  return Array.from(latest.values());
+}
+
+/**
+ * Drop malformed announcements before parsing. Each rejected event is
+ * passed to onQuarantine(event, result) with the validation errors.
+ * With strict = false every event is kept.
+ */
+function quarantineEvents(events, { strict = true, onQuarantine } = {}) {
+  if (!strict) return events;
+  return events.filter(event => {
+    const result = validateServiceEvent(event);
+    if (!result.valid && onQuarantine) onQuarantine(event, result);
+    return result.valid;
+  });
+}
+
+/**
+ * Query relays for service announcements, through the cache when one is given.
+ *
+ * opts.cacheMode:
+ *   'swr' (default) — a fresh cached query answers from the cache; a stale one
+ *                     answers from the cache and is refetched in the background
+ *   'refresh'       — always ask the relays, then store the results
+ *   'offline'       — answer from the cache only
+ *
+ * With opts.outbox, whenever relays are asked, the write relays the filter's
+ * authors declared in their NIP-65 relay lists are asked too (see outboxRelays).
+ *
+ * opts.seen and opts.firstSeen (Maps, see queryRelays) collect provenance;
+ * answers from the cache fill them with what was recorded when the events
+ * were fetched.
+ *
+ * @param {object} opts - { pool, seen, firstSeen, health, cache, cacheMode, outbox, relayLists }
+ */
+async function fetchServiceEvents(filter, relays, timeoutMs, opts = {}) {
+  const { pool, health, cache, cacheMode = 'swr', outbox, relayLists } = opts;
+  const seen = opts.seen || new Map();
+  const firstSeen = opts.firstSeen || new Map();
+  const ask = async (provenance) => {
+    const targets = outbox && filter.authors
+      ? await outboxRelays(filter.authors, relays, timeoutMs, { pool, health, relayLists })
+      : relays;
+    return queryRelays(filter, targets, timeoutMs, { pool, health, ...provenance });
+  };
+  if (!cache) return ask({ seen, firstSeen });
+
+  const fromCache = () => {
+    const events = cache.serviceEvents(filter);
+    for (const event of events) {
+      const recorded = cache.serviceProvenance(event);
+      if (!recorded || seen.has(event.id)) continue;
+      seen.set(event.id, [...recorded.seenOn]);
+      if (recorded.firstSeenAt !== null) firstSeen.set(event.id, recorded.firstSeenAt);
+    }
+    return events;
+  };
+  if (cacheMode === 'offline') return fromCache();
+
+  const key = cache.queryKey(filter, relays);
+  const refresh = async (provenance = { seen: new Map(), firstSeen: new Map() }) => {
+    const events = await ask(provenance);
+    if (pool && pool.closed) return events; // cut short — don't record a partial answer
+    // Latest versions, valid or not: readers quarantine them like relay answers
+    const services = latestEvents(events).map(parseServiceEvent);
+    cache.putServices(attachProvenance(services, provenance.seen, provenance.firstSeen));
+    cache.markQuery(key);
+    return events;
+  };
+
+  const entry = cacheMode === 'refresh' ? null : cache.getQuery(key);
+  if (!entry) return refresh({ seen, firstSeen });
+  if (!cache.isFresh(entry)) cache.revalidate(key, () => refresh());
+  return fromCache();
+}
+
+/**
+ * Record where each service was seen: `seenOn` (URLs of the relays that
+ * returned its event) and `firstSeenAt` (unix ms when it first arrived,
+ * null if unknown). The naddr takes its relay hints from seenOn.
+ */
+function attachProvenance(services, seen, firstSeen) {
+  for (const svc of services) {
+    svc.seenOn = [...(seen.get(svc.eventId) || [])];
+    svc.firstSeenAt = firstSeen.has(svc.eventId) ? firstSeen.get(svc.eventId) : null;
+    svc.naddr = serviceNaddr(svc.pubkey, svc.id, svc.seenOn, listingKind(svc));
+  }
+  return services;
+}
+
+/**
+ * Client-side filters that relays can't apply (status, price).
+ *
+ * Prices are normalized to sats (see estimateCost): `per` keeps services
+ * priced in that unit, and `maxPrice` compares the cheapest comparable price
+ * for the `workload` (default: one request). Priced services that can't be
+ * compared — unknown currency, or a unit the workload doesn't cover — don't
+ * pass a maxPrice filter; unpriced services do.
+ */
+function matchesService(service, opts = {}) {
+  const { status, maxPrice, per } = opts;
+  if (status && service.status !== status) return false;
+  if (!per && maxPrice === undefined) return true;
+
+  const prices = servicePrices(service);
+  if (per && !prices.some(p => p.per === per || p.per === 'free')) return false;
+  if (maxPrice === undefined || prices.length === 0) return true;
+
+  const cost = estimateCost(service, opts);
+  return cost !== null && cost.sats <= maxPrice;
+}
 
 /**
  * Find agent services matching criteria.
@@ -11,77 +204,146 @@ const { enrichWithTrust } = require('./trust');
  * Uses relay-side filtering where possible (capabilities, pubkeys, hashtags),
  * then post-filters on price and trust score.
  * 
- * Results are sorted by trust score (desc), then creation date (desc).
+ * Results are sorted by trust score (desc), then estimated cost (asc, when
+ * pricing options are given), then creation date (desc) — unless `sort`
+ * picks another ranking (see rankServices), in which case each result
+ * carries a `ranking` score breakdown.
  * 
  * @param {object} opts - Query options
  * @param {string[]} opts.capabilities - Filter by capability tags
- * @param {number} opts.maxPrice - Maximum price in sats
+ * @param {number} opts.maxPrice - Maximum estimated cost in sats (prices are normalized first)
+ * @param {string} opts.per - Only services priced per this unit ('word', 'minute', ...)
+ * @param {object} opts.workload - Units of work to price, e.g. { words: 500 } (default: one request)
+ * @param {object} opts.rates - Rate provider ({ getRate, refresh? }) or table of sats per unit
  * @param {number} opts.minTrust - Minimum ai.wot trust score
  * @param {boolean} opts.includeTrust - Include trust scores (even without minTrust filter)
+ * @param {boolean|number} opts.excludeDisputed - Drop services with disputes
+ *   (negative ai.wot labels): true for any, or a number of days to only
+ *   consider disputes that recent
  * @param {string} opts.status - Filter by status (default: 'active')
  * @param {string[]} opts.pubkeys - Filter by specific pubkeys
  * @param {string[]} opts.hashtags - Filter by hashtags
+ * @param {Array<number|string>} opts.dvmKinds - Only services handling these NIP-90 job kinds
+ * @param {boolean} opts.includeNip89 - Also discover DVMs from NIP-89 handler
+ *   announcements (kind 31990), merged into the services they announce (see mergeHandlers)
  * @param {number} opts.limit - Maximum results to return
+ * @param {number} opts.since - Only announcements created at or after this unix time (relay-side)
+ * @param {number} opts.until - Only announcements created at or before this unix time (relay-side)
+ * @param {number} opts.relayLimit - Max events each relay returns (the filter's limit)
+ * @param {string|object} opts.sort - 'price', 'trust', 'recency', 'relay-coverage',
+ *   or weights such as { trust: 0.6, price: 0.3, freshness: 0.1 }
  * @param {string[]} opts.relays - Override default relays
  * @param {number} opts.timeoutMs - Override default timeout
+ * @param {RelayPool} opts.pool - Reuse persistent relay connections
+ * @param {RelayHealth} opts.health - Record per-relay latency and failures
+ * @param {object} opts.scoring - Trust scoring options (see enrichWithTrust)
+ * @param {string|string[]} opts.perspective - Score trust relative to these root pubkeys
+ * @param {boolean} opts.strict - Quarantine announcements failing validateServiceEvent (default: true)
+ * @param {function} opts.onQuarantine - Called as (event, result) for each quarantined announcement
+ * @param {DiscoveryCache} opts.cache - Answer from (and fill) an on-disk cache
+ * @param {string} opts.cacheMode - 'swr' (default), 'refresh' or 'offline' (see fetchServiceEvents)
+ * @param {number} opts.minRelays - Drop listings seen on fewer relays than this
+ *
+ * Every result carries `seenOn` (relay URLs that returned it) and
+ * `firstSeenAt` (unix ms it first arrived). With includeNip89, DVMs known
+ * only from a handler announcement come back with `source: 'nip89'`; those
+ * aren't cached, and can't match a capabilities filter (handlers have none).
  */
 async function findServices(opts = {}) {
   const {
     capabilities,
     maxPrice,
+    per,
+    workload,
+    rates,
     minTrust,
     status = 'active',
     relays = DEFAULT_RELAYS,
     timeoutMs = DEFAULT_TIMEOUT_MS,
     pubkeys,
     hashtags,
+    dvmKinds,
+    includeNip89 = false,
+    since,
+    until,
+    relayLimit,
     limit,
-    includeTrust = false
+    sort,
+    includeTrust = false,
+    excludeDisputed,
+    pool,
+    scoring,
+    perspective,
+    strict,
+    onQuarantine,
+    cache,
+    cacheMode,
+    health,
+    minRelays
   } = opts;
+  const offline = cacheMode === 'offline';
 
-  // Build NIP-01 filter — let the relay do the heavy lifting
-  const filter = { kinds: [SERVICE_KIND] };
+  // Build NIP-01 filter — let the relay do the heavy lifting. With handlers,
+  // dvmKinds apply after merging: a listing without 'k' tags gains its
+  // handler's kinds, so a relay-side '#k' would hide it
+  const bridging = includeNip89 && dvmKinds && dvmKinds.length > 0;
+  const filter = buildServiceFilter({ capabilities, pubkeys, hashtags, dvmKinds: bridging ? undefined : dvmKinds, since, until, relayLimit });
 
-  if (capabilities && capabilities.length > 0) {
-    filter['#c'] = capabilities;
-  }
-  if (pubkeys && pubkeys.length > 0) {
-    filter.authors = pubkeys;
-  }
-  if (hashtags && hashtags.length > 0) {
-    filter['#t'] = hashtags;
-  }
+  // Fail on a bad sort before touching the network
+  const needs = sort !== undefined
+    ? sortRequirements(sort)
+    : { trust: false, price: false, coverage: false };
 
-  // Query relays
-  const events = await queryRelays(filter, relays, timeoutMs);
+  // Query relays, remembering which relays returned each event and when
+  const seen = new Map();
+  const firstSeen = new Map();
+  const [events, handlerEvents] = await Promise.all([
+    fetchServiceEvents(filter, relays, timeoutMs, { pool, seen, firstSeen, health, cache, cacheMode }),
+    // NIP-89 handlers: straight from the relays (the cache holds 38990 listings only)
+    includeNip89 && !offline
+      ? fetchServiceEvents(buildHandlerFilter({ dvmKinds, pubkeys: filter.authors, since, until, relayLimit }),
+        relays, timeoutMs, { pool, seen, firstSeen, health })
+      : []
+  ]);
 
-  // Parse into service objects
-  let services = events.map(parseServiceEvent);
+  // Keep only the latest per pubkey+d-tag, then parse the valid ones into service objects
+  const valid = quarantineEvents(latestEvents(events), { strict, onQuarantine });
+  let services = attachProvenance(valid.map(parseServiceEvent), seen, firstSeen);
 
-  // Dedup: for parameterized replaceable events, keep only the latest per pubkey+d-tag
-  const latest = new Map();
-  for (const svc of services) {
-    const key = `${svc.pubkey}:${svc.id}`;
-    const existing = latest.get(key);
-    if (!existing || svc.createdAt > existing.createdAt) {
-      latest.set(key, svc);
-    }
+  // Handlers join same-pubkey listings; the rest stand alone unless a capability was asked for
+  if (handlerEvents.length > 0) {
+    const handlers = attachProvenance(dedupServices(handlerEvents.map(parseHandlerEvent).filter(Boolean)), seen, firstSeen);
+    services = mergeHandlers(services, handlers, {
+      standalone: !capabilities || capabilities.length === 0,
+      keep: (h) => !hashtags || hashtags.length === 0 || h.hashtags.some(t => hashtags.includes(t))
+    });
+  }
+  if (bridging) {
+    const wanted = dvmKinds.map(String);
+    services = services.filter(s => s.dvmKinds.some(k => wanted.includes(String(k))));
   }
-  services = Array.from(latest.values());
 
-  // Filter by status
-  if (status) {
-    services = services.filter(s => s.status === status);
+  // Quorum: a listing only one relay vouches for may be forged or stale
+  if (minRelays) {
+    services = services.filter(s => s.seenOn.length >= minRelays);
   }
 
-  // Filter by price (client-side — relays can't do numeric comparisons)
-  if (maxPrice !== undefined) {
-    services = services.filter(s => !s.price || s.price.amount <= maxPrice);
+  // Filter by status and price (client-side — relays can't do numeric comparisons)
+  if (rates && typeof rates.refresh === 'function') await rates.refresh();
+  const pricing = { rates, per, workload };
+  services = services.filter(s => matchesService(s, { status, maxPrice, ...pricing }));
+
+  // Attach normalized cost so results can be compared across currencies and units
+  const priced = maxPrice !== undefined || per !== undefined || workload !== undefined || needs.price;
+  if (priced) {
+    for (const s of services) s.cost = estimateCost(s, pricing);
   }
 
   // Enrich with trust if requested or if filtering by trust
-  if (includeTrust || minTrust !== undefined) {
-    services = await enrichWithTrust(services, relays, timeoutMs);
+  if (includeTrust || minTrust !== undefined || excludeDisputed || needs.trust) {
+    services = await enrichWithTrust(services, relays, timeoutMs, {
+      pool, health, scoring, perspective, cache, cacheMode, offline
+    });
   }
 
   // Filter by trust
@@ -89,12 +351,28 @@ async function findServices(opts = {}) {
     services = services.filter(s => s.trustScore >= minTrust);
   }
 
-  // Sort: trust (desc) → date (desc)
-  services.sort((a, b) => {
-    const trustDiff = (b.trustScore || 0) - (a.trustScore || 0);
-    if (trustDiff !== 0) return trustDiff;
-    return b.createdAt - a.createdAt;
-  });
+  // Filter out disputed providers
+  if (excludeDisputed) {
+    const since = typeof excludeDisputed === 'number'
+      ? Math.floor(Date.now() / 1000) - excludeDisputed * 86400
+      : -Infinity;
+    services = services.filter(s => !s.trust.disputes || s.trust.lastDisputeAt < since);
+  }
+
+  if (sort !== undefined) {
+    rankServices(services, sort, { seen: needs.coverage ? seen : null });
+  } else {
+    // Default: trust (desc) → cost (asc, uncomparable last) → date (desc)
+    services.sort((a, b) => {
+      const trustDiff = (b.trustScore || 0) - (a.trustScore || 0);
+      if (trustDiff !== 0) return trustDiff;
+      if (priced) {
+        const costDiff = (a.cost ? a.cost.sats : Infinity) - (b.cost ? b.cost.sats : Infinity);
+        if (costDiff) return costDiff;
+      }
+      return b.createdAt - a.createdAt;
+    });
+  }
 
   // Limit
   if (limit) {
@@ -105,34 +383,212 @@ async function findServices(opts = {}) {
 }
 
 /**
- * Get a specific service by pubkey and service id.
+ * Page back through service announcements, newest first, across all relays.
+ *
+ * Each page asks every relay for its newest `pageSize` matching events at or
+ * before the cursor. A relay that returns a full page may hold more events
+ * older than the oldest it returned, so only events newer than the latest
+ * such boundary are complete and emitted; the rest are fetched again with
+ * the next page. Pages are therefore merged in created_at order even when
+ * relays hold different slices of history.
+ *
+ * Yields { services, cursor }. `cursor` is a unix timestamp to pass back as
+ * opts.cursor to resume later, or null after the last page. Services are
+ * filtered like findServices (status, price, trust) but stay in created_at
+ * order.
+ *
+ * @example
+ * for await (const page of paginateServices({ capabilities: ['translation'], pageSize: 20 })) {
+ *   console.log(page.services.length, 'services, resume with', page.cursor);
+ * }
+ *
+ * @param {object} opts - findServices options, plus:
+ * @param {number} opts.pageSize - Events requested per relay per page (default: 50)
+ * @param {number} opts.cursor - Resume from a previous page's cursor
+ * @param {number} opts.since - Stop at announcements older than this unix time
+ * @param {number} opts.minRelays - As in findServices (counts relays within a page)
  */
-async function getService(pubkey, serviceId, opts = {}) {
+async function* paginateServices(opts = {}) {
   const {
+    capabilities,
+    pubkeys,
+    hashtags,
+    since,
+    until,
+    cursor,
+    pageSize = 50,
+    maxPrice,
+    per,
+    workload,
+    rates,
+    minTrust,
+    includeTrust = false,
+    status = 'active',
     relays = DEFAULT_RELAYS,
     timeoutMs = DEFAULT_TIMEOUT_MS,
-    includeTrust = true
+    pool,
+    scoring,
+    perspective,
+    strict,
+    onQuarantine,
+    health,
+    minRelays
   } = opts;
 
+  const emitted = new Set(); // service keys already yielded (older versions are skipped)
+  let upper = cursor !== undefined && cursor !== null ? cursor : until;
+
+  while (true) {
+    const filter = buildServiceFilter({ capabilities, pubkeys, hashtags, since, until: upper, relayLimit: pageSize });
+    const seen = new Map();
+    const firstSeen = new Map();
+    const perRelay = await Promise.all(relays.map(url => queryRelays(filter, [url], timeoutMs, { pool, health, seen, firstSeen })));
+
+    // Everything newer than the highest "oldest event" of a full page is complete
+    let boundary = null;
+    for (const events of perRelay) {
+      if (events.length < pageSize) continue;
+      const oldest = Math.min(...events.map(e => e.created_at));
+      if (boundary === null || oldest > boundary) boundary = oldest;
+    }
+
+    const byId = new Map();
+    for (const events of perRelay) {
+      for (const e of events) byId.set(e.id, e);
+    }
+    let batch = Array.from(byId.values());
+    let next;
+    if (boundary === null) {
+      next = null; // every relay is exhausted
+    } else if (batch.some(e => e.created_at > boundary)) {
+      batch = batch.filter(e => e.created_at > boundary);
+      next = boundary; // `until` is inclusive: events at the boundary are fetched again
+    } else {
+      // A whole page shares one timestamp — take it and step past
+      batch = batch.filter(e => e.created_at === boundary);
+      next = boundary - 1;
+    }
+    if (next !== null && since !== undefined && next < since) next = null;
+
+    // Newest first, so each address is settled by its latest version (even a malformed one)
+    batch.sort((a, b) => b.created_at - a.created_at);
+    const latest = batch.filter((e) => {
+      const key = eventKey(e);
+      if (emitted.has(key)) return false;
+      emitted.add(key);
+      return true;
+    });
+    let services = attachProvenance(quarantineEvents(latest, { strict, onQuarantine }).map(parseServiceEvent), seen, firstSeen)
+      .filter(svc => !minRelays || svc.seenOn.length >= minRelays);
+
+    if (rates && typeof rates.refresh === 'function') await rates.refresh();
+    const pricing = { rates, per, workload };
+    services = services.filter(s => matchesService(s, { status, maxPrice, ...pricing }));
+    if (maxPrice !== undefined || per !== undefined || workload !== undefined) {
+      for (const s of services) s.cost = estimateCost(s, pricing);
+    }
+
+    if (services.length > 0 && (includeTrust || minTrust !== undefined)) {
+      services = await enrichWithTrust(services, relays, timeoutMs, { pool, health, scoring, perspective });
+      if (minTrust !== undefined) services = services.filter(s => s.trustScore >= minTrust);
+    }
+
+    yield { services, cursor: next };
+    if (next === null) return;
+    upper = next;
+  }
+}
+
+/**
+ * Get a specific service by pubkey (hex, npub or nprofile) and service id,
+ * or by its naddr alone: getService(naddr, opts). The naddr's relay hints
+ * are asked along with the configured relays. A kind 31990 naddr (as find()
+ * gives DVMs known only from a NIP-89 handler) resolves to that handler.
+ * Malformed announcements are quarantined, and opts.cache / opts.cacheMode
+ * apply, as in findServices.
+ *
+ * Follows the outbox model (NIP-65) unless opts.outbox is false: the
+ * provider's kind 10002 relay list is looked up on the configured relays and
+ * its write relays are asked too, as are the relays it reads from when
+ * fetching attestations. Pass opts.relayLists (a Map) to reuse lookups.
+ */
+async function getService(pubkey, serviceId, opts = {}) {
+  if (serviceId !== null && typeof serviceId === 'object') {
+    opts = serviceId;
+    serviceId = undefined;
+  }
+  let hints = [];
+  let kind = SERVICE_KIND;
+  if (isNaddr(pubkey) && serviceId === undefined) {
+    ({ pubkey, id: serviceId, relays: hints, kind } = decodeServiceAddress(pubkey));
+  } else {
+    pubkey = decodePubkey(pubkey);
+  }
+  if (!serviceId) throw new Error('Service id is required (or pass an naddr)');
+
+  const {
+    relays: configured = DEFAULT_RELAYS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    includeTrust = true,
+    pool,
+    scoring,
+    perspective,
+    strict,
+    onQuarantine,
+    cache,
+    cacheMode,
+    health,
+    outbox = true,
+    relayLists
+  } = opts;
+  const relays = mergeRelays(configured, hints);
+
   const filter = {
-    kinds: [SERVICE_KIND],
+    kinds: [kind],
     authors: [pubkey],
     '#d': [serviceId]
   };
 
-  const events = await queryRelays(filter, relays, timeoutMs);
-  if (events.length === 0) return null;
-
-  // Latest version
-  events.sort((a, b) => b.created_at - a.created_at);
-  let service = parseServiceEvent(events[0]);
+  const seen = new Map();
+  const firstSeen = new Map();
+  let service;
+  if (kind === HANDLER_INFO_KIND) {
+    // naddr of a DVM known only from its NIP-89 handler (not cached, like in find)
+    if (cacheMode === 'offline') return null;
+    // Latest version; an emptied one (see removeService) means it is gone
+    const events = (await fetchServiceEvents(filter, relays, timeoutMs, { pool, seen, firstSeen, health, outbox, relayLists }))
+      .sort((a, b) => b.created_at - a.created_at);
+    const handler = events.length > 0 ? parseHandlerEvent(events[0]) : null;
+    if (!handler) return null;
+    service = attachProvenance([handlerService(handler)], seen, firstSeen)[0];
+  } else {
+    // Latest version; if it is malformed the listing is quarantined, not rolled back
+    const events = quarantineEvents(
+      latestEvents(await fetchServiceEvents(filter, relays, timeoutMs, { pool, seen, firstSeen, health, cache, cacheMode, outbox, relayLists })),
+      { strict, onQuarantine }
+    );
+    if (events.length === 0) return null;
+    service = attachProvenance([parseServiceEvent(events[0])], seen, firstSeen)[0];
+  }
 
   if (includeTrust) {
-    const enriched = await enrichWithTrust([service], relays, timeoutMs);
+    const enriched = await enrichWithTrust([service], relays, timeoutMs, {
+      pool, health, scoring, perspective, cache, cacheMode, offline: cacheMode === 'offline', outbox, relayLists
+    });
     service = enriched[0];
   }
 
   return service;
 }
 
-module.exports = { findServices, getService };
+module.exports = {
+  findServices,
+  paginateServices,
+  getService,
+  buildServiceFilter,
+  serviceKey,
+  dedupServices,
+  fetchServiceEvents,
+  quarantineEvents,
+  matchesService
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+// Composite weight names → the ranking component they score.
+// 'recency' and 'freshness' are the same signal; 'coverage' is short for 'relay-coverage'.
+const SORT_KEYS = {
+  trust: 'trust',
+  price: 'price',
+  recency: 'freshness',
+  freshness: 'freshness',
+  'relay-coverage': 'coverage',
+  coverage: 'coverage'
+};
+
+/**
+ * Normalize a sort option into component weights.
+ *
+ * 'price' | 'trust' | 'recency' | 'relay-coverage' rank on one signal;
+ * an object such as { trust: 0.6, price: 0.3, freshness: 0.1 } blends them.
+ *
+ * @returns {{ name: string, weights: object }} weights keyed by component
+ */
+function resolveSort(sort) {
+  if (typeof sort === 'string') {
+    if (!SORT_KEYS[sort]) {
+      throw new Error(`Unknown sort: ${sort} (expected one of ${Object.keys(SORT_KEYS).join(', ')} or a weight object)`);
+    }
+    return { name: sort, weights: { [SORT_KEYS[sort]]: 1 } };
+  }
+
+  if (!sort || typeof sort !== 'object' || Array.isArray(sort)) {
+    throw new Error('sort must be a name or an object of weights, e.g. { trust: 0.6, price: 0.4 }');
+  }
+
+  const weights = {};
+  for (const [key, weight] of Object.entries(sort)) {
+    if (!SORT_KEYS[key]) throw new Error(`Unknown sort key: ${key}`);
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Sort weight for ${key} must be a non-negative number`);
+    }
+    const component = SORT_KEYS[key];
+    weights[component] = (weights[component] || 0) + weight;
+  }
+  if (Object.values(weights).every(w => w === 0)) {
+    throw new Error('At least one sort weight must be positive');
+  }
+  return { name: 'composite', weights };
+}
+
+/**
+ * Raw value of each ranking component. null means unknown (no comparable
+ * price, trust not fetched): the component is left out of that service's
+ * score, and services with no known component at all rank last.
+ */
+const COMPONENTS = {
+  trust: (svc) => svc.trustScore !== undefined ? svc.trustScore : null,
+  // Lower cost is better, so it's inverted when normalized
+  price: (svc) => svc.cost ? svc.cost.sats : null,
+  freshness: (svc) => svc.createdAt,
+  coverage: (svc, ctx) => {
+    if (ctx.seen) return (ctx.seen.get(svc.eventId) || []).length;
+    return svc.seenOn ? svc.seenOn.length : null;
+  }
+};
+
+// Min-max normalize to 0..1 across the candidate set (1 = best); unknown stays null
+function normalizer(values, invert) {
+  const known = values.filter(v => v !== null);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  return (v) => {
+    if (v === null) return null;
+    if (max === min) return 1;
+    const n = (v - min) / (max - min);
+    return invert ? 1 - n : n;
+  };
+}
+
+/**
+ * Sort services by a ranking strategy and attach each one's breakdown:
+ *
+ *   service.ranking = {
+ *     sort: 'composite',
+ *     score: 0.82,
+ *     breakdown: { trust: { value, normalized, weight, contribution }, ... }
+ *   }
+ *
+ * Components are normalized across the result set, so scores explain the
+ * ordering of this result set rather than an absolute rating. A component
+ * a service has no value for (e.g. no price) contributes nothing, and the
+ * weights of its known components are scaled up to fill the gap — unknown
+ * is neither best nor worst.
+ *
+ * @param {object[]} services - Parsed services (with trust/cost as needed)
+ * @param {string|object} sort - See resolveSort()
+ * @param {object} ctx - { seen: Map(eventId → relay URLs) } for relay coverage
+ *   (default: each service's seenOn)
+ * @returns {object[]} The same services, sorted best first
+ */
+function rankServices(services, sort, ctx = {}) {
+  const { name, weights } = resolveSort(sort);
+
+  const norms = {};
+  for (const component of Object.keys(weights)) {
+    const values = services.map(s => COMPONENTS[component](s, ctx));
+    norms[component] = normalizer(values, component === 'price');
+  }
+
+  for (const svc of services) {
+    const breakdown = {};
+    let known = 0;
+    for (const [component, weight] of Object.entries(weights)) {
+      const value = COMPONENTS[component](svc, ctx);
+      breakdown[component] = { value, normalized: norms[component](value), weight, contribution: 0 };
+      if (value !== null) known += weight;
+    }
+    let score = 0;
+    for (const entry of Object.values(breakdown)) {
+      if (entry.normalized === null || known === 0) continue;
+      entry.contribution = entry.normalized * entry.weight / known;
+      score += entry.contribution;
+    }
+    svc.ranking = { sort: name, score, breakdown };
+  }
+
+  // Unknown values rank last, then newest first among equals
+  const unknown = (svc) => Object.values(svc.ranking.breakdown).every(b => b.value === null) ? 1 : 0;
+  return services.sort((a, b) =>
+    unknown(a) - unknown(b) ||
+    b.ranking.score - a.ranking.score ||
+    b.createdAt - a.createdAt
+  );
+}
+
+/**
+ * Which extra data a sort needs: trust enrichment, price estimates, relay coverage.
+ */
+function sortRequirements(sort) {
+  const { weights } = resolveSort(sort);
+  return {
+    trust: !!weights.trust,
+    price: !!weights.price,
+    coverage: !!weights.coverage
+  };
+}
+
+module.exports = { SORT_KEYS, resolveSort, rankServices, sortRequirements };
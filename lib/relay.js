@@ -2,7 +2,8 @@
 
 const WebSocket = require('ws');
 const { verifyEvent } = require('nostr-tools');
-const { DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
+const { DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS, PUBLISH_RETRY_DEFAULTS } = require('./constants');
+const { RelayPool, reasonPrefix } = require('./pool');
 
 /**
  * Connect to a single relay. Returns a WebSocket.
@@ -30,21 +31,39 @@ function connectRelay(url, timeoutMs = DEFAULT_TIMEOUT_MS) {
 /**
  * Query a single relay for events matching a filter.
  * Returns array of events. Resolves on EOSE or timeout (returns partial).
+ * opts.onOutcome({ ok, latencyMs, events, error }) reports how it went —
+ * ok only when the relay answered with EOSE. opts.onEvent(event) is called
+ * as each verified event arrives.
  */
-async function queryRelay(url, filter, timeoutMs = DEFAULT_TIMEOUT_MS) {
+async function queryRelay(url, filter, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  const { onOutcome, onEvent } = opts;
+  const start = Date.now();
+  const report = (ok, error, events = 0) => {
+    if (onOutcome) onOutcome({ ok, latencyMs: Date.now() - start, events, error: error || null });
+  };
+
   let ws;
   try {
     ws = await connectRelay(url, timeoutMs);
   } catch (e) {
+    report(false, e.message);
     return []; // relay unreachable, skip silently
   }
 
   return new Promise((resolve) => {
     const events = [];
     const subId = 'q_' + Math.random().toString(36).slice(2, 10);
+    let finished = false;
+    const finish = (ok, error) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      report(ok, error, events.length);
+      resolve(events);
+    };
     const timer = setTimeout(() => {
       try { ws.close(); } catch (e) { /* ignore */ }
-      resolve(events);
+      finish(false, 'timed out');
     }, timeoutMs);
 
     ws.on('message', (data) => {
@@ -54,101 +73,191 @@ async function queryRelay(url, filter, timeoutMs = DEFAULT_TIMEOUT_MS) {
           const event = msg[2];
           if (!verifyEvent(event)) return; // drop events with invalid signatures
           events.push(event);
+          if (onEvent) onEvent(event);
         } else if (msg[0] === 'EOSE' && msg[1] === subId) {
-          clearTimeout(timer);
           try {
             ws.send(JSON.stringify(['CLOSE', subId]));
             ws.close();
           } catch (e) { /* ignore */ }
-          resolve(events);
+          finish(true);
+        } else if (msg[0] === 'CLOSED' && msg[1] === subId) {
+          finish(false, msg[2] || 'closed by relay');
         }
       } catch (e) { /* ignore parse errors */ }
     });
 
-    ws.on('error', () => {
-      clearTimeout(timer);
-      resolve(events);
-    });
-
-    ws.on('close', () => {
-      clearTimeout(timer);
-      resolve(events);
-    });
+    ws.on('error', (err) => finish(false, err.message));
+    ws.on('close', () => finish(false, 'connection closed'));
 
     ws.send(JSON.stringify(['REQ', subId, filter]));
   });
 }
 
+/**
+ * Query one relay through a pool; a relay closing the query with
+ * 'auth-required:' is authenticated once (NIP-42) and asked again.
+ */
+async function queryWithAuth(pool, url, filter, timeoutMs, queryOpts, signAuth) {
+  let outcome = null;
+  const events = await pool.query(url, filter, timeoutMs, { ...queryOpts, onOutcome: (o) => { outcome = o; } });
+  if (!outcome.ok && reasonPrefix(outcome.error) === 'auth-required') {
+    try {
+      await pool.auth(url, signAuth, timeoutMs);
+      return await pool.query(url, filter, timeoutMs, queryOpts);
+    } catch (err) {
+      outcome = { ...outcome, error: `AUTH failed: ${err.reason || err.message}` };
+    }
+  }
+  if (queryOpts.onOutcome) queryOpts.onOutcome(outcome);
+  return events;
+}
+
 /**
  * Query multiple relays in parallel, deduplicate by event id.
+ * Pass opts.pool (a RelayPool) to reuse persistent connections, and
+ * opts.seen (a Map) to collect event id → URLs of the relays that returned it,
+ * and opts.firstSeen (a Map) for event id → when it first arrived (unix ms).
+ * With opts.offline no relay is contacted and the result is empty.
+ * Pass opts.health (a RelayHealth) to record each relay's latency and outcome.
+ * With opts.signAuth (async (template) → signed kind 22242 event), relays
+ * that refuse the query with 'auth-required:' are authenticated and asked again.
  */
-async function queryRelays(filter, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS) {
+async function queryRelays(filter, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  const { seen: seenOn, firstSeen, offline, health, signAuth } = opts;
+  if (offline) return [];
+  const ownsPool = !!signAuth && !opts.pool;
+  const pool = ownsPool ? new RelayPool({ timeoutMs }) : opts.pool;
+  const onEvent = firstSeen
+    ? (event) => { if (!firstSeen.has(event.id)) firstSeen.set(event.id, Date.now()); }
+    : undefined;
   const results = await Promise.allSettled(
-    relays.map(url => queryRelay(url, filter, timeoutMs))
+    relays.map((url) => {
+      const queryOpts = { onOutcome: health ? (outcome) => health.record(url, outcome) : undefined, onEvent };
+      if (signAuth) return queryWithAuth(pool, url, filter, timeoutMs, queryOpts, signAuth);
+      return pool ? pool.query(url, filter, timeoutMs, queryOpts) : queryRelay(url, filter, timeoutMs, queryOpts);
+    })
   );
+  if (ownsPool) pool.close();
 
   const seen = new Set();
   const events = [];
 
-  for (const result of results) {
+  results.forEach((result, i) => {
     if (result.status === 'fulfilled') {
       for (const event of result.value) {
+        if (seenOn) {
+          if (!seenOn.has(event.id)) seenOn.set(event.id, []);
+          if (!seenOn.get(event.id).includes(relays[i])) seenOn.get(event.id).push(relays[i]);
+        }
         if (!seen.has(event.id)) {
           seen.add(event.id);
           events.push(event);
         }
       }
     }
-  }
+  });
 
   return events;
 }
 
 /**
  * Publish an event to multiple relays.
- * Returns { successes, failures, total }.
+ *
+ * Each relay is tried until it accepts, refuses for good, or runs out of
+ * retries: timeouts, dropped connections and 'rate-limited:' / 'error:'
+ * answers are retried with exponential backoff. A relay answering
+ * 'auth-required:' is authenticated once (NIP-42) with opts.signAuth and
+ * the event is sent again.
+ *
+ * Without opts.pool the connections only live for this call, so unreachable
+ * relays and timeouts fail fast: they are retried only if opts.retries is given.
+ *
+ * @param {object} event - Signed event
+ * @param {string[]} relays - Relay URLs
+ * @param {number} timeoutMs - Timeout per attempt
+ * @param {object} opts
+ * @param {RelayPool} opts.pool - Reuse persistent connections (default: connections for this call only)
+ * @param {RelayHealth} opts.health - Record each attempt's latency and outcome
+ * @param {number} opts.retries - Retries per relay after a transient failure (default: 2)
+ * @param {number} opts.retryDelayMs - First backoff delay, doubled per retry (default: 500)
+ * @param {function} opts.signAuth - async (template) → signed kind 22242 event
+ * @returns {object} { successes, failures, total, relays } — `relays` has one
+ *   { relay, ok, status, prefix, reason, latencyMs, attempts, error } per URL,
+ *   status being 'ok', 'rejected', 'timeout' or 'error'; `failures` lists
+ *   "<url>: <reason>" for every relay that didn't take the event
  */
-async function publishToRelays(event, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS) {
-  const results = await Promise.allSettled(
-    relays.map(async (url) => {
-      const ws = await connectRelay(url, timeoutMs);
-      return new Promise((resolve, reject) => {
-        const timer = setTimeout(() => {
-          try { ws.close(); } catch (e) { /* ignore */ }
-          reject(new Error(`Publish to ${url} timed out`));
-        }, timeoutMs);
-
-        ws.on('message', (data) => {
-          try {
-            const msg = JSON.parse(data.toString());
-            if (msg[0] === 'OK') {
-              clearTimeout(timer);
-              try { ws.close(); } catch (e) { /* ignore */ }
-              if (msg[2]) {
-                resolve({ relay: url, ok: true });
-              } else {
-                reject(new Error(msg[3] || 'Rejected by relay'));
-              }
-            }
-          } catch (e) { /* ignore */ }
-        });
+async function publishToRelays(event, relays = DEFAULT_RELAYS, timeoutMs = DEFAULT_TIMEOUT_MS, opts = {}) {
+  const pool = opts.pool || new RelayPool({ timeoutMs });
+  const failFast = !opts.pool && opts.retries === undefined;
+  try {
+    const perRelay = await Promise.all(relays.map(url => publishToRelay(url, event, timeoutMs, pool, opts, failFast)));
+    return {
+      successes: perRelay.filter(r => r.ok).length,
+      failures: perRelay.filter(r => !r.ok).map(r => `${r.relay}: ${r.reason}`),
+      total: relays.length,
+      relays: perRelay
+    };
+  } finally {
+    if (!opts.pool) pool.close();
+  }
+}
 
-        ws.on('error', (err) => {
-          clearTimeout(timer);
-          reject(err);
-        });
+// OK false reasons worth another try; other refusals (blocked, invalid, pow, ...) are final
+const RETRYABLE_PREFIXES = ['rate-limited', 'error'];
 
-        ws.send(JSON.stringify(['EVENT', event]));
-      });
-    })
-  );
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-  const successes = results.filter(r => r.status === 'fulfilled').length;
-  const failures = results
-    .filter(r => r.status === 'rejected')
-    .map(r => r.reason.message);
+/**
+ * Publish an event to one relay with retries and AUTH.
+ * Never throws: failures end up in the returned result entry.
+ * With failFast, connection failures and timeouts aren't retried.
+ */
+async function publishToRelay(url, event, timeoutMs, pool, opts, failFast) {
+  const { health, signAuth } = opts;
+  const retries = opts.retries !== undefined ? opts.retries : PUBLISH_RETRY_DEFAULTS.retries;
+  const retryDelayMs = opts.retryDelayMs !== undefined ? opts.retryDelayMs : PUBLISH_RETRY_DEFAULTS.retryDelayMs;
+  let attempts = 0;
+  let retried = 0;
+  let authed = false;
+
+  while (true) {
+    attempts++;
+    const start = Date.now();
+    let outcome;
+    try {
+      const res = await pool.publish(url, event, timeoutMs);
+      outcome = { ok: true, status: 'ok', prefix: reasonPrefix(res.message), reason: res.message || null };
+    } catch (err) {
+      outcome = { ok: false, status: err.status || 'error', prefix: err.prefix || null, reason: err.reason || err.message };
+    }
+    const latencyMs = Date.now() - start;
+    if (health) health.record(url, { ok: outcome.ok, latencyMs, error: outcome.ok ? null : outcome.reason });
+    const result = () => ({ relay: url, ...outcome, latencyMs, attempts, error: outcome.ok ? null : outcome.reason });
+
+    if (outcome.ok) return result();
+
+    if (outcome.prefix === 'auth-required' && signAuth && !authed) {
+      authed = true;
+      try {
+        await pool.auth(url, signAuth, timeoutMs);
+        continue; // send the event again, now authenticated
+      } catch (err) {
+        outcome.reason = `AUTH failed: ${err.reason || err.message}`;
+        return result();
+      }
+    }
 
-  return { successes, failures, total: relays.length };
+    const unreachable = outcome.status !== 'rejected';
+    const transient = unreachable || RETRYABLE_PREFIXES.includes(outcome.prefix);
+    if (!transient || (unreachable && failFast) || retried >= retries || pool.closed) return result();
+
+    // Back off, and at least until the pool will try connecting again
+    const backoff = retryDelayMs * 2 ** retried;
+    retried++;
+    await sleep(Math.max(backoff, pool.relay(url).retryAt - Date.now()));
+  }
 }
 
 module.exports = { connectRelay, queryRelay, queryRelays, publishToRelays };
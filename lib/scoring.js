@@ -0,0 +1,195 @@
+'use strict';
+
+const { WOT_NAMESPACE, TRUST_WEIGHTS, WOT_SCORING_DEFAULTS } = require('./constants');
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Extract the ai.wot attestation type from a NIP-32 label ('l' tag).
+ */
+function attestationType(event) {
+  for (const tag of event.tags) {
+    if (tag[0] === 'l' && tag[2] === WOT_NAMESPACE) {
+      return tag[1];
+    }
+  }
+  return 'general-trust';
+}
+
+/**
+ * Exponential decay: an attestation loses half its weight every halfLifeDays.
+ */
+function decayFactor(createdAt, now, halfLifeDays) {
+  if (!halfLifeDays) return 1;
+  const ageDays = Math.max(0, now - createdAt) / SECONDS_PER_DAY;
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Zap multiplier: logarithmic in sats, so 10× the sats adds zapWeight.
+ */
+function zapMultiplier(sats, zapWeight) {
+  if (!sats || sats <= 0) return 1;
+  return 1 + zapWeight * Math.log10(1 + sats);
+}
+
+/**
+ * Total per-attester entries into a trust result.
+ *
+ * Positive and negative opinions are kept apart: each attester contributes
+ * their strongest endorsement and their strongest dispute (if any), so a
+ * later dispute isn't hidden by an earlier endorsement.
+ * Every strategy funnels through here so results share one shape.
+ */
+function summarize(entries) {
+  const positives = new Map(); // attester pubkey -> strongest positive entry
+  const negatives = new Map(); // attester pubkey -> strongest negative entry
+
+  for (const entry of entries) {
+    const bucket = entry.weight < 0 ? negatives : positives;
+    const existing = bucket.get(entry.pubkey);
+    if (!existing || Math.abs(entry.weight) > Math.abs(existing.weight)) {
+      bucket.set(entry.pubkey, entry);
+    }
+  }
+
+  let positive = 0;
+  for (const [, att] of positives) {
+    positive += att.weight * 10;
+  }
+
+  let negative = 0;
+  let lastDisputeAt = null;
+  for (const [, att] of negatives) {
+    negative += att.weight * 10;
+    if (lastDisputeAt === null || att.createdAt > lastDisputeAt) lastDisputeAt = att.createdAt;
+  }
+
+  return {
+    score: Math.round(positive + negative),
+    positive: Math.round(positive),
+    negative: Math.round(negative),
+    attesters: new Set([...positives.keys(), ...negatives.keys()]).size,
+    disputes: negatives.size,
+    lastDisputeAt,
+    details: [...positives.values(), ...negatives.values()]
+  };
+}
+
+/**
+ * Basic strategy: flat TRUST_WEIGHTS, 10 points per unique attester
+ * (negative for disputes).
+ * Self-attestations are excluded. With opts.distances, only reachable
+ * attesters count (no dampening) and each entry reports its hops.
+ */
+function basicScore(attestations, targetPubkey, opts = {}) {
+  const { distances } = opts;
+  const entries = [];
+
+  for (const event of attestations) {
+    if (event.pubkey === targetPubkey) continue;
+    if (distances && !distances.has(event.pubkey)) continue;
+
+    const type = attestationType(event);
+    const entry = {
+      pubkey: event.pubkey,
+      type,
+      weight: TRUST_WEIGHTS[type] || 0.8,
+      createdAt: event.created_at
+    };
+    if (distances) entry.hops = distances.get(event.pubkey);
+    entries.push(entry);
+  }
+
+  return summarize(entries);
+}
+
+/**
+ * Full ai.wot strategy: TRUST_WEIGHTS × temporal decay × zap weighting × hop dampening.
+ *
+ * @param {object} opts
+ * @param {number} opts.halfLifeDays - Attestation half-life (0 disables decay)
+ * @param {number} opts.zapWeight - Extra weight per order of magnitude of zapped sats
+ * @param {number} opts.hopDampening - Multiplier applied per hop away from the seeds
+ * @param {Map<string, number>} opts.zaps - Attestation event id -> zapped sats
+ * @param {Map<string, number>} opts.distances - Attester pubkey -> hops from seeds.
+ *   When given, attesters not in the map are unreachable and ignored.
+ * @param {number} opts.now - Reference time in unix seconds (default: now)
+ */
+function wotScore(attestations, targetPubkey, opts = {}) {
+  const {
+    halfLifeDays = WOT_SCORING_DEFAULTS.halfLifeDays,
+    zapWeight = WOT_SCORING_DEFAULTS.zapWeight,
+    hopDampening = WOT_SCORING_DEFAULTS.hopDampening,
+    zaps,
+    distances,
+    now = Math.floor(Date.now() / 1000)
+  } = opts;
+
+  const entries = [];
+
+  for (const event of attestations) {
+    if (event.pubkey === targetPubkey) continue;
+
+    let hops = null;
+    if (distances) {
+      if (!distances.has(event.pubkey)) continue; // outside the seeds' web of trust
+      hops = distances.get(event.pubkey);
+    }
+
+    const type = attestationType(event);
+    const base = TRUST_WEIGHTS[type] || 0.8;
+    const decay = decayFactor(event.created_at, now, halfLifeDays);
+    const zapSats = (zaps && zaps.get(event.id)) || 0;
+    const zap = zapMultiplier(zapSats, zapWeight);
+    const hop = hops === null ? 1 : Math.pow(hopDampening, hops);
+
+    entries.push({
+      pubkey: event.pubkey,
+      type,
+      weight: base * decay * zap * hop,
+      base,
+      decay,
+      zapSats,
+      hops,
+      createdAt: event.created_at
+    });
+  }
+
+  return summarize(entries);
+}
+
+/**
+ * Built-in strategies. `zaps` / `hops` tell enrichWithTrust which extra
+ * data to fetch before scoring.
+ */
+const TRUST_STRATEGIES = {
+  basic: { score: basicScore },
+  wot: { score: wotScore, zaps: true, hops: true }
+};
+
+/**
+ * Resolve a strategy option: a TRUST_STRATEGIES name, a scoring function
+ * (attestations, targetPubkey, opts) => { score, attesters, details },
+ * or an object { score, zaps?, hops? }.
+ */
+function resolveStrategy(strategy = 'basic') {
+  if (typeof strategy === 'function') return { score: strategy };
+  if (typeof strategy === 'string') {
+    const found = TRUST_STRATEGIES[strategy];
+    if (!found) throw new Error(`Unknown trust strategy: ${strategy}`);
+    return found;
+  }
+  if (strategy && typeof strategy.score === 'function') return strategy;
+  throw new Error('Trust strategy must be a name, function, or { score } object');
+}
+
+module.exports = {
+  TRUST_STRATEGIES,
+  resolveStrategy,
+  attestationType,
+  decayFactor,
+  zapMultiplier,
+  basicScore,
+  wotScore
+};
@@ -0,0 +1,299 @@
+'use strict';
+
+const { finalizeEvent, generateSecretKey, getPublicKey, verifyEvent } = require('nostr-tools');
+const nip44 = require('nostr-tools/nip44');
+const { NOSTR_CONNECT_KIND, DEFAULT_TIMEOUT_MS, BUNKER_APPROVAL_TIMEOUT_MS } = require('./constants');
+const { RelayPool } = require('./pool');
+const { publishToRelays } = require('./relay');
+const { decodeSecretKey } = require('./keys');
+
+/**
+ * Convert a hex string to Uint8Array.
+ */
+function hexToBytes(hex) {
+  if (hex instanceof Uint8Array) return hex;
+  if (typeof hex !== 'string') throw new Error('Secret key must be a hex string or Uint8Array');
+  return Uint8Array.from(Buffer.from(hex, 'hex'));
+}
+
+/**
+ * True for objects with the NIP-07-style signer interface:
+ * async getPublicKey() → hex pubkey, async signEvent(template) → signed event.
+ */
+function isSigner(value) {
+  return !!value && typeof value === 'object' && !(value instanceof Uint8Array) &&
+    typeof value.getPublicKey === 'function' && typeof value.signEvent === 'function';
+}
+
+/**
+ * Signer for a secret key held in this process (hex, nsec or bytes).
+ * Like NIP-07's window.nostr it also offers nip44.encrypt/decrypt(pubkey, text).
+ */
+function localSigner(secretKey) {
+  const sk = decodeSecretKey(secretKey);
+  const pubkey = getPublicKey(sk);
+  return {
+    getPublicKey: async () => pubkey,
+    signEvent: async (template) => finalizeEvent(template, sk),
+    nip44: {
+      encrypt: async (peer, plaintext) => nip44.encrypt(plaintext, nip44.getConversationKey(sk, peer)),
+      decrypt: async (peer, ciphertext) => nip44.decrypt(ciphertext, nip44.getConversationKey(sk, peer))
+    }
+  };
+}
+
+/**
+ * Accept a signer ({ getPublicKey, signEvent }, such as a BunkerSigner or
+ * window.nostr) or a secret key (hex, nsec or bytes), and return a signer.
+ */
+function resolveSigner(signerOrKey) {
+  if (!signerOrKey) throw new Error('Secret key or signer is required');
+  return isSigner(signerOrKey) ? signerOrKey : localSigner(signerOrKey);
+}
+
+/**
+ * Sign an event template and check the signer returned that event, validly signed.
+ */
+async function signWith(signer, template) {
+  const event = await signer.signEvent(template);
+  if (!event || !verifyEvent(event)) throw new Error('Signer returned an invalid event');
+  if (event.kind !== template.kind || event.content !== template.content ||
+      JSON.stringify(event.tags) !== JSON.stringify(template.tags)) {
+    throw new Error('Signer returned a different event than it was asked to sign');
+  }
+  return event;
+}
+
+/**
+ * Parse a NIP-46 bunker URI: bunker://<remote-signer-pubkey>?relay=wss://...&secret=...
+ *
+ * @returns {{ pubkey: string, relays: string[], secret: string|null }}
+ */
+function parseBunkerUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (e) {
+    throw new Error(`Invalid bunker URI: ${uri}`);
+  }
+  const pubkey = url.hostname;
+  if (url.protocol !== 'bunker:' || !/^[0-9a-f]{64}$/.test(pubkey)) {
+    throw new Error('Bunker URI must look like bunker://<hex pubkey>?relay=wss://...');
+  }
+  const relays = url.searchParams.getAll('relay');
+  if (relays.length === 0) throw new Error('Bunker URI needs at least one relay= parameter');
+  return { pubkey, relays, secret: url.searchParams.get('secret') };
+}
+
+/**
+ * NIP-46 remote signer client. The secret key stays with the bunker;
+ * requests and responses travel as NIP-44 encrypted kind 24133 events
+ * over the bunker's relays, signed with a throwaway client key.
+ *
+ * Implements the signer interface, so it can be passed anywhere a secret
+ * key is accepted. Call close() when done.
+ *
+ * @example
+ * const signer = new BunkerSigner('bunker://ab12...?relay=wss://relay.nsec.app');
+ * await dir.publish(service, signer);
+ * signer.close();
+ *
+ * @param {string|object} bunker - bunker:// URI or { pubkey, relays, secret }
+ * @param {object} opts
+ * @param {number} opts.timeoutMs - How long to wait for each answer (default: 15000)
+ * @param {RelayPool} opts.pool - Reuse a RelayPool's connections
+ * @param {string|Uint8Array} opts.clientSecretKey - Client key to reuse across sessions
+ * @param {function} opts.onAuthUrl - Called with a URL when the bunker wants
+ *   the user to approve a request there; the request keeps waiting
+ * @param {number} opts.approvalTimeoutMs - How long such a request may wait
+ *   for approval (default: 5 minutes)
+ */
+class BunkerSigner {
+  constructor(bunker, opts = {}) {
+    const { pubkey, relays, secret } = typeof bunker === 'string' ? parseBunkerUri(bunker) : bunker;
+    this.remotePubkey = pubkey;
+    this.relays = relays;
+    this.secret = secret || null;
+    this.timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.onAuthUrl = opts.onAuthUrl;
+    this.approvalTimeoutMs = opts.approvalTimeoutMs || BUNKER_APPROVAL_TIMEOUT_MS;
+    this.clientSecretKey = opts.clientSecretKey ? decodeSecretKey(opts.clientSecretKey) : generateSecretKey();
+    this.clientPubkey = getPublicKey(this.clientSecretKey);
+    this.closed = false;
+    this._conversationKey = nip44.getConversationKey(this.clientSecretKey, this.remotePubkey);
+    this._ownsPool = !opts.pool;
+    this._pool = opts.pool || new RelayPool({ timeoutMs: this.timeoutMs });
+    this._pending = new Map(); // request id -> { method, resolve, reject, timer }
+    this._subs = [];
+    this._connecting = null;
+    this._pubkey = null;
+    /** NIP-44 encryption by the bunker's key (nip44_encrypt / nip44_decrypt) */
+    this.nip44 = {
+      encrypt: async (peer, plaintext) => {
+        await this.connect();
+        return this._request('nip44_encrypt', [peer, plaintext]);
+      },
+      decrypt: async (peer, ciphertext) => {
+        await this.connect();
+        return this._request('nip44_decrypt', [peer, ciphertext]);
+      }
+    };
+  }
+
+  /**
+   * Listen for responses and send `connect` (with the URI's secret).
+   * Called by the other methods; concurrent calls share one handshake,
+   * and a failed one is cleaned up so the next call starts afresh.
+   */
+  connect() {
+    if (!this._connecting) {
+      this._connecting = this._connect().catch((err) => {
+        for (const sub of this._subs) sub.close();
+        this._subs = [];
+        this._connecting = null;
+        throw err;
+      });
+    }
+    return this._connecting;
+  }
+
+  /** The user's pubkey, as reported by the bunker. */
+  async getPublicKey() {
+    await this.connect();
+    if (!this._pubkey) this._pubkey = await this._request('get_public_key', []);
+    return this._pubkey;
+  }
+
+  /** Have the bunker sign an event template ({ kind, created_at, tags, content }). */
+  async signEvent(template) {
+    const pubkey = await this.getPublicKey();
+    const { kind, created_at, tags, content } = template;
+    const result = await this._request('sign_event', [JSON.stringify({ kind, created_at, tags, content })]);
+    let event;
+    try {
+      event = JSON.parse(result);
+    } catch (e) {
+      throw new Error('Bunker returned an unreadable event');
+    }
+    if (!verifyEvent(event) || event.pubkey !== pubkey) {
+      throw new Error('Bunker returned an event with a bad signature');
+    }
+    return event;
+  }
+
+  /** Round-trip check; resolves 'pong'. */
+  async ping() {
+    await this.connect();
+    return this._request('ping', []);
+  }
+
+  /**
+   * Stop listening and fail pending requests. Closes the pool too if the
+   * signer created it.
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const sub of this._subs) sub.close();
+    this._subs = [];
+    for (const [, pending] of this._pending) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Bunker signer closed'));
+    }
+    this._pending.clear();
+    if (this._ownsPool) this._pool.close();
+  }
+
+  async _connect() {
+    const filter = {
+      kinds: [NOSTR_CONNECT_KIND],
+      '#p': [this.clientPubkey],
+      since: Math.floor(Date.now() / 1000) - 10
+    };
+    this._subs = await Promise.all(this.relays.map(url => this._pool.subscribe(url, [filter], {
+      onevent: (event) => this._onResponse(event)
+    }, { live: true })));
+    const params = this.secret ? [this.remotePubkey, this.secret] : [this.remotePubkey];
+    const result = await this._request('connect', params);
+    // NIP-46: a bunker accepts with 'ack', or by echoing the secret
+    if (result !== 'ack' && !(this.secret && result === this.secret)) {
+      throw new Error(`Bunker did not acknowledge connect (got ${JSON.stringify(result)})`);
+    }
+  }
+
+  async _request(method, params) {
+    if (this.closed) throw new Error('Bunker signer closed');
+    const id = Math.random().toString(36).slice(2, 12);
+    const event = finalizeEvent({
+      kind: NOSTR_CONNECT_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', this.remotePubkey]],
+      content: nip44.encrypt(JSON.stringify({ id, method, params }), this._conversationKey)
+    }, this.clientSecretKey);
+
+    const response = new Promise((resolve, reject) => {
+      this._pending.set(id, { method, resolve, reject, timer: null });
+      this._expireAfter(id, this.timeoutMs, `Bunker did not answer ${method} within ${this.timeoutMs} ms`);
+    });
+
+    const sent = await publishToRelays(event, this.relays, this.timeoutMs, {
+      pool: this._pool,
+      retries: 0,
+      signAuth: async (template) => finalizeEvent(template, this.clientSecretKey)
+    });
+    if (sent.successes === 0) {
+      response.catch(() => { /* superseded by the error below */ });
+      const pending = this._pending.get(id);
+      if (pending) clearTimeout(pending.timer);
+      this._pending.delete(id);
+      throw new Error(`Could not reach the bunker's relays: ${sent.failures.join(', ')}`);
+    }
+    return response;
+  }
+
+  // (Re)start the deadline of a pending request
+  _expireAfter(id, ms, message) {
+    const pending = this._pending.get(id);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this._pending.delete(id);
+      pending.reject(new Error(message));
+    }, ms);
+  }
+
+  _onResponse(event) {
+    if (event.pubkey !== this.remotePubkey) return;
+    let msg;
+    try {
+      msg = JSON.parse(nip44.decrypt(event.content, this._conversationKey));
+    } catch (e) {
+      return; // not for us, or garbled
+    }
+    const pending = this._pending.get(msg.id);
+    if (!pending) return;
+
+    // The bunker wants the user to approve this request elsewhere; keep
+    // waiting, for up to approvalTimeoutMs rather than the usual timeout
+    if (msg.result === 'auth_url') {
+      this._expireAfter(msg.id, this.approvalTimeoutMs,
+        `${pending.method} was not approved within ${this.approvalTimeoutMs} ms`);
+      if (this.onAuthUrl) this.onAuthUrl(msg.error);
+      return;
+    }
+
+    this._pending.delete(msg.id);
+    clearTimeout(pending.timer);
+    if (msg.error) pending.reject(new Error(`Bunker refused ${pending.method}: ${msg.error}`));
+    else pending.resolve(msg.result);
+  }
+}
+
+module.exports = {
+  hexToBytes,
+  isSigner,
+  localSigner,
+  resolveSigner,
+  signWith,
+  parseBunkerUri,
+  BunkerSigner
+};
@@ -0,0 +1,556 @@
+'use strict';
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { verifyEvent, matchFilters, finalizeEvent, generateSecretKey, getPublicKey } = require('nostr-tools');
+const nip44 = require('nostr-tools/nip44');
+const { NOSTR_CONNECT_KIND, JOB_FEEDBACK_KIND, JOB_RESULT_OFFSET, DELETION_KIND } = require('./constants');
+const { RelayPool } = require('./pool');
+const { publishToRelays } = require('./relay');
+const { decodeSecretKey } = require('./keys');
+
+function isReplaceable(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+}
+
+function isEphemeral(kind) {
+  return kind >= 20000 && kind < 30000;
+}
+
+function isParameterizedReplaceable(kind) {
+  return kind >= 30000 && kind < 40000;
+}
+
+function dTag(event) {
+  const tag = event.tags.find(t => t[0] === 'd');
+  return tag ? tag[1] || '' : '';
+}
+
+/**
+ * In-process NIP-01 relay for tests and offline development.
+ *
+ * Stores events in memory, honors filters (ids, authors, kinds, #tags,
+ * since/until, limit), replaces replaceable and parameterized replaceable
+ * events, applies NIP-09 deletions, and answers with EOSE / OK / CLOSED.
+ *
+ * Fault injection: `latencyMs` delays every response, dropConnections()
+ * kills open sockets, rejectEvents(reason, times) refuses publishes,
+ * requireAuth() demands NIP-42 AUTH before accepting (or serving) events, and
+ * injectEvent(event, { verify: false }) stores events with bad signatures.
+ *
+ * @example
+ * const { LocalRelay } = require('agent-discovery/testing');
+ * const relay = new LocalRelay();
+ * const url = await relay.start();
+ * const dir = createDirectory({ relays: [url] });
+ * // ...
+ * dir.close();
+ * await relay.stop();
+ *
+ * @param {object} opts
+ * @param {number} opts.port - Port to listen on (default: random free port)
+ * @param {string} opts.host - Interface to bind (default: 127.0.0.1)
+ * @param {number} opts.latencyMs - Delay before every response (default: 0)
+ * @param {boolean} opts.verify - Reject events with invalid signatures (default: true)
+ */
+class LocalRelay {
+  constructor(opts = {}) {
+    this.port = opts.port || 0;
+    this.host = opts.host || '127.0.0.1';
+    this.latencyMs = opts.latencyMs || 0;
+    this.verify = opts.verify !== false;
+    this.url = null;
+    this.events = [];
+    this.stats = { connections: 0, reqs: 0, published: 0 };
+    this.auths = []; // pubkeys of accepted NIP-42 AUTH events, in order
+    this._server = null;
+    this._clients = new Set();
+    this._rejectReason = null;
+    this._rejectTimes = Infinity;
+    this._requireAuth = false;
+    this._authReads = false;
+  }
+
+  /**
+   * Start listening. Resolves with the relay's ws:// URL.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = new WebSocket.Server({ port: this.port, host: this.host });
+      server.once('error', reject);
+      server.once('listening', () => {
+        this._server = server;
+        this.url = `ws://${this.host}:${server.address().port}`;
+        resolve(this.url);
+      });
+      server.on('connection', (ws) => this._onConnection(ws));
+    });
+  }
+
+  /**
+   * Close all connections and stop listening.
+   */
+  stop() {
+    for (const ws of this._clients) ws.terminate();
+    this._clients.clear();
+    if (!this._server) return Promise.resolve();
+    const server = this._server;
+    this._server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /** Delay every response by ms. */
+  setLatency(ms) {
+    this.latencyMs = ms;
+  }
+
+  /** Abruptly terminate every open connection (clients see a dropped socket). */
+  dropConnections() {
+    for (const ws of this._clients) ws.terminate();
+    this._clients.clear();
+  }
+
+  /**
+   * Refuse publishes with an OK false reason (null to accept again) —
+   * all of them, or only the next `times`.
+   */
+  rejectEvents(reason = 'blocked: rejected by test relay', times = Infinity) {
+    this._rejectReason = reason;
+    this._rejectTimes = times;
+  }
+
+  /**
+   * Require NIP-42 AUTH before accepting events. Every connection gets an
+   * AUTH challenge; events from unauthenticated clients are refused with
+   * 'auth-required:'. With { reads: true } queries are too, and gift wraps
+   * (kind 1059) are only served to the key they are addressed to, like a
+   * NIP-17 inbox relay.
+   */
+  requireAuth(required = true, { reads = false } = {}) {
+    this._requireAuth = required;
+    this._authReads = required && reads;
+    if (required) {
+      for (const ws of this._clients) this._send(ws, ['AUTH', ws.challenge]);
+    }
+  }
+
+  /**
+   * Store an event directly, bypassing the socket. With { verify: false }
+   * the signature isn't checked — use it to serve forged events.
+   */
+  injectEvent(event, { verify = true } = {}) {
+    if (verify && !verifyEvent(event)) throw new Error('Invalid event signature');
+    this._store(event);
+  }
+
+  /** Events currently stored that match any of the filters. */
+  query(...filters) {
+    return this._match(filters);
+  }
+
+  /** Number of currently open client connections. */
+  get connections() {
+    return this._clients.size;
+  }
+
+  _onConnection(ws) {
+    this.stats.connections++;
+    this._clients.add(ws);
+    ws.subs = new Map(); // subId -> filters
+    ws.challenge = crypto.randomBytes(16).toString('hex');
+    ws.authedAs = null;
+    if (this._requireAuth) this._send(ws, ['AUTH', ws.challenge]);
+
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data.toString()); } catch (e) {
+        this._send(ws, ['NOTICE', 'error: invalid JSON']);
+        return;
+      }
+      if (!Array.isArray(msg)) return;
+
+      switch (msg[0]) {
+        case 'EVENT':
+          this._onEvent(ws, msg[1]);
+          break;
+        case 'REQ':
+          this._onReq(ws, msg[1], msg.slice(2));
+          break;
+        case 'CLOSE':
+          ws.subs.delete(msg[1]);
+          break;
+        case 'AUTH':
+          this._onAuth(ws, msg[1]);
+          break;
+        default:
+          this._send(ws, ['NOTICE', `error: unknown message type ${msg[0]}`]);
+      }
+    });
+
+    ws.on('close', () => this._clients.delete(ws));
+    ws.on('error', () => { /* ignore */ });
+  }
+
+  _onEvent(ws, event) {
+    if (!event || typeof event.id !== 'string') {
+      this._send(ws, ['NOTICE', 'invalid: malformed event']);
+      return;
+    }
+    if (this._requireAuth && !ws.authedAs) {
+      this._send(ws, ['OK', event.id, false, 'auth-required: authenticate to publish']);
+      return;
+    }
+    if (this._rejectReason) {
+      this._send(ws, ['OK', event.id, false, this._rejectReason]);
+      if (--this._rejectTimes <= 0) this._rejectReason = null;
+      return;
+    }
+    if (this.verify && !verifyEvent(event)) {
+      this._send(ws, ['OK', event.id, false, 'invalid: bad signature']);
+      return;
+    }
+    if (this.events.some(e => e.id === event.id)) {
+      this._send(ws, ['OK', event.id, true, 'duplicate: already have this event']);
+      return;
+    }
+
+    this.stats.published++;
+    this._store(event);
+    this._send(ws, ['OK', event.id, true, '']);
+    this._broadcast(event);
+  }
+
+  _onAuth(ws, event) {
+    if (!event || typeof event.id !== 'string') {
+      this._send(ws, ['NOTICE', 'invalid: malformed AUTH']);
+      return;
+    }
+    const tag = (name) => (event.tags.find(t => t[0] === name) || [])[1];
+    let problem = null;
+    if (!verifyEvent(event)) problem = 'bad signature';
+    else if (event.kind !== 22242) problem = 'AUTH event must be kind 22242';
+    else if (tag('challenge') !== ws.challenge) problem = 'wrong challenge';
+    else if (!tag('relay')) problem = 'missing relay tag';
+    else if (Math.abs(event.created_at - Date.now() / 1000) > 600) problem = 'stale AUTH event';
+
+    if (problem) {
+      this._send(ws, ['OK', event.id, false, `invalid: ${problem}`]);
+      return;
+    }
+    ws.authedAs = event.pubkey;
+    this.auths.push(event.pubkey);
+    this._send(ws, ['OK', event.id, true, '']);
+  }
+
+  _onReq(ws, subId, filters) {
+    if (typeof subId !== 'string' || filters.length === 0) {
+      this._send(ws, ['CLOSED', subId, 'invalid: REQ needs a subscription id and filters']);
+      return;
+    }
+    if (this._authReads && !ws.authedAs) {
+      this._send(ws, ['CLOSED', subId, 'auth-required: authenticate to read']);
+      return;
+    }
+    this.stats.reqs++;
+    ws.subs.set(subId, filters);
+    for (const event of this._match(filters)) {
+      if (this._visible(ws, event)) this._send(ws, ['EVENT', subId, event]);
+    }
+    this._send(ws, ['EOSE', subId]);
+  }
+
+  _match(filters) {
+    const results = new Map();
+    for (const filter of filters) {
+      let matched = this.events
+        .filter(e => matchFilters([filter], e))
+        .sort((a, b) => b.created_at - a.created_at);
+      if (filter.limit !== undefined) matched = matched.slice(0, filter.limit);
+      for (const e of matched) results.set(e.id, e);
+    }
+    return Array.from(results.values());
+  }
+
+  _store(event) {
+    if (isEphemeral(event.kind)) return;
+
+    if (isReplaceable(event.kind) || isParameterizedReplaceable(event.kind)) {
+      const sameSlot = (e) => e.pubkey === event.pubkey && e.kind === event.kind &&
+        (!isParameterizedReplaceable(event.kind) || dTag(e) === dTag(event));
+      const existing = this.events.find(sameSlot);
+      if (existing && existing.created_at > event.created_at) return; // older version
+      this.events = this.events.filter(e => !sameSlot(e));
+    }
+
+    // NIP-09: authors can delete their own events
+    if (event.kind === 5) {
+      const ids = new Set(event.tags.filter(t => t[0] === 'e').map(t => t[1]));
+      this.events = this.events.filter(e => !(ids.has(e.id) && e.pubkey === event.pubkey));
+    }
+
+    this.events.push(event);
+  }
+
+  _broadcast(event) {
+    for (const ws of this._clients) {
+      for (const [subId, filters] of ws.subs) {
+        if (matchFilters(filters, event) && this._visible(ws, event)) this._send(ws, ['EVENT', subId, event]);
+      }
+    }
+  }
+
+  _visible(ws, event) {
+    if (!this._authReads || event.kind !== 1059) return true;
+    return event.tags.some(t => t[0] === 'p' && t[1] === ws.authedAs);
+  }
+
+  _send(ws, msg) {
+    const send = () => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+    };
+    if (this.latencyMs > 0) setTimeout(send, this.latencyMs);
+    else send();
+  }
+}
+
+/**
+ * In-process NIP-46 bunker for tests: holds a secret key and signs for
+ * clients (such as BunkerSigner) that connect over the given relays.
+ * Handles connect (checking the secret, if set), get_public_key,
+ * sign_event, nip44_encrypt, nip44_decrypt and ping; every request is recorded in `requests`.
+ * With opts.authUrl, sign_event first answers auth_url (asking the user
+ * to approve there) and signs approveAfterMs later.
+ *
+ * @example
+ * const bunker = new LocalBunker({ relays: [url], secretKey: sk, secret: 's3cret' });
+ * const uri = await bunker.start();
+ * const signer = new BunkerSigner(uri);
+ * // ...
+ * signer.close();
+ * bunker.stop();
+ *
+ * @param {object} opts
+ * @param {string[]} opts.relays - Relays to listen and answer on
+ * @param {string|Uint8Array} opts.secretKey - Key to sign with (default: a new one)
+ * @param {string} opts.secret - Secret clients must send with connect (optional)
+ * @param {number} opts.timeoutMs - Timeout for publishing answers (default: 5000)
+ * @param {string} opts.authUrl - Approval URL to send for sign_event (optional)
+ * @param {number} opts.approveAfterMs - When the approval comes through (default: 100)
+ */
+class LocalBunker {
+  constructor(opts = {}) {
+    this.relays = opts.relays || [];
+    this.secretKey = opts.secretKey ? decodeSecretKey(opts.secretKey) : generateSecretKey();
+    this.pubkey = getPublicKey(this.secretKey);
+    this.secret = opts.secret || null;
+    this.timeoutMs = opts.timeoutMs || 5000;
+    this.authUrl = opts.authUrl || null;
+    this.approveAfterMs = opts.approveAfterMs !== undefined ? opts.approveAfterMs : 100;
+    this.uri = null;
+    this.requests = [];
+    this._clients = new Set(); // client pubkeys that connected
+    this._seen = new Set();
+    this._pool = null;
+  }
+
+  /** Subscribe to requests on every relay. Resolves the bunker:// URI. */
+  async start() {
+    this._pool = new RelayPool({ timeoutMs: this.timeoutMs });
+    const filter = { kinds: [NOSTR_CONNECT_KIND], '#p': [this.pubkey], since: Math.floor(Date.now() / 1000) - 10 };
+    await Promise.all(this.relays.map(url => this._pool.subscribe(url, [filter], {
+      onevent: (event) => this._onRequest(event)
+    })));
+    const params = new URLSearchParams();
+    for (const url of this.relays) params.append('relay', url);
+    if (this.secret) params.set('secret', this.secret);
+    this.uri = `bunker://${this.pubkey}?${params}`;
+    return this.uri;
+  }
+
+  stop() {
+    if (this._pool) this._pool.close();
+    this._pool = null;
+  }
+
+  _onRequest(event) {
+    if (this._seen.has(event.id)) return; // same request via another relay
+    this._seen.add(event.id);
+    const conversationKey = nip44.getConversationKey(this.secretKey, event.pubkey);
+    let msg;
+    try {
+      msg = JSON.parse(nip44.decrypt(event.content, conversationKey));
+    } catch (e) {
+      return;
+    }
+    this.requests.push({ client: event.pubkey, method: msg.method, params: msg.params });
+
+    let reply;
+    try {
+      reply = { id: msg.id, result: this._handle(event.pubkey, msg.method, msg.params || []) };
+    } catch (err) {
+      reply = { id: msg.id, result: '', error: err.message };
+    }
+    if (this.authUrl && msg.method === 'sign_event') {
+      this._reply(event.pubkey, { id: msg.id, result: 'auth_url', error: this.authUrl });
+      setTimeout(() => this._reply(event.pubkey, reply), this.approveAfterMs);
+    } else {
+      this._reply(event.pubkey, reply);
+    }
+  }
+
+  _reply(client, reply) {
+    if (!this._pool) return;
+    const conversationKey = nip44.getConversationKey(this.secretKey, client);
+    const answer = finalizeEvent({
+      kind: NOSTR_CONNECT_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', client]],
+      content: nip44.encrypt(JSON.stringify(reply), conversationKey)
+    }, this.secretKey);
+    publishToRelays(answer, this.relays, this.timeoutMs, {
+      pool: this._pool,
+      retries: 0,
+      signAuth: async (template) => finalizeEvent(template, this.secretKey)
+    }).catch(() => { /* ignore */ });
+  }
+
+  _handle(client, method, params) {
+    if (method === 'connect') {
+      if (this.secret && params[1] !== this.secret) throw new Error('invalid secret');
+      this._clients.add(client);
+      return 'ack';
+    }
+    if (!this._clients.has(client)) throw new Error('not connected');
+    if (method === 'get_public_key') return this.pubkey;
+    if (method === 'ping') return 'pong';
+    if (method === 'sign_event') {
+      return JSON.stringify(finalizeEvent(JSON.parse(params[0]), this.secretKey));
+    }
+    if (method === 'nip44_encrypt') return nip44.encrypt(params[1], nip44.getConversationKey(this.secretKey, params[0]));
+    if (method === 'nip44_decrypt') return nip44.decrypt(params[1], nip44.getConversationKey(this.secretKey, params[0]));
+    throw new Error(`unsupported method: ${method}`);
+  }
+}
+
+/**
+ * In-process NIP-90 service provider (DVM) for tests: answers job requests
+ * of the given kinds that tag its pubkey. Each job gets 'processing'
+ * feedback, then `handler(job, feedback)` runs and what it returns is
+ * published as the result (kind + 1000); if it throws, the error goes out
+ * as 'error' feedback. `feedback(status, { message, amount, bolt11 })`
+ * sends more feedback, e.g. 'payment-required'. Deletions of a request
+ * (NIP-09) abort `job.signal`. Requests are recorded in `jobs`.
+ *
+ * @example
+ * const dvm = new LocalDvm({ relays: [url], kinds: [5050], handler: (job) => job.input[0].data.toUpperCase() });
+ * await dvm.start();
+ * // ... dir.request(service, 'hello') resolves with content 'HELLO'
+ * dvm.stop();
+ *
+ * @param {object} opts
+ * @param {string[]} opts.relays - Relays to listen and answer on
+ * @param {number[]} opts.kinds - Job kinds to serve (default: [5050])
+ * @param {function} opts.handler - async (job, feedback) → result content; job is
+ *   { id, kind, customer, input: [{ data, type }], params, signal, raw }
+ * @param {string|Uint8Array} opts.secretKey - Key to answer with (default: a new one)
+ * @param {number} opts.timeoutMs - Timeout for publishing answers (default: 5000)
+ */
+class LocalDvm {
+  constructor(opts = {}) {
+    this.relays = opts.relays || [];
+    this.kinds = (opts.kinds || [5050]).map(Number);
+    this.handler = opts.handler || ((job) => job.input.map(i => i.data).join('\n'));
+    this.secretKey = opts.secretKey ? decodeSecretKey(opts.secretKey) : generateSecretKey();
+    this.pubkey = getPublicKey(this.secretKey);
+    this.timeoutMs = opts.timeoutMs || 5000;
+    this.jobs = [];
+    this._running = new Map(); // request id -> AbortController
+    this._seen = new Set();
+    this._pool = null;
+  }
+
+  /** Subscribe to job requests (and their deletions) on every relay. */
+  async start() {
+    this._pool = new RelayPool({ timeoutMs: this.timeoutMs });
+    const since = Math.floor(Date.now() / 1000) - 10;
+    const filters = [
+      { kinds: this.kinds, '#p': [this.pubkey], since },
+      { kinds: [DELETION_KIND], '#k': this.kinds.map(String), since }
+    ];
+    await Promise.all(this.relays.map(url => this._pool.subscribe(url, filters, {
+      onevent: (event) => this._onEvent(event)
+    })));
+  }
+
+  stop() {
+    for (const [, controller] of this._running) controller.abort();
+    this._running.clear();
+    if (this._pool) this._pool.close();
+    this._pool = null;
+  }
+
+  _onEvent(event) {
+    if (this._seen.has(event.id)) return; // same event via another relay
+    this._seen.add(event.id);
+    if (event.kind === DELETION_KIND) {
+      for (const tag of event.tags) {
+        const job = tag[0] === 'e' && this.jobs.find(j => j.id === tag[1] && j.customer === event.pubkey);
+        if (job && this._running.has(job.id)) this._running.get(job.id).abort();
+      }
+      return;
+    }
+    this._run(event).catch(() => { /* ignore */ });
+  }
+
+  async _run(event) {
+    const controller = new AbortController();
+    const job = {
+      id: event.id,
+      kind: event.kind,
+      customer: event.pubkey,
+      input: event.tags.filter(t => t[0] === 'i').map(t => ({ data: t[1], type: t[2] || 'text' })),
+      params: Object.fromEntries(event.tags.filter(t => t[0] === 'param').map(t => [t[1], t[2]])),
+      signal: controller.signal,
+      raw: event
+    };
+    this.jobs.push(job);
+    this._running.set(job.id, controller);
+    const feedback = (status, extra = {}) => this._send(event, JOB_FEEDBACK_KIND, extra.message || '', [
+      ['status', status, ...(extra.message ? [extra.message] : [])],
+      ...(extra.amount !== undefined ? [['amount', String(extra.amount), ...(extra.bolt11 ? [extra.bolt11] : [])]] : [])
+    ]);
+
+    try {
+      await feedback('processing');
+      const content = await this.handler(job, feedback);
+      if (controller.signal.aborted) return;
+      await this._send(event, event.kind + JOB_RESULT_OFFSET, String(content), [
+        ['request', JSON.stringify(event)],
+        ...event.tags.filter(t => t[0] === 'i')
+      ]);
+    } catch (err) {
+      if (!controller.signal.aborted) await feedback('error', { message: err.message });
+    } finally {
+      this._running.delete(job.id);
+    }
+  }
+
+  // Answer a request on the relays it asked for, or ours
+  _send(request, kind, content, tags) {
+    if (!this._pool) return Promise.resolve();
+    const relaysTag = request.tags.find(t => t[0] === 'relays');
+    const event = finalizeEvent({
+      kind,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [...tags, ['e', request.id], ['p', request.pubkey]],
+      content
+    }, this.secretKey);
+    return publishToRelays(event, relaysTag ? relaysTag.slice(1) : this.relays, this.timeoutMs, {
+      pool: this._pool,
+      retries: 0,
+      signAuth: async (template) => finalizeEvent(template, this.secretKey)
+    });
+  }
+}
+
+module.exports = { LocalRelay, LocalBunker, LocalDvm };
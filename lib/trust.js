@@ -1,95 +1,480 @@
 'use strict';
 
 const { verifyEvent } = require('nostr-tools');
-const { ATTESTATION_KIND, WOT_NAMESPACE, TRUST_WEIGHTS } = require('./constants');
+const { getSatoshisAmountFromBolt11, validateZapRequest } = require('nostr-tools/nip57');
+const {
+  ATTESTATION_KIND,
+  WOT_NAMESPACE,
+  ATTESTATION_BATCH_SIZE,
+  MAX_ZAP_LOOKUPS,
+  WOT_SCORING_DEFAULTS,
+  TRUST_WEIGHTS,
+  ZAP_RECEIPT_KIND,
+  ZAP_REQUEST_KIND,
+  PROFILE_KIND,
+  DELETION_KIND,
+  CONTACT_LIST_KIND
+} = require('./constants');
 const { queryRelays } = require('./relay');
+const { resolveStrategy, attestationType } = require('./scoring');
+const { decodePubkey } = require('./identifiers');
+const { outboxRelays } = require('./outbox');
+
+const EMPTY_TRUST = {
+  score: 0,
+  positive: 0,
+  negative: 0,
+  attesters: 0,
+  disputes: 0,
+  lastDisputeAt: null,
+  details: []
+};
 
 /**
  * Fetch ai.wot attestations (NIP-32 kind 1985) targeting a pubkey.
+ * Also asks the relays in the target's NIP-65 relay list unless opts.outbox is false.
  */
-async function fetchAttestations(pubkey, relays, timeoutMs) {
-  const filter = {
+async function fetchAttestations(pubkey, relays, timeoutMs, opts = {}) {
+  const byTarget = await fetchAttestationsBatch([pubkey], relays, timeoutMs, { outbox: true, ...opts });
+  return byTarget.get(pubkey);
+}
+
+/**
+ * Fetch ai.wot attestations for many pubkeys at once.
+ *
+ * Pubkeys are grouped into one '#p' filter per chunk (opts.batchSize,
+ * default ATTESTATION_BATCH_SIZE) so each relay gets a handful of REQs
+ * instead of one per pubkey. Attestations their author revoked (NIP-09)
+ * are dropped, then events are split back out per target.
+ * With opts.cache (a DiscoveryCache), targets are answered from the cache
+ * first (see cachedAttestations).
+ * With opts.outbox, the relays in the targets' NIP-65 relay lists are asked
+ * too: read relays, where attesters deliver events tagging them, and write relays.
+ *
+ * @returns {Map<string, object[]>} target pubkey -> attestation events
+ */
+async function fetchAttestationsBatch(pubkeys, relays, timeoutMs, opts = {}) {
+  if (opts.cache) return cachedAttestations(pubkeys, relays, timeoutMs, opts);
+  const { batchSize = ATTESTATION_BATCH_SIZE } = opts;
+  const targets = [...new Set(pubkeys)];
+  if (opts.outbox) {
+    relays = await outboxRelays(targets, relays, timeoutMs, { ...opts, markers: ['read', 'write'] });
+  }
+
+  const chunks = [];
+  for (let i = 0; i < targets.length; i += batchSize) {
+    chunks.push(targets.slice(i, i + batchSize));
+  }
+
+  const results = await Promise.all(chunks.map(chunk => queryRelays({
     kinds: [ATTESTATION_KIND],
     '#L': [WOT_NAMESPACE],
-    '#p': [pubkey]
+    '#p': chunk
+  }, relays, timeoutMs, opts)));
+
+  const events = [].concat(...results).filter(e => verifyEvent(e));
+  const deletions = events.length > 0
+    ? await fetchDeletions(events.map(e => e.id), relays, timeoutMs, opts)
+    : [];
+  return groupAttestationsByTarget(applyRevocations(events, deletions), targets);
+}
+
+/**
+ * Cache-aware attestation lookup, per opts.cacheMode:
+ *   'swr' (default) — fresh targets from the cache, stale ones from the cache
+ *                     while they're refetched in the background, missing ones fetched
+ *   'refresh'       — always fetch, then store
+ *   'offline'       — cache only
+ */
+async function cachedAttestations(pubkeys, relays, timeoutMs, opts) {
+  const { cache, cacheMode = 'swr', pool } = opts;
+  const targets = [...new Set(pubkeys)];
+  const fetchOpts = { ...opts, cache: null };
+
+  const refresh = async (keys) => {
+    const byTarget = await fetchAttestationsBatch(keys, relays, timeoutMs, fetchOpts);
+    if (!(pool && pool.closed)) cache.putAttestations(byTarget);
+    return byTarget;
   };
 
-  const events = await queryRelays(filter, relays, timeoutMs);
-  return events.filter(e => verifyEvent(e));
+  let missing = [];
+  const stale = [];
+  if (cacheMode === 'refresh') {
+    missing = targets;
+  } else if (cacheMode !== 'offline') {
+    for (const target of targets) {
+      const entry = cache.getAttestations(target);
+      if (!entry) missing.push(target);
+      else if (!cache.isFresh(entry)) stale.push(target);
+    }
+  }
+
+  const fetched = missing.length > 0 ? await refresh(missing) : new Map();
+  if (stale.length > 0) {
+    cache.revalidate(`attestations:${stale.sort().join(',')}`, () => refresh(stale));
+  }
+
+  const byTarget = new Map();
+  for (const target of targets) {
+    byTarget.set(target, fetched.get(target) || cache.attestationEvents(target));
+  }
+  return byTarget;
 }
 
 /**
- * Calculate a basic trust score from attestations.
- * 
- * Scoring: 10 points per unique attester, weighted by attestation type.
- * Self-attestations are excluded. Only the highest-weight attestation
- * per attester is counted.
- * 
- * This is a simplified version of the full ai-wot scoring algorithm
- * (no temporal decay, no hop dampening, no zap weighting).
- * For production trust scoring, use the `ai-wot` package directly.
+ * Fetch NIP-09 deletion events (kind 5) referencing the given event ids.
  */
-function calculateTrustScore(attestations, targetPubkey) {
-  const attesters = new Map(); // attester pubkey -> best attestation
+async function fetchDeletions(eventIds, relays, timeoutMs, opts = {}) {
+  const { batchSize = ATTESTATION_BATCH_SIZE } = opts;
+  const ids = [...new Set(eventIds)];
 
-  for (const event of attestations) {
-    // Skip self-attestations
-    if (event.pubkey === targetPubkey) continue;
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += batchSize) {
+    chunks.push(ids.slice(i, i + batchSize));
+  }
+
+  const results = await Promise.all(chunks.map(chunk => queryRelays({
+    kinds: [DELETION_KIND],
+    '#e': chunk
+  }, relays, timeoutMs, opts)));
 
-    // Extract attestation type from NIP-32 label
-    let type = 'general-trust';
+  return [].concat(...results).filter(e => verifyEvent(e));
+}
+
+/**
+ * Drop attestations revoked by their own author through a NIP-09 deletion.
+ * Deletions signed by anyone else are ignored.
+ */
+function applyRevocations(attestations, deletions) {
+  const revoked = new Set(); // `${author}:${eventId}`
+  for (const del of deletions) {
+    if (del.kind !== DELETION_KIND) continue;
+    for (const tag of del.tags) {
+      if (tag[0] === 'e') revoked.add(`${del.pubkey}:${tag[1]}`);
+    }
+  }
+  if (revoked.size === 0) return attestations;
+  return attestations.filter(e => !revoked.has(`${e.pubkey}:${e.id}`));
+}
+
+/**
+ * Split attestation events back out per target pubkey ('p' tag).
+ * An event tagging several targets is listed under each; duplicates
+ * (same event id from different chunks) are dropped.
+ *
+ * @returns {Map<string, object[]>} target pubkey -> attestation events
+ */
+function groupAttestationsByTarget(events, pubkeys) {
+  const byTarget = new Map(pubkeys.map(pk => [pk, []]));
+  const seen = new Set();
+
+  for (const event of events) {
+    if (seen.has(event.id)) continue;
+    seen.add(event.id);
+
+    const targets = new Set();
     for (const tag of event.tags) {
-      if (tag[0] === 'l' && tag[2] === WOT_NAMESPACE) {
-        type = tag[1];
-        break;
-      }
+      if (tag[0] === 'p' && byTarget.has(tag[1])) targets.add(tag[1]);
     }
+    for (const pk of targets) byTarget.get(pk).push(event);
+  }
 
-    const weight = TRUST_WEIGHTS[type] || 0.8;
-    const existing = attesters.get(event.pubkey);
+  return byTarget;
+}
 
-    if (!existing || weight > existing.weight) {
-      attesters.set(event.pubkey, {
-        weight,
-        type,
-        createdAt: event.created_at
-      });
+/**
+ * Sum zapped sats per attestation from NIP-57 zap receipts ('e' tag).
+ * Only genuine zaps count: receipts signed by the attester's zap provider
+ * (see fetchZapperPubkeys) that wrap a valid zap request for the same
+ * attestation. Anyone can publish a kind 9735 event, so the rest are ignored.
+ *
+ * Providers are known from opts.zappers, or looked up over LNURL with
+ * opts.verifyZaps — HTTP requests to hosts the attesters' profiles name, so
+ * it is opt-in. With neither, no zaps count and no relay is asked.
+ *
+ * @param {object[]} attestations - Attestation events
+ * @param {object} opts - { batchSize, pool, zappers, verifyZaps, maxLookups, fetch };
+ *   zappers (pubkey -> provider pubkey) skips the LNURL lookup, maxLookups
+ *   caps it (see fetchZapperPubkeys)
+ * @returns {Map<string, number>} attestation event id -> sats
+ */
+async function fetchZapTotals(attestations, relays, timeoutMs, opts = {}) {
+  const { batchSize = ATTESTATION_BATCH_SIZE } = opts;
+  const byId = new Map(attestations.map(e => [e.id, e]));
+  const ids = [...byId.keys()];
+  const totals = new Map();
+  if (!opts.zappers && !opts.verifyZaps) return totals;
+
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += batchSize) {
+    chunks.push(ids.slice(i, i + batchSize));
+  }
+
+  const results = await Promise.all(chunks.map(chunk => queryRelays({
+    kinds: [ZAP_RECEIPT_KIND],
+    '#e': chunk
+  }, relays, timeoutMs, opts)));
+
+  const receipts = [];
+  for (const receipt of [].concat(...results)) {
+    for (const tag of receipt.tags) {
+      if (tag[0] === 'e' && byId.has(tag[1])) receipts.push([receipt, byId.get(tag[1])]);
     }
   }
+  if (receipts.length === 0) return totals;
 
-  let score = 0;
-  for (const [, att] of attesters) {
-    score += att.weight * 10;
+  // Most zapped attesters first, so a capped lookup covers what matters most
+  const counts = new Map();
+  for (const [, attestation] of receipts) counts.set(attestation.pubkey, (counts.get(attestation.pubkey) || 0) + 1);
+  const zapped = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  const zappers = opts.zappers || await fetchZapperPubkeys(zapped, relays, timeoutMs, opts);
+  for (const [receipt, attestation] of receipts) {
+    const sats = zapReceiptSats(receipt, attestation, zappers.get(attestation.pubkey));
+    if (sats) totals.set(attestation.id, (totals.get(attestation.id) || 0) + sats);
   }
 
-  return {
-    score: Math.round(score),
-    attesters: attesters.size,
-    details: Array.from(attesters.entries()).map(([pk, att]) => ({
-      pubkey: pk,
-      type: att.type,
-      weight: att.weight
-    }))
-  };
+  return totals;
+}
+
+/**
+ * Look up who signs zap receipts for each pubkey: the `nostrPubkey` its
+ * lightning address (lud16 in the kind 0 profile) announces over LNURL.
+ * Pubkeys without a lightning address, or whose provider doesn't
+ * support zaps, are left out. Only the first opts.maxLookups pubkeys
+ * (default MAX_ZAP_LOOKUPS) are looked up: each one is a request to a host
+ * its profile chose.
+ *
+ * @param {object} opts - { batchSize, pool, maxLookups, fetch } (default: global fetch)
+ * @returns {Map<string, string>} pubkey -> zap provider pubkey
+ */
+async function fetchZapperPubkeys(pubkeys, relays, timeoutMs, opts = {}) {
+  const { batchSize = ATTESTATION_BATCH_SIZE, maxLookups = MAX_ZAP_LOOKUPS, fetch = globalThis.fetch } = opts;
+  const zappers = new Map();
+  const authors = [...new Set(pubkeys)].slice(0, maxLookups);
+  if (!fetch || authors.length === 0) return zappers;
+
+  const filters = [];
+  for (let i = 0; i < authors.length; i += batchSize) {
+    filters.push({ kinds: [PROFILE_KIND], authors: authors.slice(i, i + batchSize) });
+  }
+  const results = await Promise.all(filters.map(filter => queryRelays(filter, relays, timeoutMs, opts)));
+
+  // Profiles are replaceable: only the latest per author counts
+  const profiles = new Map();
+  for (const event of [].concat(...results)) {
+    const existing = profiles.get(event.pubkey);
+    if (!existing || event.created_at > existing.created_at) profiles.set(event.pubkey, event);
+  }
+
+  await Promise.all([...profiles.values()].map(async (profile) => {
+    const url = lnurlPayUrl(profile);
+    if (!url) return;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, { signal: controller.signal });
+      const body = await res.json();
+      if (body && body.allowsNostr && /^[0-9a-f]{64}$/.test(body.nostrPubkey || '')) {
+        zappers.set(profile.pubkey, body.nostrPubkey);
+      }
+    } catch (e) {
+      // Unreachable provider: none of this pubkey's zaps count
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+
+  return zappers;
+}
+
+// Kind 0 profile → LNURL-pay endpoint of its lightning address (lud16)
+function lnurlPayUrl(profile) {
+  let lud16;
+  try { lud16 = JSON.parse(profile.content).lud16; } catch (e) { return null; }
+  const match = typeof lud16 === 'string' && lud16.trim().match(/^([^@\s/]+)@([^@\s/]+)$/);
+  if (!match) return null;
+  return `https://${match[2]}/.well-known/lnurlp/${encodeURIComponent(match[1])}`;
+}
+
+/**
+ * Amount of a zap receipt in sats, from its bolt11 invoice — or 0 unless
+ * it is a genuine zap of the attestation: signed by the attester's zap
+ * provider, wrapping a signed zap request (kind 9734) that names the
+ * attester and the attestation, for the amount the invoice charges.
+ */
+function zapReceiptSats(receipt, attestation, zapperPubkey) {
+  if (!zapperPubkey || receipt.pubkey !== zapperPubkey) return 0;
+  const receiptTag = (name) => (receipt.tags.find(t => t[0] === name) || [])[1];
+  const description = receiptTag('description');
+  const bolt11 = receiptTag('bolt11');
+  if (!description || !bolt11 || validateZapRequest(description) !== null) return 0;
+
+  const request = JSON.parse(description);
+  const requestTags = (name) => request.tags.filter(t => t[0] === name).map(t => t[1]);
+  if (request.kind !== ZAP_REQUEST_KIND) return 0;
+  if (requestTags('p').join() !== attestation.pubkey || receiptTag('p') !== attestation.pubkey) return 0;
+  if (requestTags('e').join() !== attestation.id) return 0;
+
+  let sats;
+  try { sats = getSatoshisAmountFromBolt11(bolt11); } catch (e) { return 0; }
+  const amount = requestTags('amount')[0];
+  if (amount !== undefined && Math.floor(Number(amount) / 1000) !== sats) return 0;
+  return sats;
+}
+
+// Positive ai.wot label (unknown types count as endorsements, as in scoring)
+function isEndorsement(event) {
+  return (TRUST_WEIGHTS[attestationType(event)] || 0.8) > 0;
+}
+
+/**
+ * Walk the ai.wot attestation graph outward from seed pubkeys.
+ * Seeds are at hop 0; anyone a hop-n pubkey endorses is at hop n+1.
+ * Negative labels (dispute, non-delivery, spam) and attestations revoked
+ * by their author are not edges.
+ * With opts.follows, NIP-02 follow lists (kind 3) count as edges too.
+ *
+ * @param {object} opts - { maxHops, follows, batchSize, pool }
+ * @returns {Map<string, number>} pubkey -> hops from the nearest seed
+ */
+async function fetchHopDistances(seeds, relays, timeoutMs, opts = {}) {
+  const {
+    maxHops = WOT_SCORING_DEFAULTS.maxHops,
+    follows = false,
+    batchSize = ATTESTATION_BATCH_SIZE
+  } = opts;
+
+  const distances = new Map(seeds.map(pk => [pk, 0]));
+  let frontier = [...new Set(seeds)];
+
+  for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+    const filters = [];
+    for (let i = 0; i < frontier.length; i += batchSize) {
+      const chunk = frontier.slice(i, i + batchSize);
+      filters.push({ kinds: [ATTESTATION_KIND], '#L': [WOT_NAMESPACE], authors: chunk });
+      if (follows) filters.push({ kinds: [CONTACT_LIST_KIND], authors: chunk });
+    }
+
+    const results = await Promise.all(filters.map(filter => queryRelays(filter, relays, timeoutMs, opts)));
+    const events = [].concat(...results).filter(e => verifyEvent(e));
+
+    // Follow lists are replaceable: only the latest per author counts
+    const latestFollows = new Map();
+    const labels = [];
+    for (const event of events) {
+      if (event.kind === CONTACT_LIST_KIND) {
+        const existing = latestFollows.get(event.pubkey);
+        if (!existing || event.created_at > existing.created_at) {
+          latestFollows.set(event.pubkey, event);
+        }
+      } else {
+        labels.push(event);
+      }
+    }
+
+    // Only standing endorsements are edges: a dispute vouches for nobody
+    const deletions = labels.length > 0
+      ? await fetchDeletions(labels.map(e => e.id), relays, timeoutMs, opts)
+      : [];
+    const edges = applyRevocations(labels, deletions).filter(isEndorsement);
+    edges.push(...latestFollows.values());
+
+    const next = [];
+    for (const event of edges) {
+      for (const tag of event.tags) {
+        if (tag[0] === 'p' && tag[1] && !distances.has(tag[1])) {
+          distances.set(tag[1], hop);
+          next.push(tag[1]);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return distances;
+}
+
+/**
+ * Calculate a trust score from attestations.
+ * 
+ * opts.strategy picks the scoring engine (see TRUST_STRATEGIES):
+ * - 'basic' (default): 10 points per unique attester, weighted by
+ *   attestation type. Self-attestations are excluded. Only the
+ *   strongest endorsement and strongest dispute per attester count.
+ * - 'wot': full ai.wot scoring — adds temporal decay (halfLifeDays),
+ *   zap weighting (opts.zaps) and hop dampening from seed pubkeys
+ *   (opts.distances). See wotScore() for options.
+ * - a custom function or { score } object.
+ *
+ * Negative labels (dispute, non-delivery, spam) subtract; the result
+ * reports `positive` and `negative` totals, `disputes` (attesters with a
+ * negative label) and `lastDisputeAt` alongside the net `score`.
+ *
+ * Both built-in strategies honor opts.distances (pubkey -> hops): when
+ * given, attesters outside the map are ignored and each detail entry
+ * reports its path depth as `hops`.
+ */
+function calculateTrustScore(attestations, targetPubkey, opts = {}) {
+  const strategy = resolveStrategy(opts.strategy);
+  return strategy.score(attestations, targetPubkey, opts);
 }
 
 /**
  * Enrich an array of services with trust scores.
- * Fetches attestations for each unique pubkey in parallel.
+ * Fetches attestations for all unique pubkeys in batched queries, plus
+ * zap receipts and the seeds' attestation graph when the strategy uses them.
+ *
+ * @param {object} opts
+ * @param {RelayPool} opts.pool - Reuse a RelayPool's connections
+ * @param {number} opts.batchSize - Max pubkeys per '#p' filter
+ * @param {string|string[]} opts.perspective - Score relative to these root
+ *   pubkeys: only attesters reachable from them through ai.wot attestations
+ *   or NIP-02 follow lists (within scoring.maxHops) count
+ * @param {object} opts.scoring - calculateTrustScore() options:
+ *   { strategy, seeds, maxHops, halfLifeDays, zapWeight, hopDampening },
+ *   plus verifyZaps / maxZapLookups for the zap provider lookup (see fetchZapTotals)
  */
-async function enrichWithTrust(services, relays, timeoutMs) {
+async function enrichWithTrust(services, relays, timeoutMs, opts = {}) {
+  const scoring = opts.scoring || {};
+  const perspective = opts.perspective
+    ? [].concat(opts.perspective).map(decodePubkey)
+    : null;
+  const strategy = resolveStrategy(scoring.strategy);
   const pubkeys = [...new Set(services.map(s => s.pubkey))];
   const trustMap = new Map();
 
-  await Promise.allSettled(
-    pubkeys.map(async (pk) => {
-      const attestations = await fetchAttestations(pk, relays, timeoutMs);
-      trustMap.set(pk, calculateTrustScore(attestations, pk));
-    })
-  );
+  if (pubkeys.length > 0) {
+    const byTarget = await fetchAttestationsBatch(pubkeys, relays, timeoutMs, opts);
+
+    let zaps = scoring.zaps;
+    if (strategy.zaps && !zaps) {
+      const attested = [].concat(...byTarget.values());
+      zaps = attested.length > 0
+        ? await fetchZapTotals(attested, relays, timeoutMs, { ...opts, verifyZaps: scoring.verifyZaps, maxLookups: scoring.maxZapLookups })
+        : new Map();
+    }
+
+    let distances = scoring.distances;
+    if (!distances && perspective) {
+      distances = await fetchHopDistances(perspective, relays, timeoutMs, {
+        ...opts,
+        maxHops: scoring.maxHops,
+        follows: true
+      });
+    } else if (!distances && strategy.hops && scoring.seeds && scoring.seeds.length > 0) {
+      distances = await fetchHopDistances(scoring.seeds.map(decodePubkey), relays, timeoutMs, {
+        ...opts,
+        maxHops: scoring.maxHops
+      });
+    }
+
+    for (const [pk, attestations] of byTarget) {
+      trustMap.set(pk, calculateTrustScore(attestations, pk, { ...scoring, zaps, distances }));
+    }
+  }
 
   return services.map(s => {
-    const trust = trustMap.get(s.pubkey) || { score: 0, attesters: 0, details: [] };
+    const trust = trustMap.get(s.pubkey) || { ...EMPTY_TRUST, details: [] };
     return {
       ...s,
       trust,
@@ -98,4 +483,15 @@ async function enrichWithTrust(services, relays, timeoutMs) {
   });
 }
 
-module.exports = { fetchAttestations, calculateTrustScore, enrichWithTrust };
+module.exports = {
+  fetchAttestations,
+  fetchAttestationsBatch,
+  groupAttestationsByTarget,
+  fetchDeletions,
+  applyRevocations,
+  fetchZapTotals,
+  fetchZapperPubkeys,
+  fetchHopDistances,
+  calculateTrustScore,
+  enrichWithTrust
+};
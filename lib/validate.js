@@ -0,0 +1,218 @@
+'use strict';
+
+const { SERVICE_KIND } = require('./constants');
+
+// user@domain (LUD-16) or a bech32 LNURL
+const LIGHTNING_ADDRESS = /^[a-z0-9._+-]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+const LNURL = /^lnurl1[02-9ac-hj-np-z]+$/i;
+
+// Capability convention: lowercase, hyphenated
+const CAPABILITY = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Decimal amount as it appears in a price tag
+const AMOUNT = /^\d+(\.\d+)?$/;
+
+const KNOWN_PRICE_UNITS = ['request', 'word', 'minute', 'month', 'query', 'free'];
+const STATUSES = ['active', 'inactive'];
+
+function isLightningAddress(value) {
+  return typeof value === 'string' && (LIGHTNING_ADDRESS.test(value) || LNURL.test(value));
+}
+
+function isDvmKind(value) {
+  const n = Number(value);
+  return String(value).trim() !== '' && Number.isInteger(n) && n >= 0;
+}
+
+/**
+ * Collects errors and warnings as { field, message } entries.
+ */
+function createReport() {
+  const errors = [];
+  const warnings = [];
+  return {
+    errors,
+    warnings,
+    error: (field, message) => errors.push({ field, message }),
+    warn: (field, message) => warnings.push({ field, message }),
+    result: () => ({ valid: errors.length === 0, errors, warnings })
+  };
+}
+
+function checkCapability(report, field, cap) {
+  if (typeof cap !== 'string' || cap.length === 0) {
+    report.error(field, 'capability must be a non-empty string');
+  } else if (!CAPABILITY.test(cap)) {
+    report.warn(field, `capability "${cap}" should be lowercase and hyphenated (e.g. "text-generation")`);
+  }
+}
+
+function checkPriceUnit(report, field, per) {
+  if (per && !KNOWN_PRICE_UNITS.includes(per)) {
+    report.warn(field, `unusual price unit "${per}" (known: ${KNOWN_PRICE_UNITS.join(', ')})`);
+  }
+}
+
+function checkPrice(report, field, price) {
+  if (!price || typeof price !== 'object' || Array.isArray(price)) {
+    report.error(field, 'must be an object { amount, currency, per, tier }');
+    return;
+  }
+  if (typeof price.amount !== 'number' || !Number.isFinite(price.amount) || price.amount < 0) {
+    report.error(`${field}.amount`, 'must be a non-negative number');
+  }
+  for (const key of ['currency', 'tier']) {
+    if (price[key] !== undefined && typeof price[key] !== 'string') {
+      report.error(`${field}.${key}`, 'must be a string');
+    }
+  }
+  if (price.per !== undefined && typeof price.per !== 'string') {
+    report.error(`${field}.per`, 'must be a string');
+  } else {
+    checkPriceUnit(report, `${field}.per`, price.per);
+  }
+}
+
+function checkStringArray(report, field, value) {
+  if (!Array.isArray(value) || !value.every(x => typeof x === 'string')) {
+    report.error(field, 'must be an array of strings');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validate service options before they are turned into tags and signed.
+ *
+ * @param {object} opts - Service definition (see publishService)
+ * @returns {{ valid: boolean, errors: {field, message}[], warnings: {field, message}[] }}
+ */
+function validateService(opts) {
+  const report = createReport();
+
+  if (!opts || typeof opts !== 'object' || Array.isArray(opts)) {
+    report.error('', 'service must be an object');
+    return report.result();
+  }
+
+  if (typeof opts.id !== 'string' || opts.id.length === 0) {
+    report.error('id', 'is required and must be a non-empty string');
+  }
+
+  for (const field of ['name', 'description']) {
+    if (opts[field] !== undefined && typeof opts[field] !== 'string') {
+      report.error(field, 'must be a string');
+    }
+  }
+
+  if (opts.capabilities !== undefined) {
+    if (checkStringArray(report, 'capabilities', opts.capabilities)) {
+      opts.capabilities.forEach((cap, i) => checkCapability(report, `capabilities[${i}]`, cap));
+    }
+  }
+  if (!opts.capabilities || opts.capabilities.length === 0) {
+    report.warn('capabilities', 'no capabilities listed; the service cannot be found by capability');
+  }
+
+  if (opts.price !== undefined) {
+    if (Array.isArray(opts.price)) {
+      if (opts.price.length === 0) report.error('price', 'must list at least one price');
+      opts.price.forEach((price, i) => checkPrice(report, `price[${i}]`, price));
+    } else {
+      checkPrice(report, 'price', opts.price);
+    }
+  }
+
+  if (opts.lnAddress !== undefined && !isLightningAddress(opts.lnAddress)) {
+    report.error('lnAddress', 'must be a lightning address (user@domain) or LNURL');
+  }
+
+  if (opts.status !== undefined && !STATUSES.includes(opts.status)) {
+    report.error('status', `must be one of ${STATUSES.join(', ')}`);
+  }
+
+  if (opts.hashtags !== undefined) {
+    checkStringArray(report, 'hashtags', opts.hashtags);
+  }
+
+  if (opts.dvmKinds !== undefined) {
+    if (!Array.isArray(opts.dvmKinds) || !opts.dvmKinds.every(isDvmKind)) {
+      report.error('dvmKinds', 'must be an array of integer kinds');
+    }
+  }
+
+  return report.result();
+}
+
+/**
+ * Validate a raw kind 38990 event as received from a relay.
+ * Checks structure and tag values — not the signature (relay.js does that).
+ *
+ * @returns {{ valid: boolean, errors: {field, message}[], warnings: {field, message}[] }}
+ */
+function validateServiceEvent(event) {
+  const report = createReport();
+
+  if (!event || typeof event !== 'object') {
+    report.error('', 'event must be an object');
+    return report.result();
+  }
+  if (event.kind !== SERVICE_KIND) {
+    report.error('kind', `must be ${SERVICE_KIND} (got ${event.kind})`);
+  }
+  if (!Array.isArray(event.tags) || !event.tags.every(Array.isArray)) {
+    report.error('tags', 'must be an array of arrays');
+    return report.result();
+  }
+  if (typeof event.content !== 'string') {
+    report.error('content', 'must be a string');
+  }
+
+  const dTags = event.tags.filter(t => t[0] === 'd');
+  if (dTags.length === 0 || typeof dTags[0][1] !== 'string' || dTags[0][1].length === 0) {
+    report.error('d', 'a non-empty d tag is required');
+  }
+
+  let capabilities = 0;
+  for (const tag of event.tags) {
+    switch (tag[0]) {
+      case 'c':
+        capabilities++;
+        checkCapability(report, 'c', tag[1]);
+        break;
+      case 'price':
+        if (typeof tag[1] !== 'string' || !AMOUNT.test(tag[1])) {
+          report.error('price', `amount "${tag[1]}" is not a non-negative number`);
+        }
+        checkPriceUnit(report, 'price', tag[3]);
+        break;
+      case 'ln':
+        if (!isLightningAddress(tag[1])) {
+          report.error('ln', `"${tag[1]}" is not a lightning address (user@domain) or LNURL`);
+        }
+        break;
+      case 'status':
+        if (!STATUSES.includes(tag[1])) {
+          report.warn('status', `unknown status "${tag[1]}"`);
+        }
+        break;
+      case 'k':
+        if (!isDvmKind(tag[1])) {
+          report.error('k', `DVM kind "${tag[1]}" is not an integer`);
+        }
+        break;
+    }
+  }
+
+  if (capabilities === 0) {
+    report.warn('c', 'no capability tags');
+  }
+
+  return report.result();
+}
+
+module.exports = {
+  validateService,
+  validateServiceEvent,
+  isLightningAddress
+};
@@ -0,0 +1,255 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { matchFilter } = require('nostr-tools');
+const { SERVICE_KIND, DEFAULT_RELAYS, DEFAULT_TIMEOUT_MS } = require('./constants');
+const { parseServiceEvent } = require('./parse');
+const { buildServiceFilter, serviceKey, matchesService, quarantineEvents } = require('./query');
+const { RelayPool } = require('./pool');
+const { outboxRelays } = require('./outbox');
+const { serviceNaddr } = require('./identifiers');
+
+/**
+ * Live view of service announcements matching a query.
+ *
+ * Events:
+ *   'added'   (service)           — a matching service appeared
+ *   'updated' (service, previous) — a newer version of a matching service
+ *   'removed' (service, previous) — a service stopped matching (e.g. went inactive)
+ *   'ready'   ()                  — initial snapshot received from all relays (EOSE or timeout)
+ *
+ * Also async-iterable, yielding { type, service, previous }. Changes are
+ * buffered from the moment iteration starts; breaking out of the loop closes
+ * the watcher.
+ */
+class ServiceWatcher extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.opts = opts;
+    this.services = new Map(); // key -> { service, visible }; only matching services are kept
+    this._latest = new Map(); // key -> newest created_at seen, matching or not
+    this.closed = false;
+    this._subs = [];
+    this._queue = [];
+    this._waiters = [];
+    this._iterating = false;
+    this._isReady = false;
+    this._readyTimer = null;
+    this._filter = null;
+    this._followed = new Set();
+    this._since = Math.floor(Date.now() / 1000);
+    this._resubscribe = null;
+    this.relays = []; // relays subscribed to, once start() has resolved them
+    this._ownsPool = !opts.pool;
+    this._pool = opts.pool || new RelayPool({ timeoutMs: opts.timeoutMs });
+  }
+
+  /**
+   * Currently matching services.
+   */
+  get current() {
+    return Array.from(this.services.values())
+      .filter(e => e.visible)
+      .map(e => e.service);
+  }
+
+  start() {
+    const {
+      relays = DEFAULT_RELAYS,
+      timeoutMs = DEFAULT_TIMEOUT_MS
+    } = this.opts;
+
+    // Live: no until/limit window, only the query itself (and an optional since)
+    const { capabilities, pubkeys, hashtags, since, outbox = true, health, relayLists } = this.opts;
+    const filter = buildServiceFilter({ capabilities, pubkeys, hashtags, since });
+    this._filter = filter;
+
+    // Outbox model: watching given pubkeys also subscribes to their write relays
+    if (outbox && filter.authors) {
+      outboxRelays(filter.authors, relays, timeoutMs, { pool: this._pool, health, relayLists })
+        .catch(() => relays)
+        .then((targets) => { if (!this.closed) this._subscribe(targets, timeoutMs); });
+    } else {
+      this._subscribe(relays, timeoutMs);
+    }
+
+    return this;
+  }
+
+  _subscribe(relays, timeoutMs) {
+    const filter = this._filter;
+    let pendingEose = relays.length;
+    this._readyTimer = setTimeout(() => this._ready(), timeoutMs);
+    const onEose = () => {
+      if (--pendingEose <= 0) {
+        clearTimeout(this._readyTimer);
+        this._ready();
+      }
+    };
+    this.relays = relays;
+
+    for (const url of relays) {
+      let eosed = false;
+      this._pool.subscribe(url, [filter], {
+        onevent: (event) => this._onEvent(event, url),
+        oneose: () => {
+          if (eosed) return; // re-sent REQs after a reconnect EOSE again
+          eosed = true;
+          onEose();
+        }
+      }, { live: true }).then((sub) => {
+        if (this.closed) sub.close();
+        else this._subs.push(sub);
+      });
+    }
+  }
+
+  /**
+   * Stop watching. Closes the pool too if the watcher created it.
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this._readyTimer);
+    clearImmediate(this._resubscribe);
+    for (const sub of this._subs) sub.close();
+    this._subs = [];
+    if (this._ownsPool) this._pool.close();
+    for (const resolve of this._waiters) resolve({ value: undefined, done: true });
+    this._waiters = [];
+    this.emit('close');
+  }
+
+  [Symbol.asyncIterator]() {
+    this._iterating = true;
+    return {
+      next: () => {
+        if (this._queue.length > 0) {
+          return Promise.resolve({ value: this._queue.shift(), done: false });
+        }
+        if (this.closed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => this._waiters.push(resolve));
+      },
+      return: () => {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+
+  _ready() {
+    if (this._isReady || this.closed) return;
+    this._isReady = true;
+    this.emit('ready');
+  }
+
+  /**
+   * Tag filters (#c, #t) hide replacements that drop those tags — notably
+   * removeService()'s bare inactive listing. Follow the authors of matching
+   * services with a second, tag-free filter so such updates still arrive.
+   */
+  _follow(pubkey) {
+    const hasTagFilter = Object.keys(this._filter).some(k => k[0] === '#');
+    if (!hasTagFilter || this._followed.has(pubkey)) return;
+    this._followed.add(pubkey);
+    this._updateFollow();
+  }
+
+  // Stop following an author once none of its services match any more
+  _unfollow(pubkey) {
+    if (!this._followed.has(pubkey)) return;
+    for (const entry of this.services.values()) {
+      if (entry.service.pubkey === pubkey) return;
+    }
+    this._followed.delete(pubkey);
+    this._updateFollow();
+  }
+
+  _updateFollow() {
+    if (this._resubscribe) return;
+    this._resubscribe = setImmediate(() => {
+      this._resubscribe = null;
+      if (this.closed) return;
+      const filters = [this._filter];
+      if (this._followed.size > 0) {
+        filters.push({ kinds: [SERVICE_KIND], authors: Array.from(this._followed), since: this._since });
+      }
+      for (const sub of this._subs) sub.update(filters);
+    });
+  }
+
+  _onEvent(event, url) {
+    if (this.closed) return;
+    if (quarantineEvents([event], this.opts).length === 0) return;
+    const service = parseServiceEvent(event);
+    const key = serviceKey(service);
+    const existing = this.services.get(key);
+
+    // The same event from another relay only adds to where it was seen
+    if (existing && existing.service.eventId === event.id) {
+      if (!existing.service.seenOn.includes(url)) {
+        existing.service.seenOn.push(url);
+        existing.service.naddr = serviceNaddr(service.pubkey, service.id, existing.service.seenOn);
+      }
+      return;
+    }
+    service.seenOn = [url];
+    service.naddr = serviceNaddr(service.pubkey, service.id, service.seenOn);
+    service.firstSeenAt = Date.now();
+
+    // Same replaceable-event rule as findServices: only strictly newer versions
+    // count, also after a removal (a slow relay may still serve the old one)
+    const latest = this._latest.get(key);
+    if (latest !== undefined && service.createdAt <= latest) return;
+    this._latest.set(key, service.createdAt);
+
+    // Events from the author-follow filter only matter for services we already track
+    const matchesQuery = matchFilter(this._filter, event);
+    if (!matchesQuery && !existing) return;
+
+    const visible = matchesQuery && matchesService(service, this.opts);
+    if (!visible) {
+      // Forget services that stop matching, so long-running watchers don't grow
+      if (!existing) return;
+      this.services.delete(key);
+      this._unfollow(service.pubkey);
+      this._push('removed', service, existing.service);
+      return;
+    }
+
+    this.services.set(key, { service, visible });
+    this._follow(service.pubkey);
+    if (existing) this._push('updated', service, existing.service);
+    else this._push('added', service);
+  }
+
+  _push(type, service, previous) {
+    this.emit(type, service, previous);
+    if (!this._iterating) return;
+    const item = { type, service, previous };
+    const resolve = this._waiters.shift();
+    if (resolve) resolve({ value: item, done: false });
+    else this._queue.push(item);
+  }
+}
+
+/**
+ * Watch for service announcements matching criteria.
+ *
+ * Accepts the same relay-side and client-side filters as findServices()
+ * (capabilities, pubkeys, hashtags, status, maxPrice, per, workload, rates), and quarantines
+ * malformed announcements the same way (strict, onQuarantine).
+ * Services carry seenOn / firstSeenAt as in findServices; seenOn grows as
+ * other relays deliver the same event.
+ * When watching pubkeys, their NIP-65 write relays are subscribed to as well
+ * (opts.outbox: false to stop that); watcher.relays lists the relays in use.
+ *
+ * @param {object} opts - Query options, plus relays, timeoutMs and pool
+ * @returns {ServiceWatcher}
+ */
+function watchServices(opts = {}) {
+  const { status = 'active' } = opts;
+  return new ServiceWatcher({ ...opts, status }).start();
+}
+
+module.exports = { watchServices, ServiceWatcher };
@@ -1,7 +1,40 @@
 #!/usr/bin/env node
 'use strict';
 
-const { parseServiceEvent, buildServiceTags, calculateTrustScore, SERVICE_KIND } = require('./lib');
+const {
+  parseServiceEvent,
+  buildServiceTags,
+  calculateTrustScore,
+  groupAttestationsByTarget,
+  applyRevocations,
+  buildAttestationTags,
+  validateManifest,
+  validateService,
+  validateServiceEvent,
+  staticRates,
+  normalizePrice,
+  estimateCost,
+  rankServices,
+  planSync,
+  RelayHealth,
+  parseRelayList,
+  parseBunkerUri,
+  decodeSecretKey,
+  encryptSecretKey,
+  decryptSecretKey,
+  describeKey,
+  decodePubkey,
+  serviceNaddr,
+  decodeServiceAddress,
+  parseHandlerEvent,
+  mergeHandlers,
+  SERVICE_KIND
+} = require('./lib');
+const { buildServiceFilter } = require('./lib/query');
+const { buildHandlerTags } = require('./lib/nip89');
+const { mergeRelays, buildRelayListTags } = require('./lib/outbox');
+const { buildMessageTags, parseMessage, giftWrap } = require('./lib/messages');
+const { nip19 } = require('nostr-tools');
 
 let passed = 0;
 let failed = 0;
@@ -210,6 +243,130 @@ const selfOnly = calculateTrustScore([{
 }], 'me');
 assert(selfOnly.score === 0, 'self-only → score 0');
 
+// ─── calculateTrustScore: disputes and revocations ───
+
+console.log('\n⚖️  calculateTrustScore (disputes)');
+
+const disputed = calculateTrustScore([
+  { id: 'd1', pubkey: 'happy', tags: [['l', 'service-quality', 'ai.wot']], created_at: 1706832000 },
+  { id: 'd2', pubkey: 'burned', tags: [['l', 'work-completed', 'ai.wot']], created_at: 1706800000 },
+  { id: 'd3', pubkey: 'burned', tags: [['l', 'non-delivery', 'ai.wot']], created_at: 1706900000 },
+  { id: 'd4', pubkey: 'annoyed', tags: [['l', 'spam', 'ai.wot']], created_at: 1706850000 }
+], targetPk);
+assert(disputed.positive === 27, `positive total (got ${disputed.positive})`);
+assert(disputed.negative === -30, `negative total (got ${disputed.negative})`);
+assert(disputed.score === -3, `net score can go negative (got ${disputed.score})`);
+assert(disputed.attesters === 3, 'attester with both opinions counted once');
+assert(disputed.disputes === 2, 'two disputing attesters');
+assert(disputed.lastDisputeAt === 1706900000, 'most recent dispute time');
+assert(trust.disputes === 0 && trust.negative === 0, 'no disputes → zero negative total');
+
+const revocable = [
+  { id: 'r1', pubkey: 'alice', tags: [['l', 'dispute', 'ai.wot']], created_at: 1706832000 },
+  { id: 'r2', pubkey: 'bob', tags: [['l', 'service-quality', 'ai.wot']], created_at: 1706832000 }
+];
+const kept = applyRevocations(revocable, [
+  { kind: 5, pubkey: 'alice', tags: [['e', 'r1']] },
+  { kind: 5, pubkey: 'mallory', tags: [['e', 'r2']] } // not the author — ignored
+]);
+assert(kept.length === 1 && kept[0].id === 'r2', 'author deletion revokes; foreign deletion ignored');
+
+// ─── calculateTrustScore: wot strategy ───
+
+console.log('\n⏳ calculateTrustScore (wot strategy)');
+
+const now = 1706832000;
+const day = 86400;
+const wotAttestations = [
+  { id: 'w1', pubkey: 'seed', tags: [['l', 'service-quality', 'ai.wot'], ['p', targetPk]], created_at: now },
+  { id: 'w2', pubkey: 'friend', tags: [['l', 'service-quality', 'ai.wot'], ['p', targetPk]], created_at: now - 90 * day },
+  { id: 'w3', pubkey: 'stranger', tags: [['l', 'service-quality', 'ai.wot'], ['p', targetPk]], created_at: now }
+];
+
+// Basic strategy is still the default
+assert(calculateTrustScore(wotAttestations, targetPk).score === 45, 'default strategy is basic (45)');
+assert(calculateTrustScore(wotAttestations, targetPk, { strategy: 'basic' }).score === 45, 'explicit basic strategy');
+
+// Decay only: w2 is one half-life old → 7.5 points
+const decayed = calculateTrustScore(wotAttestations, targetPk, { strategy: 'wot', now });
+assert(decayed.score === 38, `one half-life halves the weight (got ${decayed.score})`);
+assert(decayed.details.find(d => d.pubkey === 'friend').decay === 0.5, 'decay factor reported in details');
+
+// No decay
+const undecayed = calculateTrustScore(wotAttestations, targetPk, { strategy: 'wot', now, halfLifeDays: 0 });
+assert(undecayed.score === 45, 'halfLifeDays 0 disables decay');
+
+// Zap weighting: 99 sats → 1 + 0.5 * log10(100) = 2×
+const zapped = calculateTrustScore(wotAttestations, targetPk, {
+  strategy: 'wot', now, halfLifeDays: 0, zaps: new Map([['w1', 99]])
+});
+assert(zapped.score === 60, `zapped attestation counts double (got ${zapped.score})`);
+assert(zapped.details.find(d => d.pubkey === 'seed').zapSats === 99, 'zapped sats reported in details');
+
+// Hop dampening: seed at 0 hops, friend at 1, stranger unreachable
+const hopped = calculateTrustScore(wotAttestations, targetPk, {
+  strategy: 'wot', now, halfLifeDays: 0, distances: new Map([['seed', 0], ['friend', 1]])
+});
+assert(hopped.attesters === 2, 'unreachable attester ignored');
+assert(hopped.score === 23, `1-hop attester dampened by half (got ${hopped.score})`);
+assert(hopped.details.find(d => d.pubkey === 'friend').hops === 1, 'hop depth reported in details');
+
+// Perspective with the basic strategy: reachable attesters only, undampened
+const fromPerspective = calculateTrustScore(wotAttestations, targetPk, {
+  distances: new Map([['me', 0], ['friend', 2]])
+});
+assert(fromPerspective.attesters === 1, 'perspective: only reachable attesters count');
+assert(fromPerspective.score === 15, 'perspective: basic strategy does not dampen');
+assert(fromPerspective.details[0].hops === 2, 'perspective: path depth reported');
+
+// Custom strategy
+const custom = calculateTrustScore(wotAttestations, targetPk, {
+  strategy: (atts) => ({ score: atts.length, attesters: atts.length, details: [] })
+});
+assert(custom.score === 3, 'custom strategy function');
+
+let unknownThrew = false;
+try { calculateTrustScore([], targetPk, { strategy: 'nope' }); } catch (e) { unknownThrew = true; }
+assert(unknownThrew, 'unknown strategy name throws');
+
+// ─── buildAttestationTags ───
+
+console.log('\n✍️  buildAttestationTags');
+
+const attTags = buildAttestationTags('pk_target', { type: 'service-quality', serviceId: 'translation' });
+assert(attTags.some(t => t[0] === 'L' && t[1] === 'ai.wot'), 'L namespace tag');
+assert(attTags.some(t => t[0] === 'l' && t[1] === 'service-quality' && t[2] === 'ai.wot'), 'l label tag');
+assert(attTags.some(t => t[0] === 'p' && t[1] === 'pk_target'), 'p tag for target');
+assert(attTags.some(t => t[0] === 'a' && t[1] === '38990:pk_target:translation'), 'a tag references the service');
+assert(!buildAttestationTags('pk_target', {}).some(t => t[0] === 'a'), 'no a tag without serviceId');
+assert(buildAttestationTags('pk_target').some(t => t[0] === 'l' && t[1] === 'general-trust'), 'default type general-trust');
+
+let badTypeThrew = false;
+try { buildAttestationTags('pk_target', { type: 'servce-quality' }); } catch (e) { badTypeThrew = true; }
+assert(badTypeThrew, 'unknown attestation type throws');
+
+// Round-trip: built tags score as the intended type
+const attRt = calculateTrustScore([{ id: 'x', pubkey: 'attester', tags: attTags, created_at: 1706832000 }], 'pk_target');
+assert(attRt.score === 15, 'built attestation scores as service-quality');
+
+// ─── groupAttestationsByTarget ───
+
+console.log('\n🧺 groupAttestationsByTarget');
+
+const batchEvents = [
+  { id: 'e1', pubkey: 'a1', tags: [['p', 'pk_a']], created_at: 1706832000 },
+  { id: 'e2', pubkey: 'a2', tags: [['p', 'pk_b']], created_at: 1706832000 },
+  { id: 'e3', pubkey: 'a3', tags: [['p', 'pk_a'], ['p', 'pk_b'], ['p', 'pk_a']], created_at: 1706832000 },
+  { id: 'e1', pubkey: 'a1', tags: [['p', 'pk_a']], created_at: 1706832000 }, // duplicate from another chunk
+  { id: 'e4', pubkey: 'a4', tags: [['p', 'pk_other']], created_at: 1706832000 }
+];
+
+const grouped = groupAttestationsByTarget(batchEvents, ['pk_a', 'pk_b', 'pk_c']);
+assert(grouped.get('pk_a').map(e => e.id).join() === 'e1,e3', 'pk_a gets its own + shared event once');
+assert(grouped.get('pk_b').map(e => e.id).join() === 'e2,e3', 'pk_b gets its own + shared event');
+assert(grouped.get('pk_c').length === 0, 'unattested target gets empty list');
+assert(!grouped.has('pk_other'), 'non-requested targets ignored');
+
 // ─── Round-trip: build → parse ───
 
 console.log('\n🔄 Round-trip: buildServiceTags → parseServiceEvent');
@@ -254,13 +411,1344 @@ console.log('\n📐 Constants');
 
 assert(SERVICE_KIND === 38990, 'SERVICE_KIND is 38990');
 
-// ─── Summary ───
+// ─── Manifests ───
+
+console.log('\n📄 validateManifest / planSync');
+
+const manifest = validateManifest({
+  defaults: { lnAddress: 'me@getalby.com', hashtags: ['ai'] },
+  services: [
+    { id: 'translate', capabilities: ['translation'], price: { amount: 2, currency: 'usd', per: 'request' } },
+    { id: 'summarize', capabilities: ['summarization'], lnAddress: 'other@getalby.com' }
+  ]
+});
+assert(manifest.valid && manifest.services.length === 2, 'valid multi-service manifest');
+assert(manifest.services[0].lnAddress === 'me@getalby.com', 'defaults merged into services');
+assert(manifest.services[1].lnAddress === 'other@getalby.com', 'service fields override defaults');
+
+const badManifest = validateManifest([
+  { id: 'a', price: { amount: 'abc' }, capabilties: ['typo'] },
+  { id: 'a', status: 'paused' },
+  { name: 'no id' }
+]);
+const badPaths = badManifest.errors.map(e => e.path);
+assert(!badManifest.valid, 'invalid manifest rejected');
+assert(badPaths.includes('services[0].price.amount'), 'non-numeric price reported');
+assert(badPaths.includes('services[0].capabilties'), 'unknown field reported');
+assert(badPaths.includes('services[1].id') && badPaths.includes('services[1].status'), 'duplicate id and bad status reported');
+assert(badPaths.includes('services[2].id'), 'missing id reported');
+assert(validateManifest({ id: 'single' }).valid, 'single service object accepted');
+
+const currentSvc = parseServiceEvent({
+  kind: SERVICE_KIND, id: 'cur1', pubkey: 'pk', created_at: 1706832000, content: 'Same.',
+  tags: buildServiceTags({ id: 'same', capabilities: ['x'] }).reverse()
+});
+const staleSvc = parseServiceEvent({
+  kind: SERVICE_KIND, id: 'cur2', pubkey: 'pk', created_at: 1706832000, content: '',
+  tags: buildServiceTags({ id: 'changed', capabilities: ['old'] })
+});
+const goneSvc = parseServiceEvent({
+  kind: SERVICE_KIND, id: 'cur3', pubkey: 'pk', created_at: 1706832000, content: '',
+  tags: buildServiceTags({ id: 'gone' })
+});
+const plan = planSync([
+  { id: 'same', capabilities: ['x'], description: 'Same.' },
+  { id: 'changed', capabilities: ['new'] },
+  { id: 'fresh' }
+], [currentSvc, staleSvc, goneSvc]);
+assert(plan.unchanged.map(s => s.id).join() === 'same', 'identical listing (any tag order) unchanged');
+assert(plan.publish.map(s => s.id).join() === 'changed,fresh', 'changed and new services published');
+assert(plan.deactivate.map(s => s.id).join() === 'gone', 'services missing from manifest deactivated');
+
+// ─── Validation ───
+
+console.log('\n🔎 validateService / validateServiceEvent');
+
+const goodSvc = validateService({
+  id: 'ok', capabilities: ['text-generation'], price: { amount: 10, currency: 'sats', per: 'request' }, lnAddress: 'me@getalby.com'
+});
+assert(goodSvc.valid && goodSvc.errors.length === 0 && goodSvc.warnings.length === 0, 'valid service: no errors or warnings');
+
+const badSvc = validateService({ id: 'bad', capabilities: ['Text Gen'], price: { amount: 'abc' }, lnAddress: 'not-an-address' });
+const badFields = badSvc.errors.map(e => e.field);
+assert(!badSvc.valid && badFields.includes('price.amount') && badFields.includes('lnAddress'), 'bad price and lightning address are errors');
+assert(badSvc.warnings.some(w => w.field === 'capabilities[0]'), 'non-conventional capability is a warning');
+assert(!validateService({ capabilities: ['x'] }).valid, 'missing id is an error');
+
+const eventTags = buildServiceTags({ id: 'ev', capabilities: ['translation'], price: { amount: 5, currency: 'sats', per: 'word' } });
+assert(validateServiceEvent({ kind: SERVICE_KIND, tags: eventTags, content: '' }).valid, 'well-formed event passes');
+const badEvent = validateServiceEvent({
+  kind: SERVICE_KIND, content: '', tags: [['c', 'x'], ['price', 'abc', 'sats'], ['ln', 'nope'], ['k', 'five']]
+});
+const badEventFields = badEvent.errors.map(e => e.field);
+assert(['d', 'price', 'ln', 'k'].every(f => badEventFields.includes(f)), 'missing d, bad price, ln and k reported');
+assert(validateServiceEvent({ kind: 1, tags: eventTags, content: '' }).errors[0].field === 'kind', 'wrong kind rejected');
+
+// ─── Pricing ───
+
+console.log('\n💱 Pricing (tiers, currencies, normalization)');
+
+const tieredTags = buildServiceTags({
+  id: 'tiered',
+  price: [
+    { amount: 5, currency: 'sats', per: 'word' },
+    { amount: 0.02, currency: 'usd', per: 'request', tier: 'basic' },
+    { amount: 15000, currency: 'msats', per: 'request', tier: 'pro' }
+  ]
+});
+assert(tieredTags.filter(t => t[0] === 'price').length === 3, 'one price tag per tier');
+const tiered = parseServiceEvent({ kind: SERVICE_KIND, id: 't1', pubkey: 'pk', created_at: 1706832000, content: '', tags: tieredTags });
+assert(tiered.prices.length === 3 && tiered.price.per === 'word', 'all prices parsed, first is headline price');
+assert(tiered.prices[1].amount === 0.02 && tiered.prices[1].tier === 'basic', 'decimal amount and tier preserved');
+assert(validateServiceEvent({ kind: SERVICE_KIND, content: '', tags: tieredTags }).valid, 'tiered listing validates');
+
+assert(normalizePrice({ amount: 1, currency: 'usd', per: 'request' }) === 1000, 'usd converted with static rates');
+assert(normalizePrice({ amount: 1, currency: 'usd', per: 'request' }, { rates: { usd: 950 } }) === 950, 'rate table overrides static rates');
+assert(normalizePrice({ amount: 21000, currency: 'msats', per: 'request' }) === 21, 'msats converted to sats');
+assert(normalizePrice({ amount: 1, currency: 'doge', per: 'request' }) === null, 'unknown currency is not comparable');
+assert(normalizePrice({ amount: 2, currency: 'sats', per: 'word' }) === null, 'per-word price not comparable to a request');
+assert(normalizePrice({ amount: 2, currency: 'sats', per: 'word' }, { workload: { words: 500 } }) === 1000, 'per-word price × workload');
+assert(staticRates({ USD: 900 }).getRate('usd') === 900, 'rate overrides are case-insensitive');
+
+const cheapest = estimateCost(tiered);
+assert(cheapest.sats === 15 && cheapest.price.tier === 'pro', 'cheapest comparable tier wins');
+assert(estimateCost(tiered, { per: 'word' }).sats === 5, 'per filter compares one unit');
+assert(estimateCost(tiered, { workload: { words: 1 } }).sats === 5, 'workload makes per-word price comparable');
+
+// ─── Ranking ───
+
+console.log('\n🏆 rankServices');
+
+const candidates = () => [
+  { id: 'trusted', eventId: 'e1', createdAt: 100, trustScore: 30, cost: { sats: 100 } },
+  { id: 'cheap', eventId: 'e2', createdAt: 200, trustScore: 10, cost: { sats: 10 } },
+  { id: 'fresh', eventId: 'e3', createdAt: 300, trustScore: 0, cost: null }
+];
+const ids = (list) => list.map(s => s.id).join();
+
+assert(ids(rankServices(candidates(), 'price')) === 'cheap,trusted,fresh', 'price: cheapest first, unpriced last');
+assert(ids(rankServices(candidates(), 'trust')) === 'trusted,cheap,fresh', 'trust: highest score first');
+assert(ids(rankServices(candidates(), 'recency')) === 'fresh,cheap,trusted', 'recency: newest first');
+const coverageSeen = new Map([['e1', ['r1']], ['e2', ['r1', 'r2', 'r3']], ['e3', ['r1', 'r2']]]);
+assert(ids(rankServices(candidates(), 'relay-coverage', { seen: coverageSeen })) === 'cheap,fresh,trusted', 'relay-coverage: most relays first');
 
-console.log(`\n${'─'.repeat(40)}`);
-console.log(`Results: ${passed} passed, ${failed} failed`);
+const blended = rankServices(candidates(), { trust: 0.6, price: 0.3, freshness: 0.1 });
+const top = blended[0].ranking;
+assert(blended[0].id === 'trusted' && top.sort === 'composite', 'composite: weighted blend decides order');
+assert(top.breakdown.trust.value === 30 && top.breakdown.trust.normalized === 1, 'breakdown exposes raw and normalized values');
+assert(Math.abs(top.score - 0.6) < 1e-9, 'score is the sum of contributions');
+assert(Math.abs(blended.find(s => s.id === 'cheap').ranking.breakdown.price.contribution - 0.3) < 1e-9, 'cheapest gets the full price weight');
 
-if (failed > 0) {
-  process.exit(1);
-} else {
-  console.log('All tests passed! ✅\n');
+const partlyPriced = rankServices([
+  { id: 'priced', eventId: 'e4', createdAt: 200, trustScore: 10, cost: { sats: 50 } },
+  { id: 'unpriced', eventId: 'e5', createdAt: 100, trustScore: 30, cost: null }
+], { trust: 0.5, price: 0.5 });
+const unpriced = partlyPriced.find(s => s.id === 'unpriced').ranking;
+assert(unpriced.breakdown.price.normalized === null && unpriced.breakdown.price.contribution === 0, 'unknown price is left out, not scored as the most expensive');
+assert(unpriced.score === 1 && partlyPriced[1].ranking.score === 0.5, 'unpriced service ranked on its known components');
+assert(ids(partlyPriced) === 'unpriced,priced', 'unpriced service with better trust ranks first');
+
+let badSort = null;
+try { rankServices(candidates(), 'popularity'); } catch (e) { badSort = e; }
+assert(badSort && /Unknown sort/.test(badSort.message), 'unknown sort rejected');
+
+// ─── Relay health ───
+
+console.log('\n🩺 RelayHealth');
+
+const health = new RelayHealth({ failureThreshold: 2 });
+health.record('wss://fast', { ok: true, latencyMs: 50, events: 10 });
+health.record('wss://fast', { ok: true, latencyMs: 70, events: 5 });
+health.record('wss://slow', { ok: true, latencyMs: 2000, events: 1 });
+health.record('wss://dead', { ok: false, latencyMs: 5, error: 'connection refused' });
+assert(!health.isFailing('wss://dead'), 'one failure is below the threshold');
+health.record('wss://dead', { ok: false, latencyMs: 5, error: 'connection refused' });
+assert(health.isFailing('wss://dead'), 'consecutive failures mark a relay failing');
+
+const [fastStats] = health.report(['wss://fast']);
+assert(fastStats.successRate === 1 && fastStats.events === 15 && fastStats.avgLatencyMs === 56, 'report: success rate, events, smoothed latency');
+assert(health.report(['wss://dead'])[0].lastError === 'connection refused', 'report: last error');
+assert(health.select(['wss://slow', 'wss://dead', 'wss://fast']).join() === 'wss://fast,wss://slow', 'select skips failing relays, best first');
+assert(health.select(['wss://slow', 'wss://new', 'wss://fast'], 2).join() === 'wss://fast,wss://new', 'select caps at N and explores untried relays');
+assert(health.select(['wss://dead']).join() === 'wss://dead', 'select never returns an empty list');
+health.record('wss://dead', { ok: true, latencyMs: 5 });
+assert(!health.isFailing('wss://dead'), 'a success clears the failing state');
+
+// ─── Relay lists (NIP-65) ───
+
+console.log('\n📮 Relay lists');
+
+const relayList = parseRelayList({
+  pubkey: 'pk',
+  created_at: 1700000000,
+  tags: [
+    ['r', 'wss://both.example/'],
+    ['r', 'wss://Read.Example', 'read'],
+    ['r', 'wss://write.example', 'write'],
+    ['r', 'https://not-a-relay.example'],
+    ['p', 'wss://ignored.example']
+  ]
+});
+assert(relayList.read.join() === 'wss://both.example,wss://read.example', 'parseRelayList: unmarked and read relays, normalized');
+assert(relayList.write.join() === 'wss://both.example,wss://write.example', 'parseRelayList: unmarked and write relays, non-ws dropped');
+assert(JSON.stringify(buildRelayListTags({ read: ['wss://a.example', 'wss://b.example/'], write: ['wss://b.example', 'wss://c.example'] })) ===
+  JSON.stringify([['r', 'wss://a.example', 'read'], ['r', 'wss://b.example'], ['r', 'wss://c.example', 'write']]), 'buildRelayListTags: markers only where needed');
+assert(mergeRelays(['wss://a.example'], ['wss://A.example/', 'wss://b.example', 'nope']).join() === 'wss://a.example,wss://b.example', 'mergeRelays dedups equivalent URLs');
+
+// ─── Signers ───
+
+console.log('\n🔏 Signers');
+
+const bunkerPk = 'a'.repeat(64);
+const bunker = parseBunkerUri(`bunker://${bunkerPk}?relay=wss%3A%2F%2Fone.example&relay=wss://two.example&secret=s3cret`);
+assert(bunker.pubkey === bunkerPk && bunker.relays.join() === 'wss://one.example,wss://two.example', 'parseBunkerUri: pubkey and every relay');
+assert(bunker.secret === 's3cret' && parseBunkerUri(`bunker://${bunkerPk}?relay=wss://one.example`).secret === null, 'parseBunkerUri: optional secret');
+const bunkerErrors = [`nostrconnect://${bunkerPk}?relay=wss://one.example`, `bunker://${bunkerPk}`, 'bunker://npub1xyz?relay=wss://one.example'].map((uri) => {
+  try {
+    parseBunkerUri(uri);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+});
+assert(bunkerErrors.every(Boolean), 'parseBunkerUri rejects other schemes, missing relays and non-hex pubkeys');
+
+// ─── Keys ───
+
+console.log('\n🔑 Keys');
+
+const keyHex = '3501454135014541350145413501453fefb02227e449e57cf4d3a3ce05378683';
+const keyNsec = 'nsec1x5q52sf4q9z5zdgpg4qn2q298lhmqg38u3y72l856w3uupfhs6ps7q0j4y';
+assert(Buffer.from(decodeSecretKey(keyNsec)).toString('hex') === keyHex && decodeSecretKey(keyHex).length === 32, 'decodeSecretKey: nsec and hex');
+const keyErr = (input) => {
+  try {
+    decodeSecretKey(input);
+    return null;
+  } catch (e) {
+    return e;
+  }
+};
+assert(keyErr('abc') && keyErr('nsec1qqqq') && keyErr('ncryptsec1qqqq').code === 'ENCRYPTED_KEY', 'decodeSecretKey rejects short hex, bad nsec and (encrypted) ncryptsec');
+const ncryptsec = encryptSecretKey(keyNsec, 'correct horse', { logn: 4 });
+assert(/^ncryptsec1/.test(ncryptsec) && Buffer.from(decryptSecretKey(ncryptsec, 'correct horse')).toString('hex') === keyHex, 'NIP-49 encrypt/decrypt round trip');
+let wrongPassword = null;
+try {
+  decryptSecretKey(ncryptsec, 'battery staple');
+} catch (e) {
+  wrongPassword = e;
+}
+assert(wrongPassword && wrongPassword.code === 'BAD_PASSWORD', 'wrong password: err.code BAD_PASSWORD');
+assert(describeKey(keyHex).npub === describeKey(keyNsec).npub && /^npub1/.test(describeKey(keyHex).npub), 'describeKey: pubkey and npub');
+
+// ─── NIP-19 identifiers ───
+
+console.log('\n🔗 NIP-19 identifiers');
+
+const idPk = describeKey(keyHex).pubkey;
+const idNpub = describeKey(keyHex).npub;
+const idNprofile = nip19.nprofileEncode({ pubkey: idPk, relays: ['wss://relay.example'] });
+assert(decodePubkey(idNpub) === idPk && decodePubkey(idNprofile) === idPk && decodePubkey(idPk.toUpperCase()) === idPk, 'decodePubkey: npub, nprofile and hex');
+let badPubkey = null;
+try {
+  decodePubkey(nip19.noteEncode(idPk));
+} catch (e) {
+  badPubkey = e;
+}
+assert(badPubkey && /Invalid pubkey/.test(badPubkey.message), 'decodePubkey rejects other NIP-19 entities');
+
+const idNaddr = serviceNaddr(idPk, 'translate', ['wss://a.example', 'wss://b.example', 'wss://c.example', 'wss://d.example']);
+const idAddress = decodeServiceAddress(idNaddr);
+assert(idAddress.pubkey === idPk && idAddress.id === 'translate' && idAddress.relays.length === 3, 'serviceNaddr round trip, at most 3 relay hints');
+const otherKind = nip19.naddrEncode({ kind: 30023, pubkey: idPk, identifier: 'x', relays: [] });
+let wrongKind = null;
+try {
+  decodeServiceAddress(otherKind);
+} catch (e) {
+  wrongKind = e;
 }
+assert(wrongKind && /kind 30023/.test(wrongKind.message), 'decodeServiceAddress rejects naddrs of other kinds');
+const addressed = parseServiceEvent({ ...minEvent, pubkey: idPk });
+assert(decodeServiceAddress(addressed.naddr).id === 'bare' && minSvc.naddr === null, 'parsed services carry an naddr (null without a hex pubkey)');
+
+// ─── NIP-89 handlers ───
+
+console.log('\n🤝 NIP-89 handlers');
+
+const handlerEvent = {
+  kind: 31990,
+  id: 'h1',
+  pubkey: idPk,
+  created_at: 1706832000,
+  content: JSON.stringify({ name: 'Llama DVM', about: 'Text generation', lud16: 'llama@example.com', picture: 'https://example.com/p.png' }),
+  tags: [['d', 'llama'], ['k', '5050'], ['k', '1'], ['t', 'llm']],
+  sig: 'sig'
+};
+const handler = parseHandlerEvent(handlerEvent);
+assert(handler.source === 'nip89' && handler.id === 'llama' && handler.name === 'Llama DVM' && handler.lnAddress === 'llama@example.com', 'parseHandlerEvent: d tag and kind 0-style metadata');
+assert(handler.dvmKinds.join() === '5050' && handler.hashtags.join() === 'llm' && handler.status === 'active', 'parseHandlerEvent: only NIP-90 job kinds become dvmKinds');
+assert(nip19.decode(handler.naddr).data.kind === 31990, 'handler naddr points to the kind 31990 event');
+assert(parseHandlerEvent({ ...handlerEvent, tags: [['d', 'client'], ['k', '1']] }) === null &&
+  parseHandlerEvent({ ...handlerEvent, content: 'not json', tags: [['d', 'x'], ['k', '5100']] }).name === null, 'non-DVM handlers are skipped; bad content is tolerated');
+
+const listing = { ...parseServiceEvent({ ...minEvent, pubkey: idPk, tags: [['d', 'llama']] }), name: null };
+const merged = mergeHandlers([listing], [handler, { ...handler, pubkey: 'b'.repeat(64), id: 'other' }]);
+assert(merged.length === 2 && merged[0].nip89.eventId === 'h1' && merged[0].name === 'Llama DVM' && merged[0].dvmKinds.join() === '5050', 'mergeHandlers: same pubkey and d tag merge, filling gaps and kinds');
+const sameKind = { ...parseServiceEvent({ ...minEvent, pubkey: idPk, tags: [['d', 'other-llm'], ['k', '5050']] }) };
+assert(mergeHandlers([sameKind], [handler]).length === 2 && !sameKind.nip89, 'mergeHandlers: a shared kind alone does not merge');
+const pointing = parseServiceEvent({ ...minEvent, pubkey: idPk, tags: [['d', 'llm-api'], ['a', `31990:${idPk}:llama`]] });
+assert(mergeHandlers([pointing], [handler]).length === 1 && pointing.nip89.eventId === 'h1', 'mergeHandlers: a listing referencing the handler merges');
+const stale = { ...handler, eventId: 'h0', createdAt: handler.createdAt - 10, dvmKinds: ['5050', '5051'] };
+const narrowed = parseServiceEvent({ ...minEvent, pubkey: idPk, tags: [['d', 'llama']] });
+mergeHandlers([narrowed], [stale, handler]);
+assert(narrowed.dvmKinds.join() === '5050' && narrowed.nip89.eventId === 'h1', 'mergeHandlers: kinds dropped by the newest handler version no longer match');
+const both = parseServiceEvent({ ...minEvent, pubkey: idPk, tags: [['d', 'llama'], ['a', `31990:${idPk}:llama-img`]] });
+mergeHandlers([both], [handler, { ...handler, eventId: 'h2', id: 'llama-img', dvmKinds: ['5100'] }]);
+assert(both.dvmKinds.sort().join() === '5050,5100', 'mergeHandlers: kinds of different handlers add up');
+assert(merged[1].source === 'nip89' && merged[1].nip89.metadata.picture === 'https://example.com/p.png', 'mergeHandlers: other handlers stand alone');
+assert(mergeHandlers([], [handler], { standalone: false }).length === 0, 'mergeHandlers: standalone false drops unmerged handlers');
+assert(JSON.stringify(buildServiceFilter({ dvmKinds: [5050] })['#k']) === '["5050"]', 'dvmKinds filter relay-side on #k');
+let noKinds = null;
+try {
+  buildHandlerTags({ id: 'x', dvmKinds: [] });
+} catch (e) {
+  noKinds = e;
+}
+assert(noKinds && /dvmKinds/.test(noKinds.message), 'NIP-89 announcement needs DVM kinds');
+
+// ─── Private messages ───
+
+console.log('\n✉️  Private messages');
+
+const threadTags = buildMessageTags('b'.repeat(64), { service: { pubkey: idPk, id: 'text:gen' }, subject: 'Job 7', replyTo: 'e1' });
+assert(JSON.stringify(threadTags) === JSON.stringify([['p', 'b'.repeat(64)], ['a', `38990:${idPk}:text:gen`], ['subject', 'Job 7'], ['e', 'e1', '', 'reply']]), 'buildMessageTags: recipient, service thread, subject, reply');
+const parsedMessage = parseMessage({ id: 'm1', pubkey: idPk, created_at: 1706832000, kind: 14, tags: threadTags, content: '{"task":"ocr"}' });
+assert(parsedMessage.service.id === 'text:gen' && parsedMessage.service.pubkey === idPk && parsedMessage.subject === 'Job 7' && parsedMessage.replyTo === 'e1', 'parseMessage: thread, subject and reply');
+assert(parsedMessage.payload.task === 'ocr' && parseMessage({ id: 'm2', pubkey: idPk, created_at: 1, kind: 14, tags: [], content: '{oops' }).payload === '{oops', 'parseMessage: JSON payloads parsed, anything else kept as text');
+
+// ─── End-to-end against a local relay ───
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { generateSecretKey, getPublicKey, finalizeEvent, getEventHash } = require('nostr-tools');
+const { createDirectory, createRateProvider, RelayPool, DiscoveryCache, publishService, publishAttestation, fetchAttestations, fetchZapTotals, fetchZapperPubkeys, fetchHopDistances, BunkerSigner, localSigner } = require('./lib');
+const { makeZapRequest, makeZapReceipt } = require('nostr-tools/nip57');
+const { publishToRelays } = require('./lib/relay');
+const { LocalRelay, LocalBunker, LocalDvm } = require('./testing');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Keep CLI cache writes out of the real ~/.cache
+const cliCacheHome = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-discovery-cache-'));
+
+function runCli(cliArgs, env = {}, stdin) {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [require.resolve('./bin/agent-discovery.js'), ...cliArgs], {
+      env: { ...process.env, NOSTR_SECRET_KEY: '', NOSTR_KEYS_FILE: '/nonexistent', XDG_CACHE_HOME: cliCacheHome, ...env },
+      timeout: 15000
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+    if (stdin !== undefined) child.stdin.end(stdin);
+  });
+}
+
+async function e2e() {
+  console.log('\n🌐 End-to-end (LocalRelay)');
+
+  const relay = new LocalRelay();
+  const url = await relay.start();
+  const dir = createDirectory({ relays: [url], timeoutMs: 3000 });
+
+  const providerSk = generateSecretKey();
+  const providerPk = getPublicKey(providerSk);
+  const clientSk = generateSecretKey();
+  const clientPk = getPublicKey(clientSk);
+
+  try {
+    // Publish + find
+    const pub = await dir.publish({
+      id: 'translate',
+      name: 'Translator',
+      capabilities: ['translation'],
+      price: { amount: 21, currency: 'sats', per: 'request' }
+    }, providerSk);
+    assert(pub.successes === 1 && pub.failures.length === 0, 'publish accepted by relay');
+    await dir.publish({ id: 'summarize', capabilities: ['summarization'] }, providerSk);
+
+    const found = await dir.find({ capabilities: ['translation'] });
+    assert(found.length === 1 && found[0].id === 'translate', 'find filters by #c relay-side');
+
+    // Replaceable: a newer version replaces the old one on the relay
+    await sleep(1100);
+    await dir.publish({ id: 'translate', name: 'Translator v2', capabilities: ['translation'] }, providerSk);
+    assert(relay.query({ kinds: [SERVICE_KIND], authors: [providerPk], '#d': ['translate'] }).length === 1,
+      'relay replaces parameterized replaceable events');
+    const svcGet = await dir.get(providerPk, 'translate');
+    assert(svcGet && svcGet.name === 'Translator v2', 'get returns latest version');
+
+    // Trust via attest → find
+    const att = await dir.attest(providerPk, { type: 'service-quality', serviceId: 'translate' }, clientSk);
+    assert(att.successes === 1, 'attestation published');
+    const trusted = await dir.find({ capabilities: ['translation'], minTrust: 10 });
+    assert(trusted.length === 1 && trusted[0].trustScore === 15, 'attestation counted by find --mintrust');
+    assert(trusted[0].trust.details[0].pubkey === clientPk, 'trust details name the attester');
+
+    // Revocation via NIP-09 deletion
+    const revokeSk = generateSecretKey();
+    const revoked = await dir.attest(providerPk, { type: 'dispute' }, revokeSk);
+    let disputedSvc = await dir.get(providerPk, 'translate');
+    assert(disputedSvc.trust.disputes === 1, 'dispute visible before revocation');
+    await dir.pool.publish(url, finalizeEvent({
+      kind: 5, created_at: Math.floor(Date.now() / 1000), tags: [['e', revoked.eventId]], content: ''
+    }, revokeSk));
+    disputedSvc = await dir.get(providerPk, 'translate');
+    assert(disputedSvc.trust.disputes === 0, 'revoked dispute no longer counted');
+
+    // One pooled connection for everything above
+    assert(relay.stats.connections === 1, `pool reused one connection (got ${relay.stats.connections})`);
+
+    // Zaps: only receipts signed by the attester's zap provider count
+    const zapperSk = generateSecretKey();
+    const lnurlAsked = [];
+    const lnurlFetch = async (lnurl) => {
+      lnurlAsked.push(lnurl);
+      return { json: async () => ({ allowsNostr: true, nostrPubkey: getPublicKey(zapperSk) }) };
+    };
+    await dir.pool.publish(url, finalizeEvent({
+      kind: 0, created_at: Math.floor(Date.now() / 1000), tags: [], content: JSON.stringify({ lud16: 'client@zaps.example' })
+    }, clientSk));
+    const attEvent = relay.query({ ids: [att.eventId] })[0];
+    const zapRequest = JSON.stringify(finalizeEvent(makeZapRequest({ event: attEvent, amount: 21000, relays: [url] }), generateSecretKey()));
+    const zapReceipt = (bolt11, signer) => finalizeEvent(makeZapReceipt({ zapRequest, bolt11, paidAt: new Date() }), signer);
+    await dir.pool.publish(url, zapReceipt('lnbc21u1' + 'p'.repeat(50), generateSecretKey()));
+    const unverifiedZaps = await fetchZapTotals([attEvent], [url], 3000, { pool: dir.pool, fetch: lnurlFetch });
+    assert(unverifiedZaps.size === 0 && lnurlAsked.length === 0, 'zap providers are only looked up with verifyZaps');
+    const forgedZaps = await fetchZapTotals([attEvent], [url], 3000, { pool: dir.pool, fetch: lnurlFetch, verifyZaps: true });
+    assert(forgedZaps.size === 0, 'zap receipt forged by a random key changes nothing');
+    assert(lnurlAsked.join() === 'https://zaps.example/.well-known/lnurlp/client', 'zap provider looked up from the lud16 lightning address');
+    await dir.pool.publish(url, zapReceipt('lnbc210n1' + 'p'.repeat(50), zapperSk));
+    await dir.pool.publish(url, zapReceipt('lnbc21u1' + 'q'.repeat(50), zapperSk));
+    const genuineZaps = await fetchZapTotals([attEvent], [url], 3000, { pool: dir.pool, fetch: lnurlFetch, verifyZaps: true });
+    assert(genuineZaps.get(att.eventId) === 21, `only the provider's receipt for the requested amount counts (got ${genuineZaps.get(att.eventId)})`);
+    const otherZappedSk = generateSecretKey();
+    await dir.pool.publish(url, finalizeEvent({
+      kind: 0, created_at: Math.floor(Date.now() / 1000), tags: [], content: JSON.stringify({ lud16: 'other@elsewhere.example' })
+    }, otherZappedSk));
+    lnurlAsked.length = 0;
+    const capped = await fetchZapperPubkeys([clientPk, getPublicKey(otherZappedSk)], [url], 3000, { pool: dir.pool, fetch: lnurlFetch, maxLookups: 1 });
+    assert(capped.size === 1 && lnurlAsked.length === 1, 'zap provider lookups are capped per query');
+
+    // Trust graph: only standing endorsements are edges
+    const rootSk = generateSecretKey();
+    const rootPk = getPublicKey(rootSk);
+    const [endorsedPk, disputedPk, revokedPk] = [1, 2, 3].map(() => getPublicKey(generateSecretKey()));
+    const hopOpts = { pool: dir.pool };
+    await publishAttestation(endorsedPk, { type: 'general-trust' }, rootSk, [url], 3000, hopOpts);
+    await publishAttestation(disputedPk, { type: 'dispute' }, rootSk, [url], 3000, hopOpts);
+    const withdrawn = await publishAttestation(revokedPk, { type: 'general-trust' }, rootSk, [url], 3000, hopOpts);
+    await dir.pool.publish(url, finalizeEvent({
+      kind: 5, created_at: Math.floor(Date.now() / 1000), tags: [['e', withdrawn.eventId]], content: ''
+    }, rootSk));
+    const hops = await fetchHopDistances([rootPk], [url], 3000, hopOpts);
+    assert(hops.get(endorsedPk) === 1, 'endorsed pubkey is one hop from the seed');
+    assert(!hops.has(disputedPk), 'disputed pubkey is not reachable');
+    assert(!hops.has(revokedPk), 'revoked endorsement is not an edge');
+
+    // NIP-19: naddr with relay hints, npub / nprofile pubkeys
+    const hinted = decodeServiceAddress(svcGet.naddr);
+    assert(hinted.pubkey === providerPk && hinted.id === 'translate' && hinted.relays.join() === url, 'get: naddr names the relay it was seen on');
+    const elsewhere = createDirectory({ relays: ['ws://127.0.0.1:1'], timeoutMs: 1000, health: false });
+    try {
+      const viaNaddr = await elsewhere.get(svcGet.naddr, { includeTrust: false });
+      assert(viaNaddr && viaNaddr.eventId === svcGet.eventId, 'get(naddr) asks the relay hints');
+    } finally {
+      elsewhere.close();
+    }
+    const providerNpub = nip19.npubEncode(providerPk);
+    assert((await dir.get(providerNpub, 'translate')).eventId === svcGet.eventId, 'get accepts an npub');
+    const byNprofile = await dir.find({ pubkeys: [nip19.nprofileEncode({ pubkey: providerPk })] });
+    assert(byNprofile.length > 0 && byNprofile.every(s => s.pubkey === providerPk), 'find pubkeys accepts an nprofile');
+    const cliNaddr = await runCli(['get', svcGet.naddr, '--json', '--relays', url, '--timeout', '3000']);
+    assert(cliNaddr.code === 0 && JSON.parse(cliNaddr.stdout).naddr === svcGet.naddr, 'CLI get <naddr>');
+    const cliNpub = await runCli(['get', providerNpub, 'translate', '--json', '--relays', url, '--timeout', '3000']);
+    assert(cliNpub.code === 0 && JSON.parse(cliNpub.stdout).pubkey === providerPk, 'CLI get <npub> <id>');
+    const cliNoTrust = await runCli(['get', svcGet.naddr, '--no-trust', '--json', '--relays', url, '--timeout', '3000']);
+    assert(JSON.parse(cliNpub.stdout).trust && JSON.parse(cliNoTrust.stdout).trust === undefined, 'CLI get --no-trust skips trust');
+
+    // Bad signatures: rejected on publish, dropped when served
+    const forged = finalizeEvent({
+      kind: SERVICE_KIND, created_at: Math.floor(Date.now() / 1000),
+      tags: [['d', 'forged'], ['c', 'translation']], content: ''
+    }, generateSecretKey());
+    forged.content = 'tampered';
+    const rejected = await dir.pool.publish(url, forged).then(() => null, e => e);
+    assert(rejected && /invalid/.test(rejected.message), 'relay rejects bad signatures');
+    relay.injectEvent(forged, { verify: false });
+    const afterForge = await dir.find({ capabilities: ['translation'] });
+    assert(!afterForge.some(s => s.id === 'forged'), 'client drops served events with bad signatures');
+
+    // Watch: added, then removed when the provider goes inactive
+    const watcher = dir.watch({ capabilities: ['summarization'] });
+    await new Promise(resolve => watcher.once('ready', resolve));
+    assert(watcher.current.length === 1, 'watch snapshot has existing service');
+    const removedP = new Promise(resolve => watcher.once('removed', resolve));
+    await sleep(1100);
+    const plainRemoval = await dir.remove('summarize', providerSk);
+    const removedSvc = await removedP;
+    assert(!plainRemoval.nip89 && relay.query({ kinds: [31990], authors: [providerPk] }).length === 0, 'remove sends no NIP-89 handler unless asked');
+    assert(removedSvc.id === 'summarize' && removedSvc.status === 'inactive', 'watch emits removed on inactive');
+
+    // Watch survives a dropped connection
+    const addedP = new Promise(resolve => watcher.once('added', resolve));
+    relay.dropConnections();
+    await sleep(50);
+    const pub2 = await dir.publish({ id: 'summarize-2', capabilities: ['summarization'] }, providerSk);
+    assert(pub2.successes === 1, 'publish reconnects after dropped connection');
+    const addedSvc = await Promise.race([addedP, sleep(4000).then(() => null)]);
+    assert(addedSvc && addedSvc.id === 'summarize-2', 'watch resubscribes after reconnect');
+    watcher.close();
+
+    // Latency: queries still complete, just slower
+    relay.setLatency(100);
+    const slow = await dir.find({ capabilities: ['translation'] });
+    assert(slow.length === 1, 'find works with injected latency');
+    relay.setLatency(0);
+
+    // Dead relay: pool backs off and returns partial results
+    const pool = new RelayPool({ timeoutMs: 500 });
+    const dead = await pool.query('ws://127.0.0.1:1', { kinds: [SERVICE_KIND] });
+    assert(dead.length === 0 && pool.status()[0].failedAttempts === 1, 'unreachable relay yields [] and backs off');
+    pool.close();
+
+    // Validation: malformed listings are quarantined, invalid ones never signed
+    const rogueSk = generateSecretKey();
+    relay.injectEvent(finalizeEvent({
+      kind: SERVICE_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['d', 'rogue'], ['c', 'translation'], ['price', 'cheap', 'sats'], ['status', 'active']],
+      content: ''
+    }, rogueSk));
+    const quarantined = [];
+    const guarded = await dir.find({ capabilities: ['translation'], onQuarantine: (e, r) => quarantined.push(r) });
+    assert(guarded.every(s => s.id !== 'rogue'), 'find quarantines malformed listing');
+    assert(quarantined.length === 1 && quarantined[0].errors[0].field === 'price', 'onQuarantine receives validation errors');
+    const lax = await dir.find({ capabilities: ['translation'], strict: false });
+    assert(lax.some(s => s.id === 'rogue'), 'strict: false keeps malformed listings');
+
+    // A malformed replacement quarantines the listing instead of reviving the
+    // older version a second relay still holds
+    const flipRelay = new LocalRelay();
+    const flipUrl = await flipRelay.start();
+    const flipDir = createDirectory({ relays: [url, flipUrl], timeoutMs: 3000 });
+    try {
+      const flipSk = generateSecretKey();
+      const flipPk = getPublicKey(flipSk);
+      const flipListing = (tags, age) => finalizeEvent({ kind: SERVICE_KIND, created_at: Math.floor(Date.now() / 1000) + age, tags, content: '' }, flipSk);
+      flipRelay.injectEvent(flipListing([['d', 'flip'], ['c', 'flip-test']], 0));
+      relay.injectEvent(flipListing([['d', 'flip'], ['c', 'flip-test'], ['price', 'cheap', 'sats']], 1));
+      const flipQuarantined = [];
+      const flipFound = await flipDir.find({ capabilities: ['flip-test'], onQuarantine: (e, r) => flipQuarantined.push(r) });
+      assert(flipFound.length === 0 && flipQuarantined.length === 1, 'find quarantines a listing whose latest version is malformed');
+      assert(await flipDir.get(flipPk, 'flip') === null, 'get does not fall back to an older valid version');
+      const flipPage = await flipDir.paginate({ capabilities: ['flip-test'], pageSize: 5 }).next();
+      assert(flipPage.value.services.length === 0, 'paginate does not fall back to an older valid version');
+    } finally {
+      flipDir.close();
+      await flipRelay.stop();
+    }
+
+    let refused = null;
+    try {
+      await dir.publish({ id: 'bad-price', capabilities: ['x'], price: { amount: 'free' } }, providerSk);
+    } catch (e) {
+      refused = e;
+    }
+    assert(refused && refused.errors[0].field === 'price.amount', 'publish refuses to sign invalid service');
+
+    // Pricing: normalized across currencies and units
+    const priceSk = generateSecretKey();
+    const pricePk = getPublicKey(priceSk);
+    await dir.publish({ id: 'p-usd', capabilities: ['pricing-test'], price: { amount: 0.08, currency: 'usd' } }, priceSk);
+    await dir.publish({ id: 'p-sats', capabilities: ['pricing-test'], price: { amount: 45, currency: 'sats' } }, priceSk);
+    await dir.publish({ id: 'p-word', capabilities: ['pricing-test'], price: { amount: 100, currency: 'msats', per: 'word' } }, priceSk);
+    const budget = await dir.find({ capabilities: ['pricing-test'], maxPrice: 45 });
+    assert(budget.map(s => s.id).join() === 'p-sats', 'maxPrice compares normalized per-request cost');
+    const byWords = await dir.find({ capabilities: ['pricing-test'], maxPrice: 60, workload: { words: 500, requests: 1 } });
+    assert(byWords.map(s => s.id).join() === 'p-sats,p-word' && byWords[1].cost.sats === 50, 'workload estimate sorts by cost');
+    const perWord = await dir.find({ capabilities: ['pricing-test'], per: 'word' });
+    assert(perWord.length === 1 && perWord[0].pubkey === pricePk, 'per filter keeps unit-priced services');
+
+    let refreshed = 0;
+    const live = createRateProvider(async () => { refreshed++; return { usd: 500 }; }, { ttlMs: 60000 });
+    const liveFind = await dir.find({ capabilities: ['pricing-test'], maxPrice: 40, rates: live });
+    await dir.find({ capabilities: ['pricing-test'], rates: live, maxPrice: 40 });
+    assert(liveFind.map(s => s.id).join() === 'p-usd' && refreshed === 1, 'live rate provider refreshed once within ttl');
+
+    const cliWords = await runCli(['find', 'pricing-test', '--per', 'word', '--words', '500', '--json', '--relays', url, '--timeout', '3000']);
+    assert(JSON.parse(cliWords.stdout)[0].cost.sats === 50, 'CLI find --per word --words 500 estimates cost');
+
+    // Ranking: relay coverage needs a second relay
+    const mirror = new LocalRelay();
+    const mirrorUrl = await mirror.start();
+    try {
+      const rankSk = generateSecretKey();
+      const wide = finalizeEvent({
+        kind: SERVICE_KIND, created_at: Math.floor(Date.now() / 1000) - 60, content: '',
+        tags: buildServiceTags({ id: 'wide', capabilities: ['ranking-test'] })
+      }, rankSk);
+      const narrow = finalizeEvent({
+        kind: SERVICE_KIND, created_at: Math.floor(Date.now() / 1000), content: '',
+        tags: buildServiceTags({ id: 'narrow', capabilities: ['ranking-test'] })
+      }, rankSk);
+      relay.injectEvent(wide);
+      mirror.injectEvent(wide);
+      relay.injectEvent(narrow);
+
+      const rankDir = createDirectory({ relays: [url, mirrorUrl], timeoutMs: 3000 });
+      const byDate = await rankDir.find({ capabilities: ['ranking-test'] });
+      const byCoverage = await rankDir.find({ capabilities: ['ranking-test'], sort: 'relay-coverage' });
+      rankDir.close();
+      assert(byDate[0].id === 'narrow' && byCoverage[0].id === 'wide', 'sort: relay-coverage prefers widely replicated listings');
+      assert(byCoverage[0].ranking.breakdown.coverage.value === 2, 'coverage breakdown counts relays');
+    } finally {
+      await mirror.stop();
+    }
+
+    // Pagination: two relays holding interleaved slices of history
+    const pageRelay = new LocalRelay();
+    const pageUrl = await pageRelay.start();
+    const pageMirror = new LocalRelay();
+    const pageMirrorUrl = await pageMirror.start();
+    try {
+      const pageSk = generateSecretKey();
+      const base = Math.floor(Date.now() / 1000) - 1000;
+      for (let i = 0; i < 9; i++) {
+        const event = finalizeEvent({
+          kind: SERVICE_KIND, created_at: base + i * 10, content: '',
+          tags: buildServiceTags({ id: `page-${i}`, capabilities: ['paging-test'] })
+        }, pageSk);
+        // Relay A has every even listing plus page-7, relay B the odd ones
+        if (i % 2 === 0 || i === 7) pageRelay.injectEvent(event);
+        if (i % 2 === 1) pageMirror.injectEvent(event);
+      }
+
+      const pageDir = createDirectory({ relays: [pageUrl, pageMirrorUrl], timeoutMs: 3000 });
+      const pages = [];
+      for await (const page of pageDir.paginate({ capabilities: ['paging-test'], pageSize: 2 })) {
+        pages.push(page);
+      }
+      const order = pages.flatMap(p => p.services.map(s => s.id));
+      assert(order.join() === [8, 7, 6, 5, 4, 3, 2, 1, 0].map(i => `page-${i}`).join(), 'paginate merges relays in created_at order, no duplicates');
+      assert(pages.length > 1 && pages[pages.length - 1].cursor === null, 'paginate walks several pages and ends with a null cursor');
+
+      const resumeAt = pages[0].cursor;
+      const resumed = await pageDir.paginate({ capabilities: ['paging-test'], pageSize: 2, cursor: resumeAt }).next();
+      assert(resumed.value.services.every(s => s.createdAt <= resumeAt) && resumed.value.services.length > 0, 'cursor resumes from an earlier page');
+
+      const windowed = await pageDir.find({ capabilities: ['paging-test'], since: base + 20, until: base + 50 });
+      assert(windowed.map(s => s.id).sort().join() === 'page-2,page-3,page-4,page-5', 'since/until filter relay-side');
+      const limited = await pageDir.find({ capabilities: ['paging-test'], relayLimit: 1 });
+      assert(limited.map(s => s.id).sort().join() === 'page-7,page-8', 'relayLimit caps each relay');
+      pageDir.close();
+
+      const cliPage = await runCli(['find', 'paging-test', '--page-size', '3', '--json', '--relays', `${pageUrl},${pageMirrorUrl}`, '--timeout', '3000']);
+      const cliPageJson = JSON.parse(cliPage.stdout);
+      assert(cliPageJson.services[0].id === 'page-8' && typeof cliPageJson.cursor === 'number', 'CLI find --page-size prints services and cursor');
+    } finally {
+      await pageRelay.stop();
+      await pageMirror.stop();
+    }
+
+    const cliSorted = await runCli(['find', 'pricing-test', '--sort', 'price:0.7,trust:0.3', '--json', '--relays', url, '--timeout', '3000']);
+    const sortedJson = JSON.parse(cliSorted.stdout);
+    assert(sortedJson[0].ranking.sort === 'composite' && sortedJson[0].cost.sats === 45, 'CLI find --sort composite with breakdown');
+
+    // Cache: fresh entries skip relays, stale ones revalidate, offline needs no relay
+    const cacheFile = path.join(cliCacheHome, 'test-cache.json');
+    const cacheSk = generateSecretKey();
+    const cachedDir = createDirectory({ relays: [url], timeoutMs: 3000, cache: { file: cacheFile, ttl: { queries: 1000 } } });
+    await dir.publish({ id: 'cached-1', capabilities: ['cache-test'] }, cacheSk);
+    const firstFind = await cachedDir.find({ capabilities: ['cache-test'], includeTrust: true });
+    await dir.publish({ id: 'cached-2', capabilities: ['cache-test'] }, cacheSk);
+    const reqsBefore = relay.stats.reqs;
+    const fromCache = await cachedDir.find({ capabilities: ['cache-test'], includeTrust: true });
+    assert(firstFind.length === 1 && fromCache.length === 1 && relay.stats.reqs === reqsBefore, 'fresh cache answers find without relays');
+    assert(cachedDir.cache.stats().services >= 1 && cachedDir.cache.stats().targets >= 1, 'cache holds services and attestation targets');
+
+    await sleep(1100); // query entry expires
+    const staleFind = await cachedDir.find({ capabilities: ['cache-test'] });
+    assert(staleFind.length === 1, 'stale cache still answers immediately');
+    await cachedDir.cache.settle();
+    const revalidated = await cachedDir.find({ capabilities: ['cache-test'] });
+    assert(revalidated.length === 2, 'background revalidation picks up new listings');
+    cachedDir.close();
+
+    const offlineDir = createDirectory({ relays: ['ws://127.0.0.1:1'], cache: new DiscoveryCache({ file: cacheFile }), offline: true });
+    const offlineFind = await offlineDir.find({ capabilities: ['cache-test'], includeTrust: true });
+    const offlineGet = await offlineDir.get(getPublicKey(cacheSk), 'cached-2');
+    offlineDir.close();
+    assert(offlineFind.length === 2 && offlineFind.every(s => s.trust), 'offline find answers from the persisted cache');
+    assert(offlineGet && offlineGet.id === 'cached-2', 'offline get answers from the cache');
+
+    const batchFile = path.join(cliCacheHome, 'batch-cache.json');
+    const batched = new DiscoveryCache({ file: batchFile });
+    batched.putServices(revalidated);
+    batched.markQuery('batch');
+    assert(!fs.existsSync(batchFile), 'cache writes are batched, not made on every put');
+    batched.flush();
+    assert(new DiscoveryCache({ file: batchFile }).stats().services === 2, 'flush writes pending cache changes');
+
+    const healthFile = path.join(cliCacheHome, 'relays.json');
+    const storedHealth = new RelayHealth({ file: healthFile });
+    for (let i = 0; i < 20; i++) storedHealth.record(url, { ok: true, latencyMs: 5 });
+    assert(!fs.existsSync(healthFile), 'relay health writes are batched, not made on every request');
+    storedHealth.flush();
+    assert(new RelayHealth({ file: healthFile }).report([url])[0].requests === 20, 'flush writes pending relay health stats');
+
+    const noCacheHome = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-discovery-nocache-'));
+    try {
+      await runCli(['find', 'cache-test', '--json', '--relays', url, '--timeout', '3000'], { XDG_CACHE_HOME: noCacheHome });
+      assert(fs.readdirSync(noCacheHome).length === 0, 'CLI writes no cache or relay stats unless asked');
+    } finally {
+      fs.rmSync(noCacheHome, { recursive: true, force: true });
+    }
+    await runCli(['find', 'cache-test', '--cache', 'refresh', '--json', '--relays', url, '--timeout', '3000']);
+    const cliOffline = await runCli(['find', 'cache-test', '--offline', '--json', '--relays', 'ws://127.0.0.1:1']);
+    assert(cliOffline.code === 0 && JSON.parse(cliOffline.stdout).length === 2, 'CLI find --offline answers from the cache');
+
+    // Relay health: a dead relay is recorded, skipped, and reported
+    const healthDir = createDirectory({ relays: ['ws://127.0.0.1:1', url], timeoutMs: 1000 });
+    for (let i = 0; i < 3; i++) await healthDir.find({ capabilities: ['translation'] });
+    const status = healthDir.relayStatus();
+    const deadStatus = status.find(r => r.url === 'ws://127.0.0.1:1');
+    const liveStatus = status.find(r => r.url === url);
+    assert(deadStatus.failing && !deadStatus.selected && deadStatus.lastError, 'relayStatus: dead relay failing and skipped');
+    assert(liveStatus.selected && liveStatus.successRate === 1 && liveStatus.events > 0 && liveStatus.connected, 'relayStatus: live relay healthy');
+    const reqsBeforeSkip = deadStatus.requests;
+    await healthDir.find({ capabilities: ['translation'] });
+    assert(healthDir.relayStatus().find(r => r.url === 'ws://127.0.0.1:1').requests === reqsBeforeSkip, 'failing relay not queried');
+    healthDir.close();
+
+    const bestDir = createDirectory({ relays: ['ws://127.0.0.1:1', url], timeoutMs: 1000, maxRelays: 1 });
+    await bestDir.find({ capabilities: ['translation'] });
+    bestDir.health.record('ws://127.0.0.1:1', { ok: false, error: 'refused' });
+    const picked = bestDir.relayStatus().filter(r => r.selected).map(r => r.url);
+    bestDir.close();
+    assert(picked.join() === url, 'maxRelays picks the best relay');
+
+    const relaysCacheHome = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-discovery-relays-'));
+    try {
+      const relaysEnv = { XDG_CACHE_HOME: relaysCacheHome, AGENT_DISCOVERY_HEALTH_FILE: '1' };
+      const cliRelays = await runCli(['relays', '--json', '--relays', `${url},ws://127.0.0.1:1`, '--timeout', '1000'], relaysEnv);
+      const relayReport = JSON.parse(cliRelays.stdout);
+      assert(relayReport.find(r => r.url === url).successes === 1 && relayReport.find(r => r.url !== url).failures === 1, 'CLI relays probes and reports');
+      const cliRelaysAgain = await runCli(['relays', '--no-probe', '--json', '--relays', `${url},ws://127.0.0.1:1`], relaysEnv);
+      assert(JSON.parse(cliRelaysAgain.stdout).find(r => r.url === url).requests === 1, 'CLI relay stats persist across runs');
+    } finally {
+      fs.rmSync(relaysCacheHome, { recursive: true, force: true });
+    }
+
+    // Outbox model: a provider that only publishes to its own relay
+    const ownRelay = new LocalRelay();
+    const ownUrl = await ownRelay.start();
+    try {
+      const outboxSk = generateSecretKey();
+      const outboxPk = getPublicKey(outboxSk);
+      await dir.publishRelayList({ read: [ownUrl], write: [ownUrl] }, outboxSk);
+      await publishService({ id: 'own-relay', capabilities: ['ocr'] }, outboxSk, [ownUrl], 3000);
+      await publishAttestation(outboxPk, { type: 'work-completed' }, clientSk, [ownUrl], 3000);
+
+      assert(await dir.get(outboxPk, 'own-relay', { outbox: false }) === null, 'outbox: not on the configured relays');
+      const ownSvc = await dir.get(outboxPk, 'own-relay');
+      assert(ownSvc && ownSvc.id === 'own-relay', 'outbox: get finds service on the provider\'s write relay');
+      assert(ownSvc.trust.attesters === 1, 'outbox: trust lookup asks the provider\'s relays');
+      assert((await fetchAttestations(outboxPk, [url], 3000)).length === 1, 'outbox: fetchAttestations follows the relay list');
+      assert((await fetchAttestations(outboxPk, [url], 3000, { outbox: false })).length === 0, 'outbox: fetchAttestations outbox: false');
+
+      const outboxWatcher = dir.watch({ pubkeys: [outboxPk] });
+      await new Promise(resolve => outboxWatcher.once('ready', resolve));
+      assert(outboxWatcher.relays.includes(ownUrl) && outboxWatcher.current.length === 1, 'outbox: watch subscribes to the provider\'s relays');
+      outboxWatcher.close();
+
+      const plain = await dir.publish({ id: 'own-relay', capabilities: ['ocr', 'pdf'] }, outboxSk);
+      const viaOutbox = await dir.publish({ id: 'own-relay', capabilities: ['ocr', 'pdf'] }, outboxSk, { outbox: true });
+      assert(plain.total === 1 && viaOutbox.total === 2 && viaOutbox.relays.some(r => r.relay === ownUrl && r.ok), 'outbox: publish includes the publisher\'s own relays');
+    } finally {
+      await ownRelay.stop();
+    }
+
+    // Provenance and quorum across two relays
+    const quorumRelay = new LocalRelay();
+    const quorumUrl = await quorumRelay.start();
+    const quorumDir = createDirectory({ relays: [url, quorumUrl], timeoutMs: 3000, cache: new DiscoveryCache({ file: null }), cacheMode: 'refresh' });
+    try {
+      const quorumSk = generateSecretKey();
+      const quorumPk = getPublicKey(quorumSk);
+      const before = Date.now();
+      await publishService({ id: 'everywhere', capabilities: ['quorum'] }, quorumSk, [url, quorumUrl], 3000);
+      await publishService({ id: 'one-relay', capabilities: ['quorum'] }, quorumSk, [quorumUrl], 3000);
+
+      const sightings = await quorumDir.find({ capabilities: ['quorum'] });
+      const everywhere = sightings.find(s => s.id === 'everywhere');
+      const oneRelay = sightings.find(s => s.id === 'one-relay');
+      assert(everywhere.seenOn.length === 2 && everywhere.seenOn.includes(quorumUrl), 'seenOn lists every relay that returned the listing');
+      assert(oneRelay.seenOn.join() === quorumUrl, 'seenOn for a listing on one relay');
+      assert(everywhere.firstSeenAt >= before && everywhere.firstSeenAt <= Date.now(), 'firstSeenAt is when the event first arrived');
+
+      const quorum = await quorumDir.find({ capabilities: ['quorum'], minRelays: 2 });
+      assert(quorum.map(s => s.id).join() === 'everywhere', 'minRelays drops listings seen on too few relays');
+
+      const gotQuorum = await quorumDir.get(quorumPk, 'everywhere', { includeTrust: false });
+      assert(gotQuorum.seenOn.length === 2, 'get reports seenOn');
+
+      const offlineDir = createDirectory({ relays: [url, quorumUrl], cache: quorumDir.cache, offline: true });
+      const offlineSightings = await offlineDir.find({ capabilities: ['quorum'], minRelays: 2 });
+      offlineDir.close();
+      assert(offlineSightings.length === 1 && offlineSightings[0].firstSeenAt === everywhere.firstSeenAt, 'cached answers keep provenance');
+
+      const quorumWatcher = quorumDir.watch({ capabilities: ['quorum'] });
+      await new Promise(resolve => quorumWatcher.once('ready', resolve));
+      const watched = quorumWatcher.current.find(s => s.id === 'everywhere');
+      quorumWatcher.close();
+      assert(watched.seenOn.length === 2, 'watch accumulates seenOn across relays');
+
+      const cliQuorum = await runCli(['find', 'quorum', '--json', '--min-relays', '2', '--relays', `${url},${quorumUrl}`, '--timeout', '3000']);
+      const cliQuorumServices = JSON.parse(cliQuorum.stdout);
+      assert(cliQuorumServices.length === 1 && cliQuorumServices[0].seenOn.length === 2, 'CLI --min-relays and seenOn in JSON');
+    } finally {
+      quorumDir.close();
+      await quorumRelay.stop();
+    }
+
+    // Publish reliability: retries, AUTH, per-relay detail
+    const strictRelay = new LocalRelay();
+    const strictUrl = await strictRelay.start();
+    const strictDir = createDirectory({ relays: [strictUrl], timeoutMs: 3000 });
+    try {
+      const strictSk = generateSecretKey();
+      strictRelay.rejectEvents('rate-limited: slow down', 1);
+      const limited = await publishService({ id: 'retry-me', capabilities: ['ocr'] }, strictSk, [strictUrl], 3000, { retryDelayMs: 20 });
+      const limitedResult = limited.relays[0];
+      assert(limited.successes === 1 && limitedResult.status === 'ok' && limitedResult.attempts === 2, 'publish retries rate-limited relays');
+      assert(typeof limitedResult.latencyMs === 'number' && limitedResult.prefix === null, 'per-relay result: latency and prefix');
+
+      strictRelay.rejectEvents('blocked: not on the allow list', 1);
+      const blocked = await publishService({ id: 'retry-me', capabilities: ['ocr', 'pdf'] }, strictSk, [strictUrl], 3000, { retryDelayMs: 20 });
+      const blockedResult = blocked.relays[0];
+      assert(blockedResult.status === 'rejected' && blockedResult.prefix === 'blocked' && blockedResult.attempts === 1, 'final refusals are not retried');
+      assert(blockedResult.reason === 'blocked: not on the allow list' && blocked.failures[0] === `${strictUrl}: blocked: not on the allow list`, 'failures keep the relay URL');
+
+      strictRelay.requireAuth();
+      const authed = await strictDir.publish({ id: 'needs-auth', capabilities: ['ocr'] }, strictSk);
+      assert(authed.successes === 1 && authed.relays[0].attempts === 2, 'publish answers the NIP-42 AUTH challenge and resends');
+      assert(strictRelay.query({ '#d': ['needs-auth'] }).length === 1, 'relay stored the event after AUTH');
+      const again = await strictDir.publish({ id: 'needs-auth', capabilities: ['ocr', 'pdf'] }, strictSk);
+      assert(again.relays[0].attempts === 1, 'pooled connection stays authenticated');
+
+      const unsigned = finalizeEvent({ kind: SERVICE_KIND, created_at: Math.floor(Date.now() / 1000), tags: [['d', 'x']], content: '' }, strictSk);
+      const noAuth = await publishToRelays(unsigned, [strictUrl], 3000);
+      assert(noAuth.relays[0].status === 'rejected' && noAuth.relays[0].prefix === 'auth-required', 'without a signer auth-required is reported');
+
+      const dead = await publishToRelays(unsigned, ['ws://127.0.0.1:1'], 1000, { retries: 1, retryDelayMs: 10 });
+      const deadResult = dead.relays[0];
+      assert(deadResult.status === 'error' && deadResult.attempts === 2, 'socket errors are retried');
+      assert(dead.failures[0].startsWith('ws://127.0.0.1:1: '), 'socket error failures keep the relay URL');
+      const oneShotStart = Date.now();
+      const oneShot = await publishToRelays(unsigned, ['ws://127.0.0.1:1'], 1000);
+      assert(oneShot.relays[0].attempts === 1 && Date.now() - oneShotStart < 500, 'without a pool, unreachable relays fail fast');
+    } finally {
+      strictDir.close();
+      await strictRelay.stop();
+    }
+
+    // Signers: local, NIP-46 bunker, as the directory default
+    const signerSk = generateSecretKey();
+    const signerPk = getPublicKey(signerSk);
+    const viaLocal = await publishService({ id: 'signed', capabilities: ['ocr'] }, localSigner(signerSk), [url], 3000);
+    assert(viaLocal.successes === 1 && viaLocal.pubkey === signerPk, 'publishService accepts a local signer');
+    const forger = { getPublicKey: async () => signerPk, signEvent: async (t) => finalizeEvent({ ...t, content: 'swapped' }, signerSk) };
+    let forgeErr = null;
+    await publishService({ id: 'signed', capabilities: ['ocr'] }, forger, [url], 3000).catch((e) => { forgeErr = e; });
+    assert(forgeErr && /different event/.test(forgeErr.message), 'events altered by the signer are refused');
+
+    const bunkerRelay = new LocalRelay();
+    const bunkerUrl = await bunkerRelay.start();
+    const localBunker = new LocalBunker({ relays: [bunkerUrl], secretKey: signerSk, secret: 'open-sesame' });
+    const bunkerUri = await localBunker.start();
+    const remote = new BunkerSigner(bunkerUri, { timeoutMs: 3000 });
+    const impostor = new BunkerSigner(bunkerUri.replace('open-sesame', 'guess'), { timeoutMs: 3000 });
+    const bunkerDir = createDirectory({ relays: [bunkerUrl], timeoutMs: 3000, signer: remote });
+    try {
+      assert(await remote.ping() === 'pong' && await remote.getPublicKey() === signerPk, 'BunkerSigner connects and reports the remote pubkey');
+      const viaBunker = await publishService({ id: 'remote', capabilities: ['ocr'] }, remote, [url], 3000);
+      assert(viaBunker.successes === 1 && viaBunker.pubkey === signerPk, 'publishService signs through a NIP-46 bunker');
+      assert(localBunker.requests.some(r => r.method === 'sign_event' && r.client === remote.clientPubkey), 'bunker saw the sign_event request');
+
+      bunkerRelay.requireAuth();
+      const viaDefault = await bunkerDir.publish({ id: 'remote-default', capabilities: ['ocr'] });
+      assert(viaDefault.successes === 1 && viaDefault.relays[0].attempts === 2 && viaDefault.pubkey === signerPk, 'directory signer is the default, and answers AUTH via the bunker');
+
+      let impostorErr = null;
+      await impostor.ping().catch((e) => { impostorErr = e; });
+      assert(impostorErr && /invalid secret/.test(impostorErr.message), 'bunker refuses a connect with the wrong secret');
+      const peerSk = generateSecretKey();
+      const sealed = await localSigner(peerSk).nip44.encrypt(signerPk, 'for the bunker');
+      assert(await remote.nip44.decrypt(getPublicKey(peerSk), sealed) === 'for the bunker', 'BunkerSigner decrypts NIP-44 through the bunker');
+
+      const cliBunker = await runCli(['publish', '--id', 'cli-remote', '--json', '--bunker', bunkerUri, '--relays', url, '--timeout', '3000']);
+      const cliBunkerResult = cliBunker.code === 0 ? JSON.parse(cliBunker.stdout) : {};
+      assert(cliBunkerResult.pubkey === signerPk && cliBunkerResult.successes === 1, 'CLI publish --bunker signs remotely');
+
+      // A request awaiting approval outlives timeoutMs, up to approvalTimeoutMs
+      const approvingBunker = new LocalBunker({ relays: [bunkerUrl], authUrl: 'https://approve.example/r1', approveAfterMs: 800 });
+      const approvals = [];
+      const approving = new BunkerSigner(await approvingBunker.start(), {
+        timeoutMs: 400, approvalTimeoutMs: 3000, onAuthUrl: (authUrl) => approvals.push(authUrl)
+      });
+      // A bunker that answers connect with anything but 'ack' (or the secret)
+      class UnackingBunker extends LocalBunker {
+        _handle(client, method, params) {
+          return method === 'connect' ? 'maybe' : super._handle(client, method, params);
+        }
+      }
+      const unacking = new UnackingBunker({ relays: [bunkerUrl] });
+      const unackedPool = new RelayPool({ timeoutMs: 3000 });
+      const unacked = new BunkerSigner(await unacking.start(), { timeoutMs: 3000, pool: unackedPool });
+      try {
+        const approved = await approving.signEvent({ kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content: 'approve me' });
+        assert(approved.pubkey === approvingBunker.pubkey && approvals.join() === 'https://approve.example/r1', 'auth_url extends the wait until the user approves');
+
+        const unackedErrs = [];
+        for (let i = 0; i < 2; i++) await unacked.ping().catch((e) => unackedErrs.push(e));
+        assert(unackedErrs.length === 2 && unackedErrs.every(e => /did not acknowledge/.test(e.message)), 'connect without ack fails');
+        assert(unackedPool.status()[0].subscriptions === 0, 'failed connects leave no subscriptions behind');
+      } finally {
+        approving.close();
+        unacked.close();
+        unackedPool.close();
+        approvingBunker.stop();
+        unacking.stop();
+      }
+    } finally {
+      remote.close();
+      impostor.close();
+      bunkerDir.close();
+      localBunker.stop();
+      await bunkerRelay.stop();
+    }
+
+    // Key management: encrypted key file, nsec, whoami
+    const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-discovery-keys-'));
+    try {
+      const keyFile = path.join(keyDir, 'keys.json');
+      const keyEnv = { NOSTR_KEY_PASSWORD: 'hunter2' };
+      const generated = await runCli(['keys', 'generate', '--key-file', keyFile, '--json'], keyEnv);
+      const identity = JSON.parse(generated.stdout);
+      const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      assert(/^ncryptsec1/.test(stored.ncryptsec) && stored.pubkey === identity.pubkey && !stored.secretKeyHex, 'keys generate stores an ncryptsec, no plaintext');
+      assert((fs.statSync(keyFile).mode & 0o077) === 0, 'key file is readable by the owner only');
+
+      const again = await runCli(['keys', 'generate', '--key-file', keyFile, '--json'], keyEnv);
+      assert(again.code !== 0 && JSON.parse(again.stdout).error.code === 'KEY_EXISTS', 'keys generate refuses to overwrite without --force');
+
+      const shown = JSON.parse((await runCli(['keys', 'show', '--key-file', keyFile, '--json'])).stdout);
+      assert(shown.pubkey === identity.pubkey && shown.encrypted === true, 'keys show needs no password for an encrypted key file');
+
+      const published = await runCli(['publish', '--id', 'from-keyfile', '--capabilities', 'ocr', '--key-file', keyFile, '--json', '--relays', url, '--timeout', '3000'], keyEnv);
+      assert(published.code === 0 && JSON.parse(published.stdout).pubkey === identity.pubkey, 'publish unlocks an ncryptsec key file with the password');
+      const badPassword = await runCli(['publish', '--id', 'nope', '--key-file', keyFile, '--json', '--relays', url], { NOSTR_KEY_PASSWORD: 'wrong' });
+      assert(JSON.parse(badPassword.stdout).error.code === 'BAD_PASSWORD', 'wrong password is reported as BAD_PASSWORD');
+
+      const whoami = JSON.parse((await runCli(['whoami', '--key-file', keyFile, '--json', '--relays', url, '--timeout', '3000'])).stdout);
+      assert(whoami.pubkey === identity.pubkey && whoami.services.map(s => s.id).join() === 'from-keyfile', 'whoami lists services published under the key');
+
+      const exported = JSON.parse((await runCli(['keys', 'export', '--nsec', '--key-file', keyFile, '--json'], keyEnv)).stdout);
+      assert(/^nsec1/.test(exported.key) && describeKey(exported.key).pubkey === identity.pubkey, 'keys export --nsec decrypts the key');
+
+      const importFile = path.join(keyDir, 'imported.json');
+      const importedViaArgv = await runCli(['keys', 'import', exported.key, '--key-file', importFile, '--json'], keyEnv);
+      const imported = JSON.parse(importedViaArgv.stdout);
+      assert(imported.pubkey === identity.pubkey && /^ncryptsec1/.test(JSON.parse(fs.readFileSync(importFile, 'utf8')).ncryptsec), 'keys import re-encrypts an nsec');
+      assert(/exposes your secret in the process list/.test(importedViaArgv.stderr), 'keys import warns about a key on the command line');
+      const importedViaStdin = await runCli(['keys', 'import', '--key-file', importFile, '--force', '--json'], keyEnv, `${exported.key}\n`);
+      assert(JSON.parse(importedViaStdin.stdout).pubkey === identity.pubkey && !/process list/.test(importedViaStdin.stderr), 'keys import reads the key from stdin without a warning');
+
+      const viaNsec = await runCli(['remove', 'from-keyfile', '--json', '--relays', url, '--timeout', '3000'], { NOSTR_SECRET_KEY: exported.key });
+      assert(viaNsec.code === 0 && JSON.parse(viaNsec.stdout).pubkey === identity.pubkey, 'nsec accepted in NOSTR_SECRET_KEY');
+    } finally {
+      fs.rmSync(keyDir, { recursive: true, force: true });
+    }
+
+    // NIP-89 bridge: DVMs announced as 31990 handlers
+    const dvmSk = generateSecretKey();
+    const dvmPk = getPublicKey(dvmSk);
+    const both = await dir.publish({ id: 'llm', name: 'LLM', capabilities: ['text-generation'], dvmKinds: ['5050'] }, dvmSk, { nip89: { picture: 'https://example.com/llm.png' } });
+    assert(both.successes === 1 && both.nip89.successes === 1, 'publish with nip89 also announces a kind 31990 handler');
+    const announced = relay.query({ kinds: [31990], authors: [dvmPk] })[0];
+    assert(announced && JSON.parse(announced.content).picture === 'https://example.com/llm.png' && announced.tags.some(t => t[0] === 'k' && t[1] === '5050'), 'handler carries the k tags and metadata');
+    const handlerOnlySk = generateSecretKey();
+    await publishToRelays(finalizeEvent({
+      kind: 31990,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['d', 'legacy-dvm'], ['k', '5050']],
+      content: JSON.stringify({ name: 'Legacy DVM', about: 'Only speaks NIP-89' })
+    }, handlerOnlySk), [url], 3000);
+
+    const dvmOnly = await dir.find({ dvmKinds: [5050] });
+    assert(dvmOnly.length === 1 && dvmOnly[0].pubkey === dvmPk && !dvmOnly[0].nip89, 'dvmKinds alone finds 38990 listings only');
+    const bridged = await dir.find({ dvmKinds: [5050], includeNip89: true });
+    const bridgedListing = bridged.find(s => s.pubkey === dvmPk);
+    const legacy = bridged.find(s => s.source === 'nip89');
+    assert(bridged.length === 2 && bridgedListing.nip89.eventId === announced.id && bridgedListing.id === 'llm', 'includeNip89 merges a pubkey\'s handler into its listing');
+    assert(legacy && legacy.name === 'Legacy DVM' && legacy.pubkey === getPublicKey(handlerOnlySk) && legacy.seenOn.join() === url, 'handler-only DVMs come back in the service shape');
+    assert((await dir.find({ capabilities: ['text-generation'], includeNip89: true })).every(s => s.source !== 'nip89'), 'capability queries skip handler-only entries');
+    const cliBridged = await runCli(['find', '--dvm', '5050', '--nip89', '--json', '--relays', url, '--timeout', '3000']);
+    assert(cliBridged.code === 0 && JSON.parse(cliBridged.stdout).length === 2, 'CLI find --dvm --nip89');
+
+    // Handler-only DVMs round-trip through their 31990 naddr
+    const legacyDvm = new LocalDvm({ relays: [url], kinds: [5050], secretKey: handlerOnlySk, handler: async (job) => `legacy: ${job.input[0].data}` });
+    await legacyDvm.start();
+    try {
+      const legacyGot = await dir.get(legacy.naddr);
+      assert(legacyGot && legacyGot.source === 'nip89' && legacyGot.id === 'legacy-dvm' && legacyGot.eventId === legacy.eventId, 'get resolves the naddr find gave a handler-only DVM');
+      const legacyAnswer = await dir.request(legacy.naddr, 'hi');
+      assert(legacyAnswer.content === 'legacy: hi' && legacyAnswer.pubkey === legacy.pubkey, 'request takes a handler-only DVM\'s naddr');
+      await dir.message(legacy.naddr, 'about your DVM', generateSecretKey());
+      const [legacyMail] = await dir.inbox({ secretKey: handlerOnlySk, service: legacy.naddr });
+      assert(legacyMail && legacyMail.service.kind === 31990 && legacyMail.service.id === 'legacy-dvm', 'message threads under the handler\'s address');
+    } finally {
+      legacyDvm.stop();
+    }
+
+    // A listing without k tags is found through its handler's kinds
+    const untaggedSk = generateSecretKey();
+    await dir.publish({ id: 'untagged', capabilities: ['text-generation'] }, untaggedSk);
+    await publishToRelays(finalizeEvent({
+      kind: 31990, created_at: Math.floor(Date.now() / 1000), tags: [['d', 'untagged'], ['k', '5050']], content: '{}'
+    }, untaggedSk), [url], 3000);
+    const untagged = await dir.find({ dvmKinds: [5050], includeNip89: true, pubkeys: [getPublicKey(untaggedSk)] });
+    assert(untagged.length === 1 && untagged[0].source !== 'nip89' && untagged[0].dvmKinds.join() === '5050', 'dvmKinds apply after merging handlers into listings');
+    assert((await dir.find({ dvmKinds: [5051], includeNip89: true, pubkeys: [getPublicKey(untaggedSk)] })).length === 0, 'listings without the asked kind are still filtered out');
+    await sleep(1100);
+    const untaggedGone = await dir.remove('untagged', untaggedSk, { nip89: true });
+    assert(untaggedGone.successes === 1 && untaggedGone.nip89.successes === 1, 'remove also replaces the NIP-89 handler');
+    assert((await dir.find({ dvmKinds: [5050], includeNip89: true, pubkeys: [getPublicKey(untaggedSk)] })).length === 0, 'a removed service is not found through its old handler');
+    assert(await dir.get(serviceNaddr(getPublicKey(untaggedSk), 'untagged', [url], 31990)) === null, 'get of a removed handler\'s naddr gives null');
+
+    // NIP-90 jobs: request a DVM, follow its feedback, get the result
+    const dvm = new LocalDvm({
+      relays: [url],
+      kinds: [5050],
+      handler: async (job, feedback) => {
+        if (job.params.mode === 'fail') throw new Error('model overloaded');
+        if (job.params.mode === 'slow') return new Promise(resolve => job.signal.addEventListener('abort', () => resolve('late')));
+        if (job.params.mode === 'paid') await feedback('payment-required', { amount: 21000, bolt11: 'lnbc210n1test' });
+        return job.input[0].data.toUpperCase();
+      }
+    });
+    await dvm.start();
+    try {
+      await dir.publish({ id: 'upper', capabilities: ['text-generation'], dvmKinds: ['5050'] }, dvm.secretKey);
+      const [dvmService] = await dir.find({ pubkeys: [dvm.pubkey] });
+      const customerSk = generateSecretKey();
+      const statuses = [];
+      const answer = await dir.request(dvmService, 'hello', {
+        secretKey: customerSk,
+        params: { mode: 'paid' },
+        onFeedback: (f) => statuses.push(f.status)
+      });
+      assert(answer.content === 'HELLO' && answer.kind === 6050 && answer.pubkey === dvm.pubkey && answer.requestId === answer.request.id, 'request resolves with the kind 6xxx result');
+      assert(statuses.join() === 'processing,payment-required' && answer.feedback[1].amount.msats === 21000 && answer.feedback[1].amount.bolt11 === 'lnbc210n1test', 'feedback is reported as it arrives, with the amount asked');
+      const sentJob = dvm.jobs[0].raw;
+      assert(sentJob.kind === 5050 && sentJob.pubkey === getPublicKey(customerSk) && sentJob.tags.some(t => t[0] === 'p' && t[1] === dvm.pubkey) && dvm.jobs[0].params.mode === 'paid', 'job request has the service\'s kind, tags the provider, carries params');
+
+      const viaNaddr = await dir.request(dvmService.naddr, 'naddr');
+      assert(viaNaddr.content === 'NADDR' && viaNaddr.request.pubkey !== getPublicKey(customerSk), 'request takes an naddr and defaults to a throwaway key');
+
+      let failure = null;
+      await dir.request(dvmService, 'x', { params: { mode: 'fail' } }).catch((e) => { failure = e; });
+      assert(failure && failure.code === 'JOB_ERROR' && /model overloaded/.test(failure.message), 'error feedback rejects with JOB_ERROR');
+
+      let timedOut = null;
+      await dir.request(dvmService, 'x', { params: { mode: 'slow' }, jobTimeoutMs: 300 }).catch((e) => { timedOut = e; });
+      assert(timedOut && timedOut.code === 'TIMEOUT' && timedOut.feedback[0].status === 'processing', 'no result in time rejects with TIMEOUT');
+
+      const controller = new AbortController();
+      let cancelled = null;
+      await dir.request(dvmService, 'x', {
+        params: { mode: 'slow' },
+        signal: controller.signal,
+        onRequest: () => setTimeout(() => controller.abort(), 50)
+      }).catch((e) => { cancelled = e; });
+      assert(cancelled && cancelled.code === 'CANCELLED', 'aborting the signal cancels the job');
+      await sleep(200);
+      assert(relay.query({ kinds: [5], '#k': ['5050'] }).length === 2 && dvm.jobs.filter(j => j.signal.aborted).length === 2, 'timeout and cancel publish NIP-09 deletions the provider acts on');
+
+      let noDvm = null;
+      await dir.request({ pubkey: dvm.pubkey, id: 'plain', dvmKinds: [] }, 'x').catch((e) => { noDvm = e; });
+      assert(noDvm && /does not accept NIP-90 jobs/.test(noDvm.message), 'services without dvmKinds are refused');
+    } finally {
+      dvm.stop();
+    }
+
+    // Private messages (NIP-17): customer and provider talk about a service
+    const msgProviderSk = generateSecretKey();
+    const msgProviderPk = getPublicKey(msgProviderSk);
+    const msgCustomerSk = generateSecretKey();
+    const msgCustomerPk = getPublicKey(msgCustomerSk);
+    await dir.publish({ id: 'private-ocr', capabilities: ['ocr'] }, msgProviderSk);
+    const [ocrService] = await dir.find({ pubkeys: [msgProviderPk] });
+
+    const sentMsg = await dir.message(ocrService, { task: 'ocr', url: 'https://example.com/scan.png' }, msgCustomerSk, { subject: 'Scan 1' });
+    assert(sentMsg.successes === 1 && sentMsg.copy.successes === 1 && sentMsg.to === msgProviderPk, 'message publishes a gift wrap, and a copy for the sender');
+    const wrapsForProvider = relay.query({ kinds: [1059], '#p': [msgProviderPk] });
+    assert(wrapsForProvider.length === 1 && wrapsForProvider[0].pubkey !== msgCustomerPk && !/scan\.png/.test(wrapsForProvider[0].content), 'relays see neither the sender nor the content');
+
+    const providerInbox = await dir.inbox({ secretKey: msgProviderSk });
+    const job = providerInbox[0];
+    assert(providerInbox.length === 1 && job.from === msgCustomerPk && job.payload.url === 'https://example.com/scan.png', 'inbox opens the gift wrap');
+    assert(job.service.pubkey === msgProviderPk && job.service.id === 'private-ocr' && job.subject === 'Scan 1', 'messaging a service threads the message under its d-tag');
+
+    await sleep(1100); // the thread is ordered by second
+    await dir.message(msgCustomerPk, 'Done: 3 pages', msgProviderSk, { service: job.service, replyTo: job.id });
+    await dir.message(msgCustomerPk, 'Unrelated news', msgProviderSk);
+    const thread = await dir.inbox({ secretKey: msgCustomerSk, service: ocrService.naddr });
+    assert(thread.length === 2 && thread[0].id === job.id && thread[1].content === 'Done: 3 pages' && thread[1].replyTo === job.id, 'inbox by service gives the thread, both directions, oldest first');
+    assert((await dir.inbox({ secretKey: msgCustomerSk })).length === 3, 'unthreaded messages are in the inbox too');
+    await dir.message(msgCustomerPk, 'Pay here instead', generateSecretKey(), { service: ocrService });
+    const threadAgain = await dir.inbox({ secretKey: msgCustomerSk, service: ocrService.naddr });
+    assert(threadAgain.length === 2 && threadAgain.every(m => m.content !== 'Pay here instead'), 'third parties can\'t post into a service\'s thread');
+    assert((await dir.inbox({ secretKey: generateSecretKey() })).length === 0, 'other keys open nothing');
+
+    const forgerSk = generateSecretKey();
+    const forgedRumor = { kind: 14, created_at: Math.floor(Date.now() / 1000), tags: [['p', msgCustomerPk]], content: 'Pay me instead', pubkey: msgProviderPk };
+    forgedRumor.id = getEventHash(forgedRumor);
+    await publishToRelays(await giftWrap(forgedRumor, localSigner(forgerSk), msgCustomerPk), [url], 3000);
+    assert((await dir.inbox({ secretKey: msgCustomerSk })).every(m => m.content !== 'Pay me instead'), 'messages whose author differs from the seal are dropped');
+
+    const dmRelay = new LocalRelay();
+    const dmUrl = await dmRelay.start();
+    try {
+      await publishToRelays(finalizeEvent({ kind: 10050, created_at: Math.floor(Date.now() / 1000), tags: [['relay', dmUrl]], content: '' }, msgProviderSk), [url], 3000);
+      const toInboxRelay = await dir.message(msgProviderPk, 'via inbox relay', msgCustomerSk, { copy: false });
+      assert(toInboxRelay.relays.map(r => r.relay).join() === dmUrl && toInboxRelay.copy === null, 'message goes to the recipient\'s kind 10050 inbox relays');
+      assert(dmRelay.query({ kinds: [1059] }).length === 1 && (await dir.inbox({ secretKey: msgProviderSk })).some(m => m.content === 'via inbox relay'), 'inbox reads from its own kind 10050 relays');
+
+      // An inbox relay that wants AUTH to take and to serve gift wraps
+      dmRelay.requireAuth(true, { reads: true });
+      const authed = await dir.message(msgProviderPk, 'via AUTH relay', msgCustomerSk, { copy: false });
+      const authedWrap = dmRelay.query({ ids: [authed.eventId] })[0];
+      assert(authed.successes === 1 && dmRelay.auths.includes(authedWrap.pubkey), 'message answers AUTH with the gift wrap\'s throwaway key');
+      assert(!dmRelay.auths.includes(msgCustomerPk), 'message never authenticates as the sender');
+      const authedInbox = await dir.inbox({ secretKey: msgProviderSk });
+      assert(authedInbox.some(m => m.content === 'via AUTH relay') && dmRelay.auths.includes(msgProviderPk), 'inbox authenticates as the recipient to read its gift wraps');
+      assert(!dir.pool.status().some(r => r.url === dmUrl), 'inbox reads gift wraps over connections of its own, not the shared pool');
+    } finally {
+      await dmRelay.stop();
+    }
+
+    // Manifest sync
+    const syncSk = generateSecretKey();
+    const syncPk = getPublicKey(syncSk);
+    const first = await dir.sync([{ id: 'm1', capabilities: ['ocr'] }, { id: 'm2', capabilities: ['ocr'] }], syncSk);
+    assert(first.published.length === 2 && first.published.every(p => p.result.successes === 1), 'sync publishes new services');
+    const second = await dir.sync([{ id: 'm1', capabilities: ['ocr'] }, { id: 'm2', capabilities: ['ocr'] }], syncSk);
+    assert(second.published.length === 0 && second.unchanged.length === 2, 'sync skips unchanged services');
+    await sleep(1100);
+    const third = await dir.sync([{ id: 'm1', capabilities: ['ocr', 'pdf'] }], syncSk);
+    assert(third.published.map(p => p.id).join() === 'm1', 'sync republishes changed service');
+    assert(third.deactivated.map(p => p.id).join() === 'm2', 'sync deactivates service dropped from manifest');
+    const afterSync = await dir.find({ pubkeys: [syncPk] });
+    assert(afterSync.length === 1 && afterSync[0].capabilities.includes('pdf'), 'relay reflects synced manifest');
+
+    const manifestFile = path.join(os.tmpdir(), `agent-discovery-test-${process.pid}.yaml`);
+    fs.writeFileSync(manifestFile, 'services:\n  - id: yaml-svc\n    capabilities: [ocr]\n    price: { amount: 5, currency: usd }\n');
+    const cliFile = await runCli(['publish', '--file', manifestFile, '--json', '--relays', url, '--timeout', '3000'], {
+      NOSTR_SECRET_KEY: Buffer.from(syncSk).toString('hex')
+    });
+    fs.unlinkSync(manifestFile);
+    assert(cliFile.code === 0 && JSON.parse(cliFile.stdout)[0].id === 'yaml-svc', 'CLI publish --file reads YAML manifest');
+
+    // CLI against the local relay
+    const cli = await runCli(['find', 'translation', '--relays', url, '--timeout', '3000']);
+    assert(cli.code === 0 && /Translator v2/.test(cli.stdout), 'CLI find lists service from local relay');
+
+    const cliJson = await runCli(['find', 'translation', '--json', '--relays', url, '--timeout', '3000', '--trust']);
+    const cliServices = JSON.parse(cliJson.stdout);
+    assert(cliServices[0].pubkey === providerPk && /^npub1/.test(cliServices[0].npub), 'CLI --json: full pubkey and npub');
+    assert(cliServices[0].raw === undefined && cliServices[0].trust.score === 15, 'CLI --json: trust details, no raw event');
+
+    const cliPub = await runCli(['publish', '--id', 'cli-svc', '--ndjson', '--relays', url, '--timeout', '3000'], {
+      NOSTR_SECRET_KEY: Buffer.from(providerSk).toString('hex')
+    });
+    const pubLine = JSON.parse(cliPub.stdout.trim());
+    assert(cliPub.code === 0 && pubLine.relays[0].relay === url && pubLine.relays[0].ok, 'CLI --ndjson publish: per-relay outcome');
+
+    const cliErr = await runCli(['remove', '--json', '--relays', url]);
+    assert(cliErr.code !== 0 && JSON.parse(cliErr.stdout).error.code === 'NO_KEY', 'CLI --json: structured error, non-zero exit');
+  } finally {
+    dir.close();
+    await relay.stop();
+    fs.rmSync(cliCacheHome, { recursive: true, force: true });
+  }
+}
+
+// ─── RelayPool against a scripted relay ───
+
+const WebSocket = require('ws');
+const { watchServices } = require('./lib');
+
+// Bare-bones relay: records what clients send, answers every REQ with
+// `events` and EOSE, and lets tests push messages or drop connections
+function scriptedRelay() {
+  const relay = { connections: 0, messages: [], events: [], sockets: new Set() };
+  relay.server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+  relay.server.on('connection', (ws) => {
+    relay.connections++;
+    relay.sockets.add(ws);
+    ws.on('close', () => relay.sockets.delete(ws));
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      relay.messages.push(msg);
+      if (msg[0] !== 'REQ') return;
+      for (const event of relay.events) ws.send(JSON.stringify(['EVENT', msg[1], event]));
+      ws.send(JSON.stringify(['EOSE', msg[1]]));
+    });
+  });
+  relay.send = (msg) => { for (const ws of relay.sockets) ws.send(JSON.stringify(msg)); };
+  relay.drop = () => { for (const ws of relay.sockets) ws.terminate(); };
+  relay.sent = (type, subId) => relay.messages.filter(m => m[0] === type && (subId === undefined || m[1] === subId)).length;
+  relay.stop = () => new Promise((resolve) => {
+    relay.drop();
+    relay.server.close(resolve);
+  });
+  return new Promise(resolve => relay.server.on('listening', () => {
+    relay.url = `ws://127.0.0.1:${relay.server.address().port}`;
+    resolve(relay);
+  }));
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return condition();
+}
+
+function signedService(id) {
+  return finalizeEvent({ kind: SERVICE_KIND, created_at: Math.floor(Date.now() / 1000), tags: [['d', id]], content: '' }, generateSecretKey());
+}
+
+async function poolTests() {
+  console.log('\n🔌 RelayPool');
+
+  const relay = await scriptedRelay();
+  const pool = new RelayPool({ timeoutMs: 2000, reconnect: { minDelayMs: 50, maxDelayMs: 200 } });
+  try {
+    relay.events.push(signedService('pooled'));
+    const first = await pool.query(relay.url, { kinds: [SERVICE_KIND] });
+    const second = await pool.query(relay.url, { kinds: [SERVICE_KIND] });
+    assert(first.length === 1 && second.length === 1 && relay.connections === 1, 'queries reuse one connection');
+    assert(await waitFor(() => relay.sent('CLOSE') === 2), 'finished queries close their subscriptions');
+
+    const received = [];
+    const sub = await pool.subscribe(relay.url, [{ kinds: [SERVICE_KIND] }], { onevent: e => received.push(e) }, { live: true });
+    await waitFor(() => relay.sent('REQ', sub.id) === 1);
+    relay.drop();
+    assert(await waitFor(() => relay.connections === 2 && relay.sent('REQ', sub.id) === 2), 'live subscription re-sends its REQ after a reconnect');
+    const pushed = signedService('after-reconnect');
+    relay.send(['EVENT', sub.id, pushed]);
+    assert(await waitFor(() => received.some(e => e.id === pushed.id)), 'events arrive on the re-established subscription');
+
+    sub.close();
+    assert(await waitFor(() => relay.sent('CLOSE', sub.id) === 1) && pool.status()[0].subscriptions === 0, 'closing a subscription sends CLOSE');
+    relay.send(['EVENT', sub.id, signedService('too-late')]);
+    await waitFor(() => false, 100);
+    assert(!received.some(e => e.tags[0][1] === 'too-late'), 'closed subscriptions get no more events');
+
+    pool.close();
+    assert(await waitFor(() => relay.sockets.size === 0) && (await pool.query(relay.url, { kinds: [SERVICE_KIND] })).length === 0, 'close() drops connections; a closed pool answers nothing');
+  } finally {
+    pool.close();
+    await relay.stop();
+  }
+}
+
+// ─── watchServices against a scripted relay ───
+
+async function watchTests() {
+  console.log('\n👀 watchServices');
+
+  const relay = await scriptedRelay();
+  const sk = generateSecretKey();
+  const now = Math.floor(Date.now() / 1000);
+  const listing = (tags, age) => finalizeEvent({ kind: SERVICE_KIND, created_at: now + age, tags, content: '' }, sk);
+  relay.events.push(listing([['d', 'existing'], ['c', 'ocr']], 0));
+
+  const watcher = watchServices({ relays: [relay.url], capabilities: ['ocr'], timeoutMs: 2000 });
+  const seen = [];
+  for (const type of ['added', 'updated', 'removed']) watcher.on(type, (service) => seen.push(`${type}:${service.id}`));
+  try {
+    await new Promise(resolve => watcher.once('ready', resolve));
+    assert(seen.join() === 'added:existing' && watcher.current.length === 1, 'stored matches are added before ready');
+
+    const subId = relay.messages.find(m => m[0] === 'REQ')[1];
+    relay.send(['EVENT', subId, listing([['d', 'fresh'], ['c', 'ocr']], 1)]);
+    relay.send(['EVENT', subId, listing([['d', 'existing'], ['c', 'ocr'], ['name', 'Renamed']], 2)]);
+    relay.send(['EVENT', subId, listing([['d', 'existing'], ['c', 'ocr']], 1)]);
+    relay.send(['EVENT', subId, listing([['d', 'other'], ['c', 'translation']], 1)]);
+    await waitFor(() => seen.length >= 3);
+    await waitFor(() => false, 100);
+    assert(seen.join() === 'added:existing,added:fresh,updated:existing' && watcher.current.find(s => s.id === 'existing').name === 'Renamed',
+      'new services are added, newer versions updated, stale and unrelated ones ignored');
+    assert(await waitFor(() => relay.messages.some(m => m[0] === 'REQ' && m[1] === subId && m[3] && m[3].authors[0] === getPublicKey(sk))),
+      'authors of matches are followed without tag filters');
+
+    relay.send(['EVENT', subId, listing([['d', 'existing'], ['status', 'inactive']], 3)]);
+    await waitFor(() => seen.length >= 4);
+    assert(seen[3] === 'removed:existing' && watcher.current.map(s => s.id).join() === 'fresh', 'a tag-less inactive replacement emits removed');
+    assert(watcher.services.size === 1 && !watcher.services.has(`${getPublicKey(sk)}:existing`), 'removed services are forgotten');
+    relay.send(['EVENT', subId, listing([['d', 'existing'], ['c', 'ocr']], 2)]);
+    await waitFor(() => false, 100);
+    assert(seen.length === 4 && watcher.current.map(s => s.id).join() === 'fresh', 'an older version does not bring a removed service back');
+  } finally {
+    watcher.close();
+    await relay.stop();
+  }
+
+  // Two relays disagree: A holds the newer inactive version, B the older active one
+  const relayA = await scriptedRelay();
+  const relayB = await scriptedRelay();
+  relayA.events.push(listing([['d', 'x'], ['c', 'ocr'], ['status', 'inactive']], 1));
+  const split = watchServices({ relays: [relayA.url, relayB.url], capabilities: ['ocr'], timeoutMs: 2000 });
+  const splitSeen = [];
+  for (const type of ['added', 'updated', 'removed']) split.on(type, (service) => splitSeen.push(`${type}:${service.id}`));
+  try {
+    await new Promise(resolve => split.once('ready', resolve));
+    const subB = relayB.messages.find(m => m[0] === 'REQ')[1];
+    relayB.send(['EVENT', subB, listing([['d', 'x'], ['c', 'ocr']], 0)]);
+    await waitFor(() => false, 100);
+    assert(splitSeen.length === 0 && split.current.length === 0, 'a stale active version from a slower relay is not added');
+  } finally {
+    split.close();
+    await relayA.stop();
+    await relayB.stop();
+  }
+}
+
+// ─── Summary ───
+
+e2e().then(poolTests).then(watchTests).catch((err) => {
+  failed++;
+  console.log(`  ❌ Async tests crashed: ${err.stack}`);
+}).then(() => {
+  console.log(`\n${'─'.repeat(40)}`);
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    process.exit(1);
+  } else {
+    console.log('All tests passed! ✅\n');
+  }
+});
@@ -0,0 +1,4 @@
+'use strict';
+
+// Entry point for require('agent-discovery/testing')
+module.exports = require('./lib/testing');